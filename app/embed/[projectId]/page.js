@@ -0,0 +1,13 @@
+import EmbedViewer from '../../../components/EmbedViewer';
+import { parseEmbedOptions } from '../../utils/embed';
+
+// Chrome-less, read-only viewer of a saved project for iframes, e.g.
+// /embed/<projectId>?variant=Oak&autorotate=1 (options in utils/embed).
+// The project is loaded from the viewing browser's IndexedDB, so the embed
+// only works where the project was saved and can't be shared; elsewhere it
+// says the project isn't available in this browser. Embeds for other
+// visitors load an exported file with /embed?src= (app/embed/page.js).
+export default async function EmbedPage({ params, searchParams }) {
+  const { projectId } = await params;
+  return <EmbedViewer projectId={projectId} options={parseEmbedOptions(await searchParams)} />;
+}
@@ -0,0 +1,12 @@
+import EmbedViewer from '../../components/EmbedViewer';
+import { parseEmbedOptions } from '../utils/embed';
+
+// Chrome-less, read-only viewer of a published file for iframes, e.g.
+// /embed?src=https://example.com/chair.glb&variant=Oak. Files exported
+// "For embed" bring the project's lighting, stage and bookmarks along; the
+// options are the same as for saved projects (utils/embed).
+export default async function PublishedEmbedPage({ searchParams }) {
+  const query = await searchParams;
+  const src = [].concat(query.src ?? [])[0] ?? null;
+  return <EmbedViewer src={src} options={parseEmbedOptions(query)} />;
+}
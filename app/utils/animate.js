@@ -0,0 +1,15 @@
+// utils/animate.js
+
+// 1. Ease a value from `from` to `to`, calling onUpdate every frame.
+//    Returns a function that cancels the animation.
+export function animateValue(from, to, duration, onUpdate, onDone) {
+  const start = performance.now();
+  let frame = requestAnimationFrame(function step(now) {
+    const t = Math.min(1, (now - start) / duration);
+    const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    onUpdate(from + (to - from) * eased);
+    if (t < 1) frame = requestAnimationFrame(step);
+    else onDone?.();
+  });
+  return () => cancelAnimationFrame(frame);
+}
@@ -0,0 +1,53 @@
+// utils/animations.js
+import * as THREE from 'three';
+
+// Playback settings of the animation panel. `pose` is a frozen frame
+// ({ clip, time }) saved with the project and shown instead of playback, so
+// screenshots and exports use it.
+
+export const LOOP_MODES = {
+  repeat: { label: 'Loop', value: THREE.LoopRepeat },
+  pingpong: { label: 'Ping-pong', value: THREE.LoopPingPong },
+  once: { label: 'Once', value: THREE.LoopOnce },
+};
+
+export const DEFAULT_PLAYBACK = { clip: null, playing: false, loop: 'repeat', speed: 1, blend: 0.3 };
+
+// 1. Every node some clip animates. Their transforms belong to the clip, not
+//    to the user, so they are not saved as part edits.
+export function getAnimatedNodes(root, clips) {
+  const nodes = new Set();
+  clips.forEach((clip) => {
+    clip.tracks.forEach((track) => {
+      const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name);
+      const node = THREE.PropertyBinding.findNode(root, nodeName);
+      if (node) nodes.add(node);
+    });
+  });
+  return nodes;
+}
+
+// 2. Start a clip, cross-fading from the previous action over `blend` seconds
+export function playClip(mixer, clip, previous, { loop, blend }) {
+  const action = mixer.clipAction(clip);
+  action.reset();
+  action.setLoop(LOOP_MODES[loop].value, Infinity);
+  action.clampWhenFinished = true;
+  action.play();
+  if (previous && previous !== action) {
+    if (blend > 0) previous.crossFadeTo(action, blend, false);
+    else previous.stop();
+  }
+  return action;
+}
+
+// 3. Jump an action to a time and pose the model there right away
+export function seekAction(mixer, action, time) {
+  action.time = THREE.MathUtils.clamp(time, 0, action.getClip().duration);
+  mixer.update(0);
+}
+
+// 4. Clip duration formatted as seconds, e.g. "1.25 s"
+export function formatClipTime(seconds) {
+  return `${seconds.toFixed(2)} s`;
+}
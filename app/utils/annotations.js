@@ -0,0 +1,54 @@
+// utils/annotations.js
+import * as THREE from 'three';
+import { resolvePartPoint } from './partPaths';
+
+// A review annotation is a pin on a part, saved with the project:
+//   { id, title, text, status: 'open' | 'resolved', point: { path, position },
+//     camera, createdAt, modifiedAt }
+// `camera` is the view the pin was dropped from (see utils/camera); flying to
+// the pin keeps its viewing direction and distance.
+
+export const ANNOTATION_STATUSES = {
+  open: { label: 'Open' },
+  resolved: { label: 'Resolved' },
+};
+
+// 1. New open annotation at a pinned point, numbered after the existing ones
+export function createAnnotation(point, camera, count) {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    title: `Note ${count + 1}`,
+    text: '',
+    status: 'open',
+    point,
+    camera,
+    createdAt: now,
+    modifiedAt: now,
+  };
+}
+
+// 2. Camera state looking at the pin from where it was dropped, shifted to
+//    the pin's current position
+export function annotationView(annotation, pin, fallback) {
+  const camera = annotation.camera || fallback;
+  const offset = new THREE.Vector3(...camera.position).sub(new THREE.Vector3(...camera.target));
+  return { ...camera, target: pin.toArray(), position: pin.clone().add(offset).toArray() };
+}
+
+// 3. Annotations as written into exported files: world positions instead of
+//    part-local ones, since the part paths mean nothing outside the viewer
+export function exportAnnotations(root, annotations) {
+  return annotations.map(({ title, text, status, point, createdAt, modifiedAt }) => {
+    const position = resolvePartPoint(root, point);
+    return {
+      title,
+      text,
+      status,
+      part: point.path,
+      position: position ? position.toArray() : null,
+      createdAt: new Date(createdAt).toISOString(),
+      modifiedAt: new Date(modifiedAt).toISOString(),
+    };
+  });
+}
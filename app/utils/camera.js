@@ -0,0 +1,114 @@
+// utils/camera.js
+import * as THREE from 'three';
+import { animateValue } from './animate';
+
+// A camera state is plain data so it can be stored in bookmarks:
+//   { projection: 'perspective' | 'orthographic', position, target, zoom }
+
+// Vertical field of view of the perspective camera, in degrees
+export const CAMERA_FOV = 50;
+
+// Directions point from the model toward the camera. Top/bottom lean a hair
+// off the vertical so OrbitControls keeps a stable up vector.
+export const CAMERA_VIEWS = {
+  front: { label: 'Front', direction: [0, 0, 1] },
+  back: { label: 'Back', direction: [0, 0, -1] },
+  top: { label: 'Top', direction: [0, 1, 1e-4] },
+  bottom: { label: 'Bottom', direction: [0, -1, 1e-4] },
+  left: { label: 'Left', direction: [-1, 0, 0] },
+  right: { label: 'Right', direction: [1, 0, 0] },
+  iso: { label: 'Iso', direction: [1, 1, 1] },
+};
+
+// 1. Bounding box of the visible meshes of one or more objects
+export function getFramingBox(objects) {
+  const box = new THREE.Box3();
+  [].concat(objects).forEach((object) => {
+    object?.traverseVisible((child) => {
+      if (child.isMesh) box.expandByObject(child);
+    });
+  });
+  return box;
+}
+
+// Keep the depth range proportional to the model so small and huge models
+// neither clip nor z-fight
+function fitClipping(camera, radius) {
+  camera.near = Math.max(radius / 1000, 1e-4);
+  camera.far = radius * 1000;
+  camera.updateProjectionMatrix();
+}
+
+// 2. State that fits a box on screen, seen from `direction`
+export function frameBox(camera, box, direction, viewHeight) {
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const radius = sphere.radius || 1;
+  const dir = new THREE.Vector3(...direction).normalize();
+  const fov = THREE.MathUtils.degToRad(camera.fov || 50);
+  const distance = camera.isOrthographicCamera ? radius * 4 : (radius * 1.1) / Math.sin(fov / 2);
+  return {
+    projection: camera.isOrthographicCamera ? 'orthographic' : 'perspective',
+    position: sphere.center.clone().addScaledVector(dir, distance).toArray(),
+    target: sphere.center.toArray(),
+    zoom: camera.isOrthographicCamera ? viewHeight / (radius * 2.2) : 1,
+    radius,
+  };
+}
+
+// 3. Current camera state
+export function getCameraState(camera, controls) {
+  return {
+    projection: camera.isOrthographicCamera ? 'orthographic' : 'perspective',
+    position: camera.position.toArray(),
+    target: controls ? controls.target.toArray() : [0, 0, 0],
+    zoom: camera.zoom,
+  };
+}
+
+// 4. Convert a state to the other projection so the view keeps its size:
+//    an orthographic zoom matches the perspective view height at the target
+export function convertCameraState(state, projection, fov, viewHeight) {
+  if (state.projection === projection) return state;
+  const position = new THREE.Vector3(...state.position);
+  const target = new THREE.Vector3(...state.target);
+  const tanHalf = Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+  if (projection === 'orthographic') {
+    const height = 2 * position.distanceTo(target) * tanHalf;
+    return { ...state, projection, zoom: viewHeight / height };
+  }
+  const distance = viewHeight / state.zoom / (2 * tanHalf);
+  const dir = position.sub(target).normalize();
+  return { ...state, projection, zoom: 1, position: target.clone().addScaledVector(dir, distance).toArray() };
+}
+
+// 5. Jump straight to a state
+export function applyCameraState(camera, controls, state) {
+  camera.position.fromArray(state.position);
+  camera.zoom = state.zoom || 1;
+  if (state.radius) fitClipping(camera, state.radius);
+  camera.updateProjectionMatrix();
+  if (controls) {
+    controls.target.fromArray(state.target);
+    controls.update();
+  } else {
+    camera.lookAt(...state.target);
+  }
+}
+
+// 6. Glide to a state. Returns a function that cancels the transition.
+export function animateCamera(camera, controls, state, duration = 600) {
+  const from = getCameraState(camera, controls);
+  const fromPosition = new THREE.Vector3(...from.position);
+  const fromTarget = new THREE.Vector3(...from.target);
+  const toPosition = new THREE.Vector3(...state.position);
+  const toTarget = new THREE.Vector3(...state.target);
+  const toZoom = state.zoom || 1;
+  if (state.radius) fitClipping(camera, state.radius);
+  return animateValue(0, 1, duration, (t) => {
+    applyCameraState(camera, controls, {
+      position: fromPosition.clone().lerp(toPosition, t).toArray(),
+      target: fromTarget.clone().lerp(toTarget, t).toArray(),
+      zoom: from.zoom + (toZoom - from.zoom) * t,
+    });
+  });
+}
@@ -0,0 +1,264 @@
+// utils/capture.js
+import * as THREE from 'three';
+import { zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+
+// Still image formats the browser can encode from a canvas
+export const IMAGE_FORMATS = {
+  png: { label: 'PNG', type: 'image/png', extension: 'png', alpha: true },
+  jpeg: { label: 'JPEG', type: 'image/jpeg', extension: 'jpg', alpha: false },
+  webp: { label: 'WebP', type: 'image/webp', extension: 'webp', alpha: true },
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// 1. Standalone camera for a camera state (see utils/camera) rendered at the
+//    given aspect. Orthographic frustums are sized in the viewport's pixels,
+//    like the live camera, so state.zoom keeps its meaning.
+export function createCaptureCamera(state, { fov, aspect, viewHeight, near, far }) {
+  let camera;
+  if (state.projection === 'orthographic') {
+    const half = viewHeight / 2;
+    camera = new THREE.OrthographicCamera(-half * aspect, half * aspect, half, -half, near, far);
+    camera.zoom = state.zoom || 1;
+  } else {
+    camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
+  }
+  camera.position.fromArray(state.position);
+  camera.lookAt(...state.target);
+  camera.updateProjectionMatrix();
+  return camera;
+}
+
+// 2. Camera state orbited `degrees` around the vertical axis through its target
+export function orbitCameraState(state, degrees) {
+  const target = new THREE.Vector3(...state.target);
+  const offset = new THREE.Vector3(...state.position).sub(target).applyAxisAngle(UP, THREE.MathUtils.degToRad(degrees));
+  return { ...state, position: target.add(offset).toArray() };
+}
+
+// 3. Render one image at any size into offscreen render targets of the live
+//    renderer, so tone mapping, shadows and the environment match the
+//    viewport while the on-screen canvas is left alone. Selection boxes,
+//    gizmos and objects flagged userData.helper are left out. Returns the
+//    pixels as ImageData, with straight (not premultiplied) alpha.
+export function renderPixels(gl, scene, camera, { width, height, transparent = false }) {
+  const max = gl.capabilities.maxTextureSize;
+  if (width > max || height > max) throw new Error(`Images are limited to ${max}px per side on this device`);
+
+  const previousTarget = gl.getRenderTarget();
+  const background = scene.background;
+  const clearColor = gl.getClearColor(new THREE.Color());
+  const clearAlpha = gl.getClearAlpha();
+  const hidden = [];
+  scene.traverse((child) => {
+    if (child.visible && (child.userData.helper || child.isTransformControls || child.isBoxHelper)) hidden.push(child);
+  });
+  // The canvas shows colors and sRGB images (the gradient) without tone
+  // mapping, so those are drawn behind the render instead of through it
+  const flatBackground = !transparent && isFlatBackground(background) ? background : null;
+
+  // The scene is rendered in linear HDR with MSAA, then tone mapped and
+  // converted to the output color space like the canvas would be
+  const hdr = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+  const output = new THREE.WebGLRenderTarget(width, height);
+  const outputPass = new OutputPass();
+  const pixels = new Uint8Array(width * height * 4);
+  try {
+    hidden.forEach((child) => (child.visible = false));
+    if (transparent || flatBackground) {
+      scene.background = null;
+      gl.setClearColor(0x000000, 0);
+    }
+    gl.setRenderTarget(hdr);
+    gl.render(scene, camera);
+    outputPass.render(gl, output, hdr);
+    gl.readRenderTargetPixels(output, 0, 0, width, height, pixels);
+  } finally {
+    hidden.forEach((child) => (child.visible = true));
+    scene.background = background;
+    gl.setClearColor(clearColor, clearAlpha);
+    gl.setRenderTarget(previousTarget);
+    hdr.dispose();
+    output.dispose();
+    outputPass.dispose();
+  }
+
+  // WebGL rows start at the bottom
+  const image = new ImageData(width, height);
+  const row = width * 4;
+  for (let y = 0; y < height; y++) {
+    image.data.set(pixels.subarray((height - 1 - y) * row, (height - y) * row), y * row);
+  }
+  if (transparent || flatBackground) unpremultiply(image.data);
+  return flatBackground ? drawOverBackground(image, flatBackground) : image;
+}
+
+const isFlatBackground = (background) => background?.isColor
+  || (background?.isTexture && !background.isDataTexture && background.mapping === THREE.UVMapping
+    && THREE.ColorManagement.getTransfer(background.colorSpace) === THREE.SRGBTransfer);
+
+// Blending over a clear (0, 0, 0, 0) target leaves partly covered pixels
+// premultiplied by their alpha
+function unpremultiply(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3];
+    if (alpha === 0 || alpha === 255) continue;
+    for (let c = 0; c < 3; c++) data[i + c] = (data[i + c] * 255) / alpha;
+  }
+}
+
+// Composite a render over a color or a stretched background image
+function drawOverBackground(image, background) {
+  const { width, height } = image;
+  const layer = document.createElement('canvas');
+  layer.width = width;
+  layer.height = height;
+  layer.getContext('2d').putImageData(image, 0, 0);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (background.isColor) {
+    ctx.fillStyle = `#${background.getHexString(THREE.SRGBColorSpace)}`;
+    ctx.fillRect(0, 0, width, height);
+  } else {
+    ctx.drawImage(background.image, 0, 0, width, height);
+  }
+  ctx.drawImage(layer, 0, 0);
+  return ctx.getImageData(0, 0, width, height);
+}
+
+// 3b. Encode ImageData in a format the browser can write from a canvas
+export function encodeImage(image, { type = 'image/png', quality = 0.92 } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob || blob.type !== type) reject(new Error(`This browser cannot encode ${type}`));
+      else resolve(blob);
+    }, type, quality);
+  });
+}
+
+// 3c. Render and encode one image (3 and 3b)
+export function renderImage(gl, scene, camera, { width, height, transparent = false, type = 'image/png', quality = 0.92 }) {
+  return encodeImage(renderPixels(gl, scene, camera, { width, height, transparent }), { type, quality });
+}
+
+// Animated WebP container (RIFF with VP8X, ANIM and one ANMF per frame)
+
+function fourcc(text) {
+  return new TextEncoder().encode(text);
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+function writeUint24(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+  bytes[offset + 2] = (value >> 16) & 0xff;
+}
+
+function riffChunk(id, payload) {
+  const header = new Uint8Array(8);
+  header.set(fourcc(id));
+  new DataView(header.buffer).setUint32(4, payload.length, true);
+  return concatBytes(payload.length % 2 ? [header, payload, new Uint8Array(1)] : [header, payload]);
+}
+
+// Image chunks (ALPH + VP8, or VP8L) of a still WebP file
+function webpImageChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (text(0) !== 'RIFF' || text(8) !== 'WEBP') throw new Error('Not a WebP image');
+  const chunks = [];
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = text(offset);
+    const size = view.getUint32(offset + 4, true);
+    const end = offset + 8 + size + (size % 2);
+    if (id === 'ALPH' || id === 'VP8 ' || id === 'VP8L') chunks.push(bytes.subarray(offset, end));
+    offset = end;
+  }
+  return concatBytes(chunks);
+}
+
+// 4. Join still WebP frames (Uint8Arrays of the same size) into one looping
+//    animated WebP
+export function encodeAnimatedWebP(frames, { width, height, frameDuration = 100, alpha = false }) {
+  const vp8x = new Uint8Array(10);
+  vp8x[0] = 0x02 | (alpha ? 0x10 : 0); // animation, alpha
+  writeUint24(vp8x, 4, width - 1);
+  writeUint24(vp8x, 7, height - 1);
+  const anim = new Uint8Array(6); // transparent background, loop forever
+
+  const parts = [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim)];
+  frames.forEach((frame) => {
+    const header = new Uint8Array(16);
+    writeUint24(header, 6, width - 1);
+    writeUint24(header, 9, height - 1);
+    writeUint24(header, 12, Math.round(frameDuration));
+    header[15] = 0x03; // don't blend with the previous frame, then clear it
+    parts.push(riffChunk('ANMF', concatBytes([header, webpImageChunks(frame)])));
+  });
+
+  const body = concatBytes(parts);
+  const riff = new Uint8Array(12);
+  riff.set(fourcc('RIFF'));
+  new DataView(riff.buffer).setUint32(4, body.length + 4, true);
+  riff.set(fourcc('WEBP'), 8);
+  return new Blob([riff, body], { type: 'image/webp' });
+}
+
+// 4b. Looping animated GIF built one frame (ImageData) at a time, so long
+//     turntables don't keep every raw frame in memory. Each frame gets its
+//     own 256-color palette; with `alpha`, pixels are either fully
+//     transparent or opaque.
+export function createGifEncoder({ frameDuration = 100, alpha = false } = {}) {
+  const gif = GIFEncoder();
+  const format = alpha ? 'rgba4444' : 'rgb565';
+  return {
+    addFrame(image) {
+      const palette = quantize(image.data, 256, { format, oneBitAlpha: alpha });
+      const index = applyPalette(image.data, palette, format);
+      const transparentIndex = alpha ? palette.findIndex((color) => color[3] === 0) : -1;
+      gif.writeFrame(index, image.width, image.height, {
+        palette,
+        delay: frameDuration,
+        transparent: transparentIndex >= 0,
+        transparentIndex: Math.max(0, transparentIndex),
+        dispose: alpha ? 2 : 1, // clear transparent frames before the next one
+      });
+    },
+    finish() {
+      gif.finish();
+      return new Blob([gif.bytes()], { type: 'image/gif' });
+    },
+  };
+}
+
+// 5. Zip archive of [{ name, data: Uint8Array }]. Images are already
+//    compressed, so entries are stored as-is.
+export function zipFiles(files) {
+  const entries = {};
+  files.forEach(({ name, data }) => {
+    entries[name] = [data, { level: 0 }];
+  });
+  return new Blob([zipSync(entries)], { type: 'application/zip' });
+}
+
+// 6. Name usable as a file name on every platform
+export function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'untitled';
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { createGifEncoder, encodeAnimatedWebP, safeFileName } from './capture';
+
+const text = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+// Solid-color RGBA frame; `hole` leaves the top-left pixel fully transparent
+const frame = (width, height, [r, g, b], hole = false) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([r, g, b, 255], i);
+  if (hole) data.set([0, 0, 0, 0], 0);
+  return { width, height, data };
+};
+
+// Offsets of the graphic control extensions (one per frame)
+const controlBlocks = (bytes) => {
+  const found = [];
+  for (let i = 0; i < bytes.length - 2; i++) {
+    if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 0x04) found.push(i);
+  }
+  return found;
+};
+
+describe('createGifEncoder', () => {
+  it('writes a looping GIF with one frame per call', async () => {
+    const gif = createGifEncoder({ frameDuration: 100 });
+    gif.addFrame(frame(4, 2, [255, 0, 0]));
+    gif.addFrame(frame(4, 2, [0, 0, 255]));
+    const blob = gif.finish();
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    expect(blob.type).toBe('image/gif');
+    expect(text(bytes, 0, 6)).toBe('GIF89a');
+    expect(bytes[6] | (bytes[7] << 8)).toBe(4);
+    expect(bytes[8] | (bytes[9] << 8)).toBe(2);
+    expect(text(bytes, 0, bytes.length)).toContain('NETSCAPE2.0');
+    const blocks = controlBlocks(bytes);
+    expect(blocks).toHaveLength(2);
+    expect(bytes[blocks[0] + 4]).toBe(10); // 100 ms in hundredths
+    expect(bytes[bytes.length - 1]).toBe(0x3b);
+  });
+
+  it('marks a transparent color and clears frames when alpha is kept', async () => {
+    const gif = createGifEncoder({ alpha: true });
+    gif.addFrame(frame(2, 2, [0, 255, 0], true));
+    const bytes = new Uint8Array(await gif.finish().arrayBuffer());
+    const [block] = controlBlocks(bytes);
+    const packed = bytes[block + 3];
+    expect(packed & 0x01).toBe(1); // transparency
+    expect((packed >> 2) & 0x07).toBe(2); // restore to background
+  });
+});
+
+describe('encodeAnimatedWebP', () => {
+  // Still WebP file holding a single (fake) lossless image chunk
+  const still = (payload) => {
+    const chunk = new Uint8Array(8 + payload.length);
+    chunk.set(new TextEncoder().encode('VP8L'));
+    new DataView(chunk.buffer).setUint32(4, payload.length, true);
+    chunk.set(payload, 8);
+    const file = new Uint8Array(12 + chunk.length);
+    file.set(new TextEncoder().encode('RIFF'));
+    new DataView(file.buffer).setUint32(4, 4 + chunk.length, true);
+    file.set(new TextEncoder().encode('WEBP'), 8);
+    file.set(chunk, 12);
+    return file;
+  };
+
+  it('wraps each still into an animation frame', async () => {
+    const blob = encodeAnimatedWebP([still(new Uint8Array([1, 2])), still(new Uint8Array([3, 4]))], {
+      width: 640,
+      height: 480,
+      frameDuration: 50,
+      alpha: true,
+    });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    expect(text(bytes, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+    expect(text(bytes, 12, 4)).toBe('VP8X');
+    expect(bytes[20] & 0x12).toBe(0x12); // animation and alpha flags
+    expect(text(bytes, 0, bytes.length).split('ANMF')).toHaveLength(3);
+  });
+
+  it('rejects frames that are not WebP', () => {
+    expect(() => encodeAnimatedWebP([new Uint8Array(16)], { width: 1, height: 1 })).toThrow('Not a WebP image');
+  });
+});
+
+describe('safeFileName', () => {
+  it('replaces characters that are not allowed in file names', () => {
+    expect(safeFileName('Front: left/right?')).toBe('Front_ left_right_');
+    expect(safeFileName('  ')).toBe('untitled');
+  });
+});
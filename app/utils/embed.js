@@ -0,0 +1,151 @@
+// utils/embed.js
+import { findByPartPath, getPartPath } from './partPaths';
+import { getModelFormat } from './loaders';
+
+// The read-only viewer at /embed/[projectId] is set up from the query string
+//   ?variant=<id or name>&bookmark=<id or name>&background=<hex | transparent>
+//    &autorotate=<1 | speed>&hidden=<part path or name>,<part path or name>
+// and driven at runtime by the host page with postMessage (see 5).
+// Projects live in IndexedDB, so an embed only shows projects saved in the
+// same browser on the same origin: it previews a project on the author's
+// own pages and is not a link to share. Anyone else gets an 'unavailable'
+// error. Embeds for other visitors load a published file instead, with
+// /embed?src=<file URL> and the same options (see 7).
+
+export const EMBED_MESSAGE_SOURCE = 'model-viewer-embed';
+
+// OrbitControls' own default speed (a turn every 30 s at 60 fps)
+const DEFAULT_AUTOROTATE_SPEED = 2;
+
+// 1. Background override: a lighting `background` patch, or null to keep
+//    the project's own
+export function parseBackground(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (value === 'transparent') return { type: 'transparent' };
+  const hex = value.replace(/^#/, '');
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) return null;
+  return { type: 'color', color: `#${hex}` };
+}
+
+// 2. Autorotate speed; 0 is off. Flags turn it on at the default speed.
+export function parseAutoRotate(value) {
+  if (value === null || value === undefined || value === false || value === '0' || value === 'false') return 0;
+  if (value === true || value === '' || value === '1' || value === 'true') return DEFAULT_AUTOROTATE_SPEED;
+  const speed = Number(value);
+  return Number.isFinite(speed) ? speed : 0;
+}
+
+// 3. Options from Next's searchParams object. Repeated keys keep the first.
+export function parseEmbedOptions(query = {}) {
+  const param = (key) => [].concat(query[key] ?? [])[0] ?? null;
+  return {
+    variant: param('variant'),
+    bookmark: param('bookmark'),
+    background: parseBackground(param('background')),
+    autoRotate: parseAutoRotate(param('autorotate')),
+    hidden: (param('hidden') || '').split(',').map((ref) => ref.trim()).filter(Boolean),
+  };
+}
+
+// 4. Find a saved variant or bookmark by id, falling back to its name
+export function findByIdOrName(items, ref) {
+  if (!ref) return null;
+  return items.find((item) => item.id === ref) || items.find((item) => item.name === ref) || null;
+}
+
+// 4b. Part paths for references given as paths or node names
+export function resolvePartRefs(root, refs) {
+  return refs
+    .map((ref) => findByPartPath(root, ref) || root.getObjectByName(ref))
+    .filter(Boolean)
+    .map((node) => getPartPath(node, root));
+}
+
+// 5. Messages between the host page and the embed are plain objects tagged
+//    with EMBED_MESSAGE_SOURCE. Only the parent window is listened to, and
+//    replies go to its origin alone. The host sends
+//      { type: 'getState' }                  answered with 'state' (below)
+//      { type: 'setVariant', variant }       id or name
+//      { type: 'setBookmark', bookmark }     id or name; the camera glides there
+//      { type: 'setBackground', background } as in the query string
+//      { type: 'setAutoRotate', autoRotate } true/false or a speed
+//      { type: 'setHiddenParts', hidden }    array of part paths or names
+//    and receives { type: 'ready', variants, bookmarks } once the model is
+//    shown, or { type: 'error', code, message } with code 'unavailable'
+//    (not saved in this browser) or 'failed' (the project or its model
+//    files could not be read). Those are sent to the referrer's origin;
+//    when the browser withheld the referrer, the host asks with 'getState'
+//    and gets { type: 'state', ready, error, variants, bookmarks } back.
+export function createEmbedMessage(type, data = {}) {
+  return { source: EMBED_MESSAGE_SOURCE, type, ...data };
+}
+
+// 5b. A host message as { type, value } with the value normalized like the
+//     query string; null for anything else posted to the window
+export function parseEmbedMessage(data) {
+  if (data?.source !== EMBED_MESSAGE_SOURCE) return null;
+  switch (data.type) {
+    case 'getState':
+      return { type: data.type, value: null };
+    case 'setVariant':
+      return { type: data.type, value: data.variant == null ? null : String(data.variant) };
+    case 'setBookmark':
+      return { type: data.type, value: data.bookmark == null ? null : String(data.bookmark) };
+    case 'setBackground':
+      return { type: data.type, value: parseBackground(data.background) };
+    case 'setAutoRotate':
+      return { type: data.type, value: parseAutoRotate(data.autoRotate) };
+    case 'setHiddenParts':
+      return { type: data.type, value: [].concat(data.hidden || []).map(String) };
+    default:
+      return null;
+  }
+}
+
+// 6. Origin of the page embedding us, from the referrer. Null when the
+//    browser withheld it; the host then asks with 'getState'.
+export function referrerOrigin() {
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// 7. Published embeds. The editor's "For embed" export is a .glb whose root
+//    node carries the viewer settings under EMBED_SETTINGS_KEY in its
+//    extras, in the shape of the project's saved state; materials,
+//    transforms and variants are part of the glTF itself. The file can be
+//    hosted anywhere that allows this origin to fetch it (CORS).
+export const EMBED_SETTINGS_KEY = 'modelViewerEmbed';
+
+export function createEmbedSettings({ lighting, stage, cameraBookmarks, hidden, shadowless }) {
+  // Environment files stay behind in this browser's texture store
+  const environment = lighting.environment.source === 'file'
+    ? { ...lighting.environment, source: 'room', texture: null, format: null, name: '' }
+    : lighting.environment;
+  return { lighting: { ...lighting, environment }, stage, cameraBookmarks, nodes: { hidden, shadowless } };
+}
+
+// 7b. The exported root node and its settings in a loaded published file.
+//     Any other file is shown as it is: the whole scene, no settings.
+export function findEmbedSettings(scene) {
+  const root = [scene, ...scene.children].find((node) => node.userData?.[EMBED_SETTINGS_KEY]);
+  return root ? { root, settings: root.userData[EMBED_SETTINGS_KEY] } : { root: scene, settings: null };
+}
+
+// 7c. A src value as the model files to load: an http(s) URL, resolved
+//     against `base`, whose file name picks the loader (.glb when it has no
+//     known extension). Null for anything else.
+export function resolveEmbedSource(value, base) {
+  if (typeof value !== 'string' || !value) return null;
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  const mainPath = getModelFormat(url.pathname) ? url.pathname : 'model.glb';
+  return { url: url.href, modelFiles: { mainPath, files: [] } };
+}
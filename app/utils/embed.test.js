@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { DEFAULT_LIGHTING } from './lighting';
+import {
+  parseEmbedOptions,
+  parseEmbedMessage,
+  EMBED_SETTINGS_KEY,
+  createEmbedSettings,
+  findEmbedSettings,
+  resolveEmbedSource,
+} from './embed';
+
+describe('parseEmbedOptions', () => {
+  it('reads the query string, keeping the first of repeated keys', () => {
+    expect(parseEmbedOptions({ variant: ['Oak', 'Ash'], background: 'fff', autorotate: '1', hidden: 'Lid, 0:Body/1:Door' })).toEqual({
+      variant: 'Oak',
+      bookmark: null,
+      background: { type: 'color', color: '#fff' },
+      autoRotate: 2,
+      hidden: ['Lid', '0:Body/1:Door'],
+    });
+  });
+});
+
+describe('parseEmbedMessage', () => {
+  it('ignores messages from other sources', () => {
+    expect(parseEmbedMessage({ type: 'setVariant', variant: 'Oak' })).toBeNull();
+  });
+});
+
+describe('published embeds', () => {
+  it('leaves environment files out of the exported settings', () => {
+    const lighting = { ...DEFAULT_LIGHTING, environment: { source: 'file', texture: 'abc', format: 'hdr', name: 'Studio', intensity: 2 } };
+    const settings = createEmbedSettings({ lighting, stage: {}, cameraBookmarks: [], hidden: ['0:Lid'], shadowless: [] });
+    expect(settings.lighting.environment).toEqual({ source: 'room', texture: null, format: null, name: '', intensity: 2 });
+    expect(settings.nodes).toEqual({ hidden: ['0:Lid'], shadowless: [] });
+  });
+
+  it('finds the exported root node under the loaded scene', () => {
+    const loaded = new THREE.Group();
+    const root = new THREE.Group();
+    root.userData[EMBED_SETTINGS_KEY] = { cameraBookmarks: [] };
+    loaded.add(root);
+    expect(findEmbedSettings(loaded)).toEqual({ root, settings: { cameraBookmarks: [] } });
+    const plain = new THREE.Group();
+    expect(findEmbedSettings(plain)).toEqual({ root: plain, settings: null });
+  });
+
+  it('accepts only web URLs and picks the loader from the file name', () => {
+    const base = 'https://viewer.example/embed?src=x';
+    expect(resolveEmbedSource('/files/chair.gltf', base)).toEqual({
+      url: 'https://viewer.example/files/chair.gltf',
+      modelFiles: { mainPath: '/files/chair.gltf', files: [] },
+    });
+    expect(resolveEmbedSource('https://cdn.example/download?id=7', base).modelFiles.mainPath).toBe('model.glb');
+    expect(resolveEmbedSource('javascript:alert(1)', base)).toBeNull();
+    expect(resolveEmbedSource(null, base)).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+// utils/explode.js
+import * as THREE from 'three';
+
+// An explode plan is a list of moves { node, base, offset }: the node's
+// collapsed position and its displacement (in its parent's space) at factor 1.
+// Each node moves by its bounding-box offset from the assembly center, so
+// parts farther out travel farther and subassemblies move as one.
+
+export const EXPLODE_AXES = {
+  radial: null,
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+// Children that make up an assembly, skipping wrapper nodes with one child
+function assemblyUnits(node) {
+  let assembly = node;
+  while (assembly.children.length === 1) assembly = assembly.children[0];
+  return assembly.children;
+}
+
+// 1. Plan how each unit moves. `levels` > 1 also spreads the parts inside
+//    each subassembly around that subassembly's own center.
+export function planExplode(root, { axis = 'radial', levels = 1 } = {}) {
+  root.updateWorldMatrix(true, true);
+  const direction = EXPLODE_AXES[axis];
+  const moves = [];
+
+  const visit = (assembly, depth) => {
+    const units = assemblyUnits(assembly)
+      .map((node) => ({ node, box: new THREE.Box3().setFromObject(node) }))
+      .filter(({ box }) => !box.isEmpty());
+    if (units.length < 2) return;
+    const center = units.reduce((box, unit) => box.union(unit.box), new THREE.Box3()).getCenter(new THREE.Vector3());
+
+    units.forEach(({ node, box }) => {
+      const unitCenter = box.getCenter(new THREE.Vector3());
+      let offset = unitCenter.clone().sub(center);
+      if (direction) offset = direction.clone().multiplyScalar(offset.dot(direction));
+      // Express the world-space offset in the space the node's position lives in
+      const from = node.parent.worldToLocal(unitCenter.clone());
+      const to = node.parent.worldToLocal(unitCenter.clone().add(offset));
+      moves.push({ node, base: node.position.clone(), offset: to.sub(from) });
+      if (depth < levels) visit(node, depth + 1);
+    });
+  };
+
+  visit(root, 1);
+  return moves;
+}
+
+// 2. Place every node of a plan at the given explode factor (0 = collapsed)
+export function applyExplode(moves, factor) {
+  moves.forEach(({ node, base, offset }) => {
+    node.position.copy(base).addScaledVector(offset, factor);
+    node.updateMatrixWorld(true);
+  });
+}
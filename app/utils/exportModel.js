@@ -0,0 +1,77 @@
+// utils/exportModel.js
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+// 1. Serialize a scene graph to glTF. Resolves to an ArrayBuffer for .glb
+//    and to the glTF JSON object otherwise (buffers embedded as data URIs).
+//    `plugins` are GLTFExporter plugin callbacks, e.g. from utils/variants.
+export function exportScene(scene, { binary = true, animations = [], plugins = [] } = {}) {
+  const exporter = new GLTFExporter();
+  plugins.forEach((plugin) => exporter.register(plugin));
+  return exporter.parseAsync(scene, {
+    binary,
+    animations,
+    onlyVisible: false,
+    embedImages: true,
+  });
+}
+
+// 2. Move the embedded geometry buffer of a .gltf out into a separate .bin
+export function splitGltfBuffer(gltf, binName) {
+  const json = JSON.parse(JSON.stringify(gltf));
+  const buffer = json.buffers && json.buffers[0];
+  if (!buffer || !buffer.uri || !buffer.uri.startsWith('data:')) {
+    return { json, bin: null };
+  }
+  const base64 = buffer.uri.split(',')[1];
+  const raw = atob(base64);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+  buffer.uri = binName;
+  return { json, bin: bytes };
+}
+
+// 3. Trigger a browser download for a Blob
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Write the files for one format and hand them to the browser
+async function exportAndDownload(scene, format, fileName, { animations, compress, plugins }) {
+  if (format === 'glb') {
+    const blob = await exportGlbBlob(scene, { animations, compress, plugins });
+    downloadBlob(blob, `${fileName}.glb`);
+    return;
+  }
+  const result = await exportScene(scene, { binary: false, animations, plugins });
+  const binName = `${fileName}.bin`;
+  const { json, bin } = splitGltfBuffer(result, binName);
+  downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'model/gltf+json' }), `${fileName}.gltf`);
+  if (bin) downloadBlob(new Blob([bin], { type: 'application/octet-stream' }), binName);
+}
+
+// 4. Export and download as 'glb' (single binary) or 'gltf' (.gltf + .bin).
+//    `extras` are merged into the root node's glTF extras for this export only.
+//    `compress` post-processes the .glb bytes (see utils/gltfCompression).
+export async function exportModel(scene, { format = 'glb', fileName = 'model', animations, extras, compress, plugins } = {}) {
+  const userData = scene.userData;
+  if (extras) scene.userData = { ...userData, ...extras };
+  try {
+    await exportAndDownload(scene, format, fileName, { animations, compress, plugins });
+  } finally {
+    scene.userData = userData;
+  }
+}
+
+// 5. The scene as a .glb Blob, optionally compressed, without downloading it
+export async function exportGlbBlob(scene, { animations = [], compress, plugins } = {}) {
+  let result = await exportScene(scene, { binary: true, animations, plugins });
+  if (compress) result = await compress(result);
+  return new Blob([result], { type: 'model/gltf-binary' });
+}
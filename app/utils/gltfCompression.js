@@ -0,0 +1,339 @@
+// utils/gltfCompression.js
+import { MeshoptEncoder } from 'meshoptimizer';
+
+// Geometry compression applied to the .glb GLTFExporter writes. Both passes
+// rewrite the JSON and repack the BIN chunk; nothing else is touched.
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const ARRAY_BUFFER = 34962;
+const FLOAT = 5126;
+
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const COMPONENT_READERS = { 5121: 'getUint8', 5123: 'getUint16', 5125: 'getUint32', 5126: 'getFloat32' };
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Draco attribute kind and quantization bits per glTF attribute. Primitives
+// with any other attribute (skinning, tangents, custom) are left as they are.
+const DRACO_ATTRIBUTES = {
+  POSITION: ['POSITION', 14],
+  NORMAL: ['NORMAL', 10],
+  TEXCOORD_0: ['TEX_COORD', 12],
+  TEXCOORD_1: ['TEX_COORD', 12],
+  COLOR_0: ['COLOR', 8],
+};
+
+const align4 = (n) => Math.ceil(n / 4) * 4;
+
+function parseGlb(buffer) {
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error('Not a binary glTF file');
+  let json = null;
+  let bin = new Uint8Array(0);
+  for (let offset = 12; offset < view.byteLength;) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const data = new Uint8Array(buffer, offset + 8, length);
+    if (type === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(data));
+    else if (type === CHUNK_BIN) bin = data;
+    offset += 8 + length;
+  }
+  if (!json) throw new Error('The file has no glTF JSON');
+  return { json, bin };
+}
+
+function writeGlb(json, bin) {
+  const text = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = align4(text.length);
+  const binLength = align4(bin.length);
+  const total = 20 + jsonLength + (binLength ? 8 + binLength : 0);
+  const bytes = new Uint8Array(total);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  bytes.fill(0x20, 20, 20 + jsonLength); // JSON is padded with spaces
+  bytes.set(text, 20);
+  if (binLength) {
+    const at = 20 + jsonLength;
+    view.setUint32(at, binLength, true);
+    view.setUint32(at + 4, CHUNK_BIN, true);
+    bytes.set(bin, at + 8);
+  }
+  return bytes.buffer;
+}
+
+// Growing BIN chunk; every piece starts 4-byte aligned
+function createBinWriter() {
+  const pieces = [];
+  let length = 0;
+  return {
+    append(bytes) {
+      const offset = length;
+      pieces.push({ offset, bytes });
+      length = align4(offset + bytes.length);
+      return offset;
+    },
+    get length() {
+      return length;
+    },
+    toBytes() {
+      const bytes = new Uint8Array(length);
+      pieces.forEach(({ offset, bytes: piece }) => bytes.set(piece, offset));
+      return bytes;
+    },
+  };
+}
+
+function requireExtension(json, name) {
+  json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), name])];
+  json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), name])];
+}
+
+function viewBytes(view, bin) {
+  if (view.bytes) return view.bytes;
+  const start = view.byteOffset || 0;
+  return bin.subarray(start, start + view.byteLength);
+}
+
+// Unpack an accessor into a flat typed array
+function readAccessor(json, bin, index, ArrayType) {
+  const accessor = json.accessors[index];
+  const size = TYPE_SIZES[accessor.type];
+  const componentSize = COMPONENT_SIZES[accessor.componentType];
+  const view = json.bufferViews[accessor.bufferView];
+  const stride = view.byteStride || size * componentSize;
+  const start = bin.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const data = new DataView(bin.buffer);
+  const read = COMPONENT_READERS[accessor.componentType];
+  const values = new ArrayType(accessor.count * size);
+  for (let i = 0; i < accessor.count; i++) {
+    for (let k = 0; k < size; k++) values[i * size + k] = data[read](start + i * stride + k * componentSize, true);
+  }
+  return values;
+}
+
+// Call `visit` on every accessor reference and store what it returns
+function mapAccessorRefs(json, visit) {
+  (json.meshes || []).forEach((mesh) => mesh.primitives.forEach((primitive) => {
+    Object.keys(primitive.attributes).forEach((name) => { primitive.attributes[name] = visit(primitive.attributes[name]); });
+    if (primitive.indices !== undefined) primitive.indices = visit(primitive.indices);
+    (primitive.targets || []).forEach((target) => Object.keys(target).forEach((name) => { target[name] = visit(target[name]); }));
+  }));
+  (json.skins || []).forEach((skin) => {
+    if (skin.inverseBindMatrices !== undefined) skin.inverseBindMatrices = visit(skin.inverseBindMatrices);
+  });
+  (json.animations || []).forEach((animation) => animation.samplers.forEach((sampler) => {
+    sampler.input = visit(sampler.input);
+    sampler.output = visit(sampler.output);
+  }));
+}
+
+// Same for buffer view references
+function mapViewRefs(json, visit) {
+  (json.accessors || []).forEach((accessor) => {
+    if (accessor.bufferView !== undefined) accessor.bufferView = visit(accessor.bufferView);
+    if (accessor.sparse) {
+      accessor.sparse.indices.bufferView = visit(accessor.sparse.indices.bufferView);
+      accessor.sparse.values.bufferView = visit(accessor.sparse.values.bufferView);
+    }
+  });
+  (json.images || []).forEach((image) => {
+    if (image.bufferView !== undefined) image.bufferView = visit(image.bufferView);
+  });
+  (json.meshes || []).forEach((mesh) => mesh.primitives.forEach((primitive) => {
+    const draco = primitive.extensions?.KHR_draco_mesh_compression;
+    if (draco) draco.bufferView = visit(draco.bufferView);
+  }));
+}
+
+// Drop entries of json[key] that nothing refers to and renumber the references
+function prune(json, key, mapRefs) {
+  const used = new Set();
+  mapRefs(json, (index) => {
+    used.add(index);
+    return index;
+  });
+  const renumbered = new Map();
+  json[key] = json[key].filter((item, index) => {
+    if (!used.has(index)) return false;
+    renumbered.set(index, renumbered.size);
+    return true;
+  });
+  mapRefs(json, (index) => renumbered.get(index));
+}
+
+// Can this primitive be replaced by a Draco stream as a whole?
+function dracoCompatible(json, primitive) {
+  if ((primitive.mode ?? 4) !== 4 || primitive.targets || primitive.extensions?.KHR_draco_mesh_compression) return false;
+  if (primitive.attributes.POSITION === undefined) return false;
+  const accessors = Object.entries(primitive.attributes).map(([name, index]) => [name, json.accessors[index]]);
+  if (accessors.some(([name, accessor]) => !DRACO_ATTRIBUTES[name] || accessor.componentType !== FLOAT || accessor.sparse || accessor.bufferView === undefined)) {
+    return false;
+  }
+  const indices = primitive.indices !== undefined ? json.accessors[primitive.indices] : null;
+  return !indices || (indices.bufferView !== undefined && !indices.sparse);
+}
+
+function encodeDracoPrimitive(draco, json, bin, primitive) {
+  const encoder = new draco.Encoder();
+  const builder = new draco.MeshBuilder();
+  const mesh = new draco.Mesh();
+  const data = new draco.DracoInt8Array();
+  try {
+    const count = json.accessors[primitive.attributes.POSITION].count;
+    const indices = primitive.indices !== undefined
+      ? readAccessor(json, bin, primitive.indices, Uint32Array)
+      : Uint32Array.from({ length: count }, (_, i) => i);
+    builder.AddFacesToMesh(mesh, indices.length / 3, indices);
+
+    const attributes = {};
+    Object.entries(primitive.attributes).forEach(([name, index]) => {
+      const [kind, bits] = DRACO_ATTRIBUTES[name];
+      const size = TYPE_SIZES[json.accessors[index].type];
+      attributes[name] = builder.AddFloatAttributeToMesh(mesh, draco[kind], count, size, readAccessor(json, bin, index, Float32Array));
+      encoder.SetAttributeQuantization(draco[kind], bits);
+    });
+    encoder.SetSpeedOptions(5, 5);
+    encoder.SetEncodingMethod(draco.MESH_EDGEBREAKER_ENCODING);
+    // Edgebreaker reorders and dedupes points; accessors must report the new counts
+    encoder.SetTrackEncodedProperties(true);
+    const length = encoder.EncodeMeshToDracoBuffer(mesh, data);
+    if (!length) return null;
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) bytes[i] = data.GetValue(i);
+    return { bytes, attributes, points: encoder.GetNumberOfEncodedPoints(), faces: encoder.GetNumberOfEncodedFaces() };
+  } finally {
+    [data, mesh, builder, encoder].forEach((object) => draco.destroy(object));
+  }
+}
+
+// Encode a primitive and add its stream as a new buffer view, plus accessors
+// without data that describe what the stream decodes to. Null if Draco
+// rejects the mesh.
+function addDracoStream(draco, json, bin, primitive) {
+  const result = encodeDracoPrimitive(draco, json, bin, primitive);
+  if (!result) return null;
+  json.bufferViews.push({ buffer: 0, byteLength: result.bytes.length, bytes: result.bytes });
+  const view = json.bufferViews.length - 1;
+  const describe = (index, count) => {
+    const { bufferView, byteOffset, ...accessor } = json.accessors[index];
+    return json.accessors.push({ ...accessor, count }) - 1;
+  };
+  const attributes = {};
+  Object.entries(primitive.attributes).forEach(([name, index]) => { attributes[name] = describe(index, result.points); });
+  const indices = primitive.indices !== undefined
+    ? describe(primitive.indices, result.faces * 3)
+    : json.accessors.push({ componentType: 5125, count: result.faces * 3, type: 'SCALAR' }) - 1;
+  return { view, ids: result.attributes, attributes, indices };
+}
+
+// Rebuild the BIN chunk from the buffer views still in use
+function pack(json, bin) {
+  const writer = createBinWriter();
+  (json.bufferViews || []).forEach((view) => {
+    view.byteOffset = writer.append(viewBytes(view, bin));
+    view.buffer = 0;
+    delete view.bytes;
+  });
+  json.buffers = [{ ...json.buffers?.[0], byteLength: writer.length }];
+  return writer.toBytes();
+}
+
+// 1. KHR_draco_mesh_compression for every primitive Draco can hold (triangles
+//    with position, normal, UV and color floats). `draco` is the encoder
+//    module from draco_encoder.js. Accessors shared with uncompressed
+//    primitives are copied, so each primitive keeps valid counts.
+export function compressGlbDraco(glb, draco) {
+  const { json, bin } = parseGlb(glb);
+  const streams = new Map(); // same attributes + indices → one stream
+  let compressed = 0;
+
+  (json.meshes || []).forEach((mesh) => mesh.primitives.forEach((primitive) => {
+    if (!dracoCompatible(json, primitive)) return;
+    const key = JSON.stringify([primitive.attributes, primitive.indices]);
+    if (!streams.has(key)) streams.set(key, addDracoStream(draco, json, bin, primitive));
+    const stream = streams.get(key);
+    if (!stream) return;
+    primitive.attributes = { ...stream.attributes };
+    primitive.indices = stream.indices;
+    primitive.extensions = {
+      ...primitive.extensions,
+      KHR_draco_mesh_compression: { bufferView: stream.view, attributes: { ...stream.ids } },
+    };
+    compressed++;
+  }));
+
+  if (compressed === 0) return glb;
+  prune(json, 'accessors', mapAccessorRefs);
+  prune(json, 'bufferViews', mapViewRefs);
+  requireExtension(json, 'KHR_draco_mesh_compression');
+  return writeGlb(json, pack(json, bin));
+}
+
+// 2. EXT_meshopt_compression: vertex and index buffer views are encoded with
+//    meshoptimizer's codecs, everything else is copied. Encoded views keep
+//    their place in an empty fallback buffer, as gltfpack writes them.
+export async function compressGlbMeshopt(glb) {
+  await MeshoptEncoder.ready;
+  const { json, bin } = parseGlb(glb);
+  if (!json.bufferViews?.length) return glb;
+
+  // Index views are only recognizable through the primitives using them
+  const indexViews = new Map(); // bufferView → { mode, accessor }
+  (json.meshes || []).forEach((mesh) => mesh.primitives.forEach((primitive) => {
+    const accessor = primitive.indices !== undefined ? json.accessors[primitive.indices] : null;
+    if (!accessor || accessor.bufferView === undefined || accessor.byteOffset || accessor.componentType === 5121) return;
+    const triangles = (primitive.mode ?? 4) === 4 && accessor.count % 3 === 0;
+    indexViews.set(accessor.bufferView, { mode: triangles ? 'TRIANGLES' : 'INDICES', accessor });
+  }));
+
+  const writer = createBinWriter();
+  const fallback = 1;
+  let fallbackLength = 0;
+  json.bufferViews.forEach((view, i) => {
+    const bytes = viewBytes(view, bin);
+    const index = indexViews.get(i);
+    let encoded = null;
+    if (index) {
+      const stride = COMPONENT_SIZES[index.accessor.componentType];
+      const count = index.accessor.count;
+      encoded = { stride, count, mode: index.mode, data: MeshoptEncoder.encodeGltfBuffer(bytes.slice(0, count * stride), count, stride, index.mode) };
+    } else if (view.target === ARRAY_BUFFER && view.byteStride % 4 === 0 && view.byteStride <= 256 && bytes.length % view.byteStride === 0) {
+      const count = bytes.length / view.byteStride;
+      encoded = { stride: view.byteStride, count, mode: 'ATTRIBUTES', data: MeshoptEncoder.encodeGltfBuffer(bytes.slice(), count, view.byteStride, 'ATTRIBUTES') };
+    }
+
+    if (!encoded) {
+      view.byteOffset = writer.append(bytes);
+      view.buffer = 0;
+      return;
+    }
+    view.extensions = {
+      ...view.extensions,
+      EXT_meshopt_compression: {
+        buffer: 0,
+        byteOffset: writer.append(encoded.data),
+        byteLength: encoded.data.length,
+        byteStride: encoded.stride,
+        count: encoded.count,
+        mode: encoded.mode,
+      },
+    };
+    view.buffer = fallback;
+    view.byteOffset = fallbackLength;
+    view.byteLength = encoded.count * encoded.stride;
+    fallbackLength = align4(fallbackLength + view.byteLength);
+  });
+
+  if (fallbackLength === 0) return glb;
+  json.buffers = [
+    { ...json.buffers[0], byteLength: writer.length },
+    { byteLength: fallbackLength, extensions: { EXT_meshopt_compression: { fallback: true } } },
+  ];
+  requireExtension(json, 'EXT_meshopt_compression');
+  return writeGlb(json, writer.toBytes());
+}
@@ -0,0 +1,187 @@
+import { createRequire } from 'node:module';
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import draco3d from 'draco3d';
+import { compressGlbDraco, compressGlbMeshopt } from './gltfCompression';
+
+// GLTFExporter reads the finished .glb back through FileReader, which node lacks
+globalThis.FileReader ??= class {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((result) => {
+      this.result = result;
+      this.onloadend();
+    });
+  }
+};
+
+// The encoder build the worker loads from public/draco
+const loadDracoEncoder = () => createRequire(import.meta.url)('../../public/draco/draco_encoder.js')();
+
+// Stands in for DRACOLoader, which decodes in web workers: the same steps on
+// draco3d's node decoder
+const createDracoDecoder = (draco) => ({
+  preload() {},
+  decodeDracoFile(buffer, onLoad, attributeIds, attributeTypes, colorSpace, onError) {
+    const decoder = new draco.Decoder();
+    const mesh = new draco.Mesh();
+    try {
+      const bytes = new Int8Array(buffer);
+      const status = decoder.DecodeArrayToMesh(bytes, bytes.byteLength, mesh);
+      if (!status.ok()) throw new Error(status.error_msg());
+      const copy = (count, read) => {
+        const ptr = draco._malloc(count * 4);
+        read(ptr);
+        const values = new Float32Array(draco.HEAPF32.buffer, ptr, count).slice();
+        draco._free(ptr);
+        return values;
+      };
+      const geometry = new THREE.BufferGeometry();
+      const indexCount = mesh.num_faces() * 3;
+      const ptr = draco._malloc(indexCount * 4);
+      decoder.GetTrianglesUInt32Array(mesh, indexCount * 4, ptr);
+      geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(draco.HEAPF32.buffer, ptr, indexCount).slice(), 1));
+      draco._free(ptr);
+      Object.entries(attributeIds).forEach(([name, id]) => {
+        const attribute = decoder.GetAttributeByUniqueId(mesh, id);
+        const size = attribute.num_components();
+        const count = mesh.num_points() * size;
+        const values = copy(count, (at) => decoder.GetAttributeDataArrayForAllPoints(mesh, attribute, draco.DT_FLOAT32, count * 4, at));
+        geometry.setAttribute(name, new THREE.BufferAttribute(values, size));
+      });
+      onLoad(geometry);
+    } catch (err) {
+      onError(err);
+    } finally {
+      draco.destroy(mesh);
+      draco.destroy(decoder);
+    }
+  },
+});
+
+let dracoEncoder;
+let loader;
+beforeAll(async () => {
+  dracoEncoder = loadDracoEncoder();
+  const dracoDecoder = await draco3d.createDecoderModule({});
+  loader = new GLTFLoader().setDRACOLoader(createDracoDecoder(dracoDecoder)).setMeshoptDecoder(MeshoptDecoder);
+});
+
+const named = (object, name) => {
+  object.name = name;
+  return object;
+};
+
+// Indexed sphere used twice, a non-indexed colored triangle and a line
+const buildScene = () => {
+  const scene = new THREE.Scene();
+  const material = new THREE.MeshStandardMaterial();
+  const sphere = new THREE.SphereGeometry(1, 32, 16);
+  const triangle = new THREE.BufferGeometry();
+  triangle.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 1, 0, 0, 0, 1, 0], 3));
+  triangle.setAttribute('color', new THREE.Float32BufferAttribute([1, 0, 0, 0, 1, 0, 0, 0, 1], 3));
+  const line = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 2, 0)]);
+  const right = named(new THREE.Mesh(sphere, material), 'Right');
+  right.position.x = 3;
+  scene.add(
+    named(new THREE.Mesh(sphere, material), 'Left'),
+    right,
+    named(new THREE.Mesh(triangle, new THREE.MeshStandardMaterial({ vertexColors: true })), 'Triangle'),
+    named(new THREE.Line(line, new THREE.LineBasicMaterial()), 'Guide'),
+  );
+  return scene;
+};
+
+const exportGlb = (scene) => new GLTFExporter().parseAsync(scene, { binary: true });
+
+const glbJson = (glb) => {
+  const length = new DataView(glb).getUint32(12, true);
+  return JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, length)));
+};
+
+const loadGlb = async (glb) => (await loader.parseAsync(glb, '')).scene;
+
+const triangleCount = (geometry) => (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+
+// The index codec may rotate each triangle; compare them from their smallest
+// index with the winding kept
+const trianglesOf = (geometry) => {
+  if (!geometry.index) return null;
+  const triangles = [];
+  const index = geometry.index.array;
+  for (let i = 0; i < index.length; i += 3) {
+    const corners = [index[i], index[i + 1], index[i + 2]];
+    const start = corners.indexOf(Math.min(...corners));
+    triangles.push([0, 1, 2].map((k) => corners[(start + k) % 3]).join());
+  }
+  return triangles;
+};
+
+const boundsOf = (geometry) => {
+  geometry.computeBoundingBox();
+  return [...geometry.boundingBox.min.toArray(), ...geometry.boundingBox.max.toArray()];
+};
+
+describe('compressGlbDraco', () => {
+  it('loads back with the same parts, triangles and bounds', async () => {
+    const original = await loadGlb(await exportGlb(buildScene()));
+    const glb = compressGlbDraco(await exportGlb(buildScene()), dracoEncoder);
+    expect(glbJson(glb).extensionsRequired).toContain('KHR_draco_mesh_compression');
+
+    const loaded = await loadGlb(glb);
+    ['Left', 'Right', 'Triangle', 'Guide'].forEach((name) => {
+      const before = original.getObjectByName(name);
+      const after = loaded.getObjectByName(name);
+      expect(after.type).toBe(before.type);
+      expect(after.position.toArray()).toEqual(before.position.toArray());
+      expect(triangleCount(after.geometry)).toBe(triangleCount(before.geometry));
+      boundsOf(after.geometry).forEach((value, i) => expect(value).toBeCloseTo(boundsOf(before.geometry)[i], 3));
+    });
+    expect(Object.keys(loaded.getObjectByName('Triangle').geometry.attributes)).toContain('color');
+  });
+
+  it('stores a shared geometry once and shrinks the file', async () => {
+    const input = await exportGlb(buildScene());
+    const glb = compressGlbDraco(input, dracoEncoder);
+    const json = glbJson(glb);
+    const streams = json.meshes.flatMap((mesh) => mesh.primitives)
+      .map((primitive) => primitive.extensions?.KHR_draco_mesh_compression?.bufferView)
+      .filter((view) => view !== undefined);
+    expect(streams).toHaveLength(2);
+    expect(glb.byteLength).toBeLessThan(input.byteLength / 2);
+  });
+
+  it('returns the file unchanged when no primitive can be compressed', async () => {
+    const scene = new THREE.Scene();
+    scene.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(1, 1, 1)])));
+    const input = await exportGlb(scene);
+    expect(compressGlbDraco(input, dracoEncoder)).toBe(input);
+  });
+});
+
+describe('compressGlbMeshopt', () => {
+  it('loads back with identical vertex and index data', async () => {
+    const original = await loadGlb(await exportGlb(buildScene()));
+    const glb = await compressGlbMeshopt(await exportGlb(buildScene()));
+    const json = glbJson(glb);
+    expect(json.extensionsRequired).toContain('EXT_meshopt_compression');
+    expect(json.buffers[1].extensions.EXT_meshopt_compression.fallback).toBe(true);
+
+    const loaded = await loadGlb(glb);
+    ['Left', 'Right', 'Triangle', 'Guide'].forEach((name) => {
+      const before = original.getObjectByName(name).geometry;
+      const after = loaded.getObjectByName(name).geometry;
+      expect(Object.keys(after.attributes).sort()).toEqual(Object.keys(before.attributes).sort());
+      Object.keys(before.attributes).forEach((key) => {
+        expect(Array.from(after.attributes[key].array)).toEqual(Array.from(before.attributes[key].array));
+      });
+      expect(trianglesOf(after)).toEqual(trianglesOf(before));
+    });
+  });
+
+  it('rejects files that are not binary glTF', async () => {
+    await expect(compressGlbMeshopt(new ArrayBuffer(16))).rejects.toThrow('Not a binary glTF file');
+  });
+});
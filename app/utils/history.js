@@ -0,0 +1,191 @@
+// utils/history.js
+import { serializeMaterial, applySerializedMaterial, migrateMaterialState, internMaterialImages, MAP_SLOTS } from './materials';
+import { resolvePart } from './partPaths';
+import { getTransform, applyTransform } from './transforms';
+
+// Undo history is a list of entries, each a named group of commands:
+//   { id, label, timestamp, commands: [{ type, target, before, after }] }
+// `index` counts the entries currently applied. A command is invertible
+// because its type knows how to capture and restore the state it touches;
+// `before`/`after` missing at record time are captured the first time the
+// entry is undone/redone.
+
+export const HISTORY_VERSION = 3;
+export const DEFAULT_HISTORY_DEPTH = 50;
+export const EMPTY_HISTORY = { entries: [], index: 0 };
+
+const commandTypes = new Map();
+
+// 1. Register a command type: { capture(ctx, target), restore(ctx, target, state) }
+export function registerCommandType(type, handlers) {
+  commandTypes.set(type, handlers);
+}
+
+const handlersFor = (type) => {
+  const handlers = commandTypes.get(type);
+  if (!handlers) throw new Error(`Unknown history command type: ${type}`);
+  return handlers;
+};
+
+// 2. Capture the `before` state of a command about to be performed
+export async function beginCommand(ctx, type, target) {
+  return { type, target, before: await handlersFor(type).capture(ctx, target) };
+}
+
+// 3. Capture the `after` state once the mutation has been applied
+export async function finishCommand(ctx, command) {
+  return { ...command, after: await handlersFor(command.type).capture(ctx, command.target) };
+}
+
+// 4. Wrap commands into a history entry
+export function createEntry(label, commands) {
+  return { id: crypto.randomUUID(), label, timestamp: Date.now(), commands };
+}
+
+// 5. Append an entry, dropping any redo tail and the oldest entries beyond depth
+export function pushEntry(history, entry, depth = DEFAULT_HISTORY_DEPTH) {
+  const entries = [...history.entries.slice(0, history.index), entry];
+  const trimmed = entries.slice(Math.max(0, entries.length - depth));
+  return { entries: trimmed, index: trimmed.length };
+}
+
+// 6. Trim a history to a new depth, keeping the most recent entries
+export function trimHistory(history, depth) {
+  const drop = Math.max(0, history.entries.length - depth);
+  if (drop === 0) return history;
+  return { entries: history.entries.slice(drop), index: Math.max(0, history.index - drop) };
+}
+
+// 7. Revert an entry (commands in reverse). Returns the entry with any
+//    missing `after` states filled in.
+export async function undoEntry(ctx, entry) {
+  const commands = [...entry.commands];
+  for (let i = commands.length - 1; i >= 0; i--) {
+    const command = commands[i];
+    const { capture, restore } = handlersFor(command.type);
+    const after = command.after !== undefined ? command.after : await capture(ctx, command.target);
+    if (command.before !== undefined) await restore(ctx, command.target, command.before);
+    commands[i] = { ...command, after };
+  }
+  return { ...entry, commands };
+}
+
+// 8. Reapply an entry. Returns the entry with any missing `before` filled in.
+export async function redoEntry(ctx, entry) {
+  const commands = [...entry.commands];
+  for (let i = 0; i < commands.length; i++) {
+    const command = commands[i];
+    const { capture, restore } = handlersFor(command.type);
+    const before = command.before !== undefined ? command.before : await capture(ctx, command.target);
+    if (command.after !== undefined) await restore(ctx, command.target, command.after);
+    commands[i] = { ...command, before };
+  }
+  return { ...entry, commands };
+}
+
+// 9. Convert saved { undoHistory, redoHistory } stacks into an entry list.
+//    Undo snapshots become `before` states, redo snapshots `after` states.
+export function migrateHistory(saved) {
+  if (!saved) return EMPTY_HISTORY;
+  if (saved.version >= HISTORY_VERSION) return { entries: saved.entries || [], index: saved.index || 0 };
+  const toCommands = (step, key) => (step.steps || [step]).map(({ partPath, meshName, material }) => ({
+    type: 'material',
+    target: { path: partPath, name: meshName },
+    [key]: migrateMaterialState(material),
+  }));
+  const undo = (saved.undoHistory || []).map((step) => createEntry('Edit material', toCommands(step, 'before')));
+  const redo = (saved.redoHistory || []).slice().reverse()
+    .map((step) => createEntry('Edit material', toCommands(step, 'after')));
+  return { entries: [...undo, ...redo], index: undo.length };
+}
+
+// 10. Move images embedded in material commands (older records) into the
+//     texture store. Returns the same history when nothing changed.
+export async function internHistoryImages(history) {
+  const hasImages = (state) => state?.maps && Object.values(state.maps).some((entry) => entry?.image);
+  const intern = (state) => (hasImages(state) ? internMaterialImages(state) : state);
+  let changed = false;
+  const entries = [];
+  for (const entry of history.entries) {
+    const commands = [];
+    for (const command of entry.commands) {
+      if (command.type !== 'material' || !(hasImages(command.before) || hasImages(command.after))) {
+        commands.push(command);
+        continue;
+      }
+      changed = true;
+      commands.push({ ...command, before: await intern(command.before), after: await intern(command.after) });
+    }
+    entries.push({ ...entry, commands });
+  }
+  return changed ? { ...history, entries } : history;
+}
+
+// Material of one part, addressed by { path, name }
+registerCommandType('material', {
+  capture: async (ctx, target) => {
+    const mesh = resolvePart(ctx.scene, target);
+    return mesh && mesh.material ? serializeMaterial(mesh.material) : null;
+  },
+  // Applied in place so the material keeps its class, name and whatever the
+  // snapshot doesn't cover (e.g. clearcoat); maps it replaces are released
+  restore: (ctx, target, state) => {
+    const mesh = resolvePart(ctx.scene, target);
+    if (!mesh?.material || !state) return;
+    const { material } = mesh;
+    const previous = MAP_SLOTS.map(({ key }) => material[key]).filter(Boolean);
+    applySerializedMaterial(material, state);
+    const current = new Set(MAP_SLOTS.map(({ key }) => material[key]));
+    previous.forEach((texture) => {
+      if (!current.has(texture)) texture.dispose();
+    });
+  },
+});
+
+// Hidden/locked/isolated node paths from the outliner
+registerCommandType('visibility', {
+  capture: (ctx) => ctx.getVisibility(),
+  restore: (ctx, target, state) => ctx.setVisibility(state),
+});
+
+// Position/rotation/scale of one node, addressed by { path, name }
+registerCommandType('transform', {
+  capture: (ctx, target) => {
+    const node = resolvePart(ctx.scene, target);
+    return node ? getTransform(node) : null;
+  },
+  restore: (ctx, target, state) => {
+    const node = resolvePart(ctx.scene, target);
+    if (node && state) applyTransform(node, state);
+  },
+});
+
+// Saved camera bookmarks of the project
+registerCommandType('cameraBookmarks', {
+  capture: (ctx) => ctx.getCameraBookmarks(),
+  restore: (ctx, target, state) => ctx.setCameraBookmarks(state),
+});
+
+// Lights, environment, background and tone mapping
+registerCommandType('lighting', {
+  capture: (ctx) => ctx.getLighting(),
+  restore: (ctx, target, state) => ctx.setLighting(state),
+});
+
+// Saved dimension annotations of the project
+registerCommandType('measurements', {
+  capture: (ctx) => ctx.getMeasurements(),
+  restore: (ctx, target, state) => ctx.setMeasurements(state),
+});
+
+// Review notes pinned to parts
+registerCommandType('annotations', {
+  capture: (ctx) => ctx.getAnnotations(),
+  restore: (ctx, target, state) => ctx.setAnnotations(state),
+});
+
+// Named material configurations of the model
+registerCommandType('variants', {
+  capture: (ctx) => ctx.getVariants(),
+  restore: (ctx, target, state) => ctx.setVariants(state),
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import {
+  EMPTY_HISTORY,
+  registerCommandType,
+  beginCommand,
+  finishCommand,
+  createEntry,
+  pushEntry,
+  trimHistory,
+  undoEntry,
+  redoEntry,
+  migrateHistory,
+} from './history';
+
+// A command type over a plain value in the context, recording the order
+// restores run in
+registerCommandType('test-value', {
+  capture: (ctx, target) => ctx.values[target],
+  restore: (ctx, target, state) => {
+    ctx.values[target] = state;
+    ctx.log.push(`${target}=${state}`);
+  },
+});
+
+const entryOf = (label) => createEntry(label, []);
+
+describe('pushEntry / trimHistory', () => {
+  it('drops the redo tail when a new entry is pushed', () => {
+    const history = { entries: [entryOf('a'), entryOf('b'), entryOf('c')], index: 1 };
+    const next = pushEntry(history, entryOf('d'));
+    expect(next.entries.map((e) => e.label)).toEqual(['a', 'd']);
+    expect(next.index).toBe(2);
+  });
+
+  it('keeps only the most recent entries beyond the depth', () => {
+    let history = EMPTY_HISTORY;
+    ['a', 'b', 'c', 'd'].forEach((label) => { history = pushEntry(history, entryOf(label), 3); });
+    expect(history.entries.map((e) => e.label)).toEqual(['b', 'c', 'd']);
+    expect(history.index).toBe(3);
+    const trimmed = trimHistory({ ...history, index: 2 }, 1);
+    expect(trimmed.entries.map((e) => e.label)).toEqual(['d']);
+    expect(trimmed.index).toBe(0);
+  });
+});
+
+describe('undoEntry / redoEntry', () => {
+  it('reverts commands in reverse order and reapplies them in order', async () => {
+    const ctx = { values: { x: 1, y: 1 }, log: [] };
+    const commands = [await beginCommand(ctx, 'test-value', 'x'), await beginCommand(ctx, 'test-value', 'y')];
+    ctx.values = { x: 2, y: 3 };
+    const entry = createEntry('Edit', await Promise.all(commands.map((c) => finishCommand(ctx, c))));
+
+    const undone = await undoEntry(ctx, entry);
+    expect(ctx.values).toEqual({ x: 1, y: 1 });
+    expect(ctx.log).toEqual(['y=1', 'x=1']);
+
+    ctx.log = [];
+    await redoEntry(ctx, undone);
+    expect(ctx.values).toEqual({ x: 2, y: 3 });
+    expect(ctx.log).toEqual(['x=2', 'y=3']);
+  });
+
+  it('captures a missing after state on the first undo', async () => {
+    const ctx = { values: { x: 5 }, log: [] };
+    const entry = createEntry('Edit', [{ type: 'test-value', target: 'x', before: 4 }]);
+    const undone = await undoEntry(ctx, entry);
+    expect(undone.commands[0].after).toBe(5);
+    expect(ctx.values.x).toBe(4);
+    await redoEntry(ctx, undone);
+    expect(ctx.values.x).toBe(5);
+  });
+
+  it('throws on unknown command types', async () => {
+    const entry = createEntry('Edit', [{ type: 'nope', target: null, before: 1 }]);
+    await expect(undoEntry({}, entry)).rejects.toThrow('Unknown history command type');
+  });
+});
+
+describe('material command', () => {
+  const sceneWith = (material) => {
+    const scene = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), material);
+    mesh.name = 'Bolt';
+    scene.add(mesh);
+    return { scene, mesh };
+  };
+
+  it('restores onto the same material, keeping its class and name', async () => {
+    const material = new THREE.MeshPhysicalMaterial({ name: 'Steel', color: 0x888888, clearcoat: 0.8 });
+    const { scene, mesh } = sceneWith(material);
+    const ctx = { scene };
+    const command = await beginCommand(ctx, 'material', { path: 'Bolt', name: 'Bolt' });
+    material.color.setHex(0xff0000);
+    const entry = createEntry('Apply color', [await finishCommand(ctx, command)]);
+
+    await undoEntry(ctx, entry);
+    expect(mesh.material).toBe(material);
+    expect(material.color.getHex()).toBe(0x888888);
+    expect(material.name).toBe('Steel');
+    expect(material.clearcoat).toBe(0.8);
+
+    await redoEntry(ctx, entry);
+    expect(mesh.material).toBe(material);
+    expect(material.color.getHex()).toBe(0xff0000);
+  });
+
+  it('disposes maps the restored state removes', async () => {
+    const texture = new THREE.Texture();
+    const dispose = vi.spyOn(texture, 'dispose');
+    const { scene, mesh } = sceneWith(new THREE.MeshStandardMaterial({ map: texture }));
+    const state = { version: 3, maps: { map: null } };
+    const entry = createEntry('Clear map', [{ type: 'material', target: { path: 'Bolt', name: 'Bolt' }, before: state, after: state }]);
+    await undoEntry({ scene }, entry);
+    expect(mesh.material.map).toBeNull();
+    expect(dispose).toHaveBeenCalledOnce();
+  });
+});
+
+describe('migrateHistory', () => {
+  it('turns saved undo/redo stacks into entries around the index', () => {
+    const step = (color) => ({ partPath: 'Bolt', meshName: 'Bolt', material: { color } });
+    const history = migrateHistory({ undoHistory: [step(1), step(2)], redoHistory: [step(4), step(3)] });
+    expect(history.index).toBe(2);
+    expect(history.entries).toHaveLength(4);
+    expect(history.entries[0].commands[0]).toMatchObject({ type: 'material', target: { path: 'Bolt' } });
+    expect(history.entries[0].commands[0].before.color).toBe(1);
+    expect(history.entries[2].commands[0].after.color).toBe(3);
+    expect(migrateHistory(null)).toBe(EMPTY_HISTORY);
+  });
+});
@@ -1,9 +1,9 @@
 // utils/idb.js
 
-// 1. Open IndexedDB with both models and states stores
+// 1. Open IndexedDB with models, states, projects, presets and textures stores
 export function openDB() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open('modelDB', 2); // bump to version 2
+      const request = indexedDB.open('modelDB', 5); // bump to version 5
       request.onerror = () => reject('IndexedDB not supported');
       request.onsuccess = () => resolve(request.result);
       request.onupgradeneeded = (e) => {
@@ -14,9 +14,27 @@ export function openDB() {
         if (!db.objectStoreNames.contains('states')) {
           db.createObjectStore('states');
         }
+        if (!db.objectStoreNames.contains('projects')) {
+          db.createObjectStore('projects');
+        }
+        if (!db.objectStoreNames.contains('presets')) {
+          db.createObjectStore('presets');
+        }
+        if (!db.objectStoreNames.contains('textures')) {
+          db.createObjectStore('textures');
+        }
       };
     });
   }
+
+  // Resolve once a readwrite transaction has been committed
+  function txComplete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
   
   
   // 2. Save model file (Blob)
@@ -24,7 +42,7 @@ export function openDB() {
     const db = await openDB();
     const tx = db.transaction('models', 'readwrite');
     tx.objectStore('models').put(blob, key);
-    return tx.complete;
+    return txComplete(tx);
   }
   
   // 3. Get model file
@@ -39,12 +57,28 @@ export function openDB() {
     });
   }
   
+  // 3b. Save a multi-file model (.gltf + .bin + textures) as { mainPath, files: [{ path, blob }] }
+  export async function saveModelFiles(key, mainPath, files) {
+    return saveModelBlob(key, { mainPath, files });
+  }
+
+  // 3c. Get a model as a file set; single-Blob records are wrapped
+  export async function getModelFiles(key) {
+    const record = await getModelBlob(key);
+    if (!record) return null;
+    if (record instanceof Blob) {
+      const path = record.name || 'model.glb';
+      return { mainPath: path, files: [{ path, blob: record }] };
+    }
+    return record;
+  }
+
   // 4. Save customization state
   export async function saveModelState(key, data) {
     const db = await openDB();
     const tx = db.transaction('states', 'readwrite');
     tx.objectStore('states').put(data, key);
-    return tx.complete;
+    return txComplete(tx);
   }
   
   // 5. Get customization state
@@ -58,4 +92,225 @@ export function openDB() {
       request.onerror = () => reject('Failed to load model state');
     });
   }
-  
\ No newline at end of file
+
+  // 6. Per-project keys in the states store
+  export const projectStateKey = (projectId) => `${projectId}:modelState`;
+  export const projectHistoryKey = (projectId) => `${projectId}:historyState`;
+
+  // 7. Save project metadata ({ id, name, fileName, thumbnail, createdAt, modifiedAt })
+  export async function saveProject(project) {
+    const db = await openDB();
+    const tx = db.transaction('projects', 'readwrite');
+    tx.objectStore('projects').put(project, project.id);
+    return txComplete(tx);
+  }
+
+  // 8. Get project metadata
+  export async function getProject(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('projects', 'readonly');
+      const request = tx.objectStore('projects').get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject('Failed to load project');
+    });
+  }
+
+  // 9. List all projects, most recently modified first
+  export async function listProjects() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('projects', 'readonly');
+      const request = tx.objectStore('projects').getAll();
+      request.onsuccess = () => resolve(request.result.sort((a, b) => b.modifiedAt - a.modifiedAt));
+      request.onerror = () => reject('Failed to list projects');
+    });
+  }
+
+  // 10. Delete a project together with its model file and saved states
+  export async function deleteProject(id) {
+    const db = await openDB();
+    const tx = db.transaction(['projects', 'models', 'states'], 'readwrite');
+    tx.objectStore('projects').delete(id);
+    tx.objectStore('models').delete(id);
+    tx.objectStore('states').delete(projectStateKey(id));
+    tx.objectStore('states').delete(projectHistoryKey(id));
+    return txComplete(tx);
+  }
+
+  // 11. Copy a project (model file, states and metadata) under a new id
+  export async function duplicateProject(id, newId, name) {
+    const [project, blob, state, history] = await Promise.all([
+      getProject(id),
+      getModelBlob(id),
+      getModelState(projectStateKey(id)),
+      getModelState(projectHistoryKey(id)),
+    ]);
+    if (!project) throw new Error('Project not found');
+    const now = Date.now();
+    const copy = { ...project, id: newId, name, createdAt: now, modifiedAt: now };
+    const db = await openDB();
+    const tx = db.transaction(['projects', 'models', 'states'], 'readwrite');
+    tx.objectStore('projects').put(copy, newId);
+    if (blob) tx.objectStore('models').put(blob, newId);
+    if (state) tx.objectStore('states').put(state, projectStateKey(newId));
+    if (history) tx.objectStore('states').put(history, projectHistoryKey(newId));
+    await txComplete(tx);
+    return copy;
+  }
+
+  // 12. Move the single pre-library upload ('uploadedModel') into a project
+  export async function migrateLegacyModel(newId) {
+    const blob = await getModelBlob('uploadedModel');
+    if (!blob) return null;
+    const [state, history] = await Promise.all([
+      getModelState('modelState'),
+      getModelState('historyState'),
+    ]);
+    const now = Date.now();
+    const project = {
+      id: newId,
+      name: (blob.name || 'Untitled model').replace(/\.[^.]+$/, ''),
+      fileName: blob.name || 'model.glb',
+      thumbnail: null,
+      createdAt: now,
+      modifiedAt: now,
+    };
+    const db = await openDB();
+    const tx = db.transaction(['projects', 'models', 'states'], 'readwrite');
+    tx.objectStore('projects').put(project, newId);
+    tx.objectStore('models').put(blob, newId);
+    tx.objectStore('models').delete('uploadedModel');
+    if (state) tx.objectStore('states').put(state, projectStateKey(newId));
+    if (history) tx.objectStore('states').put(history, projectHistoryKey(newId));
+    tx.objectStore('states').delete('modelState');
+    tx.objectStore('states').delete('historyState');
+    await txComplete(tx);
+    return project;
+  }
+
+  // 13. Save a material preset ({ id, name, material, thumbnail, createdAt })
+  export async function savePreset(preset) {
+    const db = await openDB();
+    const tx = db.transaction('presets', 'readwrite');
+    tx.objectStore('presets').put(preset, preset.id);
+    return txComplete(tx);
+  }
+
+  // 14. List material presets, oldest first so the palette order is stable
+  export async function listPresets() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('presets', 'readonly');
+      const request = tx.objectStore('presets').getAll();
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt - b.createdAt));
+      request.onerror = () => reject('Failed to list presets');
+    });
+  }
+
+  // 15. Delete a material preset
+  export async function deletePreset(id) {
+    const db = await openDB();
+    const tx = db.transaction('presets', 'readwrite');
+    tx.objectStore('presets').delete(id);
+    return txComplete(tx);
+  }
+
+  // Texture images are stored once, keyed by the SHA-256 of their bytes:
+  //   { id, blob, name, library, createdAt }
+  // Serialized materials reference them as maps[slot].texture = id. Records
+  // with `library` set show up in the sidebar texture library; the rest live
+  // only as long as something references them.
+
+  async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // 16. Store an image blob, reusing the existing record when the same bytes
+  //     were stored before. Returns the texture record.
+  export async function saveTexture(blob, { name = '', library = false } = {}) {
+    const id = await hashBlob(blob);
+    const existing = await getTexture(id);
+    const record = existing
+      ? { ...existing, name: existing.name || name, library: existing.library || library }
+      : { id, blob, name, library, createdAt: Date.now() };
+    if (existing && record.name === existing.name && record.library === existing.library) return existing;
+    const db = await openDB();
+    const tx = db.transaction('textures', 'readwrite');
+    tx.objectStore('textures').put(record, id);
+    await txComplete(tx);
+    return record;
+  }
+
+  // 17. Get a texture record
+  export async function getTexture(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('textures', 'readonly');
+      const request = tx.objectStore('textures').get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject('Failed to load texture');
+    });
+  }
+
+  // 18. List the texture library, oldest first
+  export async function listTextures() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('textures', 'readonly');
+      const request = tx.objectStore('textures').getAll();
+      request.onsuccess = () => resolve(
+        request.result.filter((t) => t.library).sort((a, b) => a.createdAt - b.createdAt),
+      );
+      request.onerror = () => reject('Failed to list textures');
+    });
+  }
+
+  // 19. Update texture metadata ({ name, library })
+  export async function updateTexture(id, changes) {
+    const texture = await getTexture(id);
+    if (!texture) return;
+    const db = await openDB();
+    const tx = db.transaction('textures', 'readwrite');
+    tx.objectStore('textures').put({ ...texture, ...changes, id, blob: texture.blob }, id);
+    return txComplete(tx);
+  }
+
+  // Add every `texture` id found in a saved value to `ids`
+  function collectTextureRefs(value, ids) {
+    if (!value || typeof value !== 'object' || value instanceof Blob) return;
+    if (Array.isArray(value)) {
+      value.forEach((item) => collectTextureRefs(item, ids));
+      return;
+    }
+    if (typeof value.texture === 'string') ids.add(value.texture);
+    Object.values(value).forEach((item) => collectTextureRefs(item, ids));
+  }
+
+  // 20. Delete texture images that are neither in the library nor referenced
+  //     by any saved state, history or preset. `inUse` protects ids held by
+  //     unsaved edits in the open scene. Returns the number removed.
+  export async function collectTextureGarbage(inUse = []) {
+    const db = await openDB();
+    // Reading and deleting in one transaction keeps a state, preset or
+    // texture saved in between from pointing at a deleted image. Requests run
+    // in order, so the states and presets are read once the textures are.
+    const tx = db.transaction(['states', 'presets', 'textures'], 'readwrite');
+    const states = tx.objectStore('states').getAll();
+    const presets = tx.objectStore('presets').getAll();
+    const textures = tx.objectStore('textures').getAll();
+    let removed = 0;
+    textures.onsuccess = () => {
+      const referenced = new Set(inUse);
+      collectTextureRefs(states.result, referenced);
+      collectTextureRefs(presets.result, referenced);
+      textures.result.forEach((t) => {
+        if (t.library || referenced.has(t.id)) return;
+        tx.objectStore('textures').delete(t.id);
+        removed++;
+      });
+    };
+    await txComplete(tx);
+    return removed;
+  }
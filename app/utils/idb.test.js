@@ -0,0 +1,55 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  saveModelState,
+  getModelState,
+  savePreset,
+  saveTexture,
+  getTexture,
+  listTextures,
+  collectTextureGarbage,
+  projectStateKey,
+} from './idb';
+
+const image = (text) => new Blob([text], { type: 'image/png' });
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+});
+
+describe('saveTexture', () => {
+  it('stores the same bytes once and keeps library flags', async () => {
+    const first = await saveTexture(image('wood'), { name: 'Wood' });
+    const second = await saveTexture(image('wood'), { library: true });
+    expect(second.id).toBe(first.id);
+    expect(second).toMatchObject({ name: 'Wood', library: true });
+    expect((await listTextures()).map((t) => t.id)).toEqual([first.id]);
+  });
+});
+
+describe('collectTextureGarbage', () => {
+  it('removes only images nothing references', async () => {
+    const [inState, inPreset, inLibrary, inScene, unused] = await Promise.all([
+      saveTexture(image('state')),
+      saveTexture(image('preset')),
+      saveTexture(image('library'), { library: true }),
+      saveTexture(image('scene')),
+      saveTexture(image('unused')),
+    ]);
+    await saveModelState(projectStateKey('p1'), { materials: [{ path: 'Bolt', maps: { map: { texture: inState.id } } }] });
+    await savePreset({ id: 'steel', name: 'Steel', createdAt: 1, material: { maps: { normalMap: { texture: inPreset.id } } } });
+
+    expect(await collectTextureGarbage([inScene.id])).toBe(1);
+    expect(await getTexture(unused.id)).toBeUndefined();
+    for (const kept of [inState, inPreset, inLibrary, inScene]) expect(await getTexture(kept.id)).toBeDefined();
+    expect(await getModelState(projectStateKey('p1'))).toBeDefined();
+  });
+
+  it('does nothing when every image is referenced', async () => {
+    const texture = await saveTexture(image('state'));
+    await saveModelState('history', { entries: [{ commands: [{ before: { maps: { map: { texture: texture.id } } } }] }] });
+    expect(await collectTextureGarbage()).toBe(0);
+    expect(await getTexture(texture.id)).toBeDefined();
+  });
+});
@@ -0,0 +1,168 @@
+// utils/inspect.js
+import * as THREE from 'three';
+import { getPartPath } from './partPaths';
+import { MAP_SLOTS } from './materials';
+import { serializeGeometry } from './meshOps';
+
+// Bytes of one texture on the GPU: RGBA8 plus a third more for mipmaps
+function textureBytes(texture, width, height) {
+  const mipmaps = texture.generateMipmaps || (texture.mipmaps && texture.mipmaps.length > 1);
+  return Math.round(width * height * 4 * (mipmaps ? 4 / 3 : 1));
+}
+
+function textureSize(texture) {
+  const image = texture.image;
+  if (!image) return [0, 0];
+  return [image.width || image.videoWidth || 0, image.height || image.videoHeight || 0];
+}
+
+function geometryBytes(geometry) {
+  let bytes = geometry.index ? geometry.index.array.byteLength : 0;
+  Object.values(geometry.attributes).forEach((attribute) => {
+    bytes += attribute.array.byteLength;
+  });
+  return bytes;
+}
+
+// 1. Statistics and validation warnings for a loaded model:
+//    {
+//      triangles, vertices, meshes, drawCalls, materials, geometryBytes,
+//      textures: [{ id, name, width, height, bytes, slots }], textureBytes,
+//      size: [x, y, z], parts: [{ path, name, triangles, vertices, warnings }],
+//      warnings: [{ path, name, message }],
+//    }
+//    Draw calls are what the model needs per frame, before shadow passes;
+//    every part has a single material, so each draws once. Triangle checks
+//    are slow on dense models and are added later (1b, 1c).
+export function inspectScene(root) {
+  const stats = {
+    triangles: 0,
+    vertices: 0,
+    meshes: 0,
+    drawCalls: 0,
+    materials: 0,
+    geometryBytes: 0,
+    textures: [],
+    textureBytes: 0,
+    size: [0, 0, 0],
+    parts: [],
+    warnings: [],
+  };
+  const materials = new Set();
+  const textures = new Map();
+  const geometries = new Set();
+  const box = new THREE.Box3();
+
+  root.traverse((object) => {
+    if (!object.isMesh || !object.geometry?.attributes.position) return;
+    const { geometry } = object;
+    const path = getPartPath(object, root);
+    const name = object.name || 'Unnamed part';
+    const vertices = geometry.attributes.position.count;
+    const triangles = Math.floor((geometry.index ? geometry.index.count : vertices) / 3);
+    const instances = object.isInstancedMesh ? object.count : 1;
+    const warnings = [];
+
+    stats.meshes++;
+    stats.vertices += vertices * instances;
+    stats.triangles += triangles * instances;
+    stats.drawCalls++;
+    if (!geometries.has(geometry)) {
+      geometries.add(geometry);
+      stats.geometryBytes += geometryBytes(geometry);
+    }
+    box.expandByObject(object);
+
+    let textured = false;
+    if (object.material) {
+      materials.add(object.material);
+      MAP_SLOTS.forEach(({ key, label }) => {
+        const texture = object.material[key];
+        if (!texture) return;
+        textured = true;
+        const entry = textures.get(texture) || { texture, slots: new Set() };
+        entry.slots.add(label);
+        textures.set(texture, entry);
+      });
+    }
+
+    if (textured && !geometry.attributes.uv) warnings.push('Has textures but no UV coordinates');
+    if (!geometry.attributes.normal) warnings.push('No vertex normals');
+
+    stats.parts.push({ path, name, triangles, vertices, warnings });
+    warnings.forEach((message) => stats.warnings.push({ path, name, message }));
+  });
+
+  stats.materials = materials.size;
+  textures.forEach(({ texture, slots }) => {
+    const [width, height] = textureSize(texture);
+    const bytes = textureBytes(texture, width, height);
+    stats.textureBytes += bytes;
+    stats.textures.push({
+      id: texture.uuid,
+      name: texture.name || texture.userData.textureId?.slice(0, 8) || 'texture',
+      width,
+      height,
+      bytes,
+      slots: [...slots],
+    });
+  });
+  stats.textures.sort((x, y) => y.bytes - x.bytes);
+  stats.parts.sort((x, y) => y.triangles - x.triangles);
+  if (!box.isEmpty()) stats.size = box.getSize(new THREE.Vector3()).toArray();
+  return stats;
+}
+
+// 1b. Distinct geometries of the model's parts as position-only plain data
+//     for the worker's 'analyze' step: { geometries, paths } with the part
+//     paths that use each geometry
+export function triangleCheckJobs(root) {
+  const byGeometry = new Map();
+  root.traverse((object) => {
+    if (!object.isMesh || !object.geometry?.attributes.position) return;
+    if (!byGeometry.has(object.geometry)) byGeometry.set(object.geometry, []);
+    byGeometry.get(object.geometry).push(getPartPath(object, root));
+  });
+  const geometries = [...byGeometry.keys()].map((geometry) => {
+    const positions = new THREE.BufferGeometry();
+    positions.setAttribute('position', geometry.attributes.position);
+    positions.setIndex(geometry.index);
+    return serializeGeometry(positions);
+  });
+  return { geometries, paths: [...byGeometry.values()] };
+}
+
+// 1c. Stats from (1) with the worker's triangle checks (one per job in 1b)
+//     added as warnings
+export function addTriangleWarnings(stats, paths, analyses) {
+  const messages = new Map();
+  analyses.forEach((analysis, i) => {
+    const list = [];
+    if (analysis.degenerate > 0) list.push(`${analysis.degenerate} degenerate triangle${analysis.degenerate === 1 ? '' : 's'}`);
+    if (analysis.nonManifoldEdges > 0) list.push(`${analysis.nonManifoldEdges} non-manifold edges (shared by 3+ faces)`);
+    if (analysis.openEdges > 0) list.push(`${analysis.openEdges} open edges (not watertight)`);
+    if (!analysis.edgesChecked) list.push('Too dense for edge checks');
+    paths[i].forEach((path) => messages.set(path, list));
+  });
+  const parts = stats.parts.map((part) => ({ ...part, warnings: [...part.warnings, ...(messages.get(part.path) || [])] }));
+  const warnings = parts.flatMap(({ path, name, warnings: list }) => list.map((message) => ({ path, name, message })));
+  return { ...stats, parts, warnings };
+}
+
+// 2. Byte count as text, e.g. "12.4 MB"
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// 3. Large counts as text, e.g. "1,234,567"
+export function formatCount(count) {
+  return count.toLocaleString();
+}
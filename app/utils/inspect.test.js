@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { analyzeTriangles, deserializeGeometry } from './meshOps';
+import { inspectScene, triangleCheckJobs, addTriangleWarnings } from './inspect';
+
+const part = (name, geometry) => {
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial());
+  mesh.name = name;
+  return mesh;
+};
+
+// The worker's side of the inspector: analyze every job's geometry
+const runChecks = (root) => {
+  const { geometries, paths } = triangleCheckJobs(root);
+  return { paths, analyses: geometries.map((data) => analyzeTriangles(deserializeGeometry(data))) };
+};
+
+describe('analyzeTriangles', () => {
+  it('finds a box watertight once its seams are welded', () => {
+    expect(analyzeTriangles(new THREE.BoxGeometry())).toEqual({
+      degenerate: 0, openEdges: 0, nonManifoldEdges: 0, edgesChecked: true,
+    });
+  });
+
+  it('counts the border of a plane as open edges', () => {
+    expect(analyzeTriangles(new THREE.PlaneGeometry(1, 1, 2, 1)).openEdges).toBe(6);
+  });
+
+  it('counts zero-area triangles and edges shared by three faces', () => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+      0, 0, 0, 1, 0, 0, 0, 1, 0,
+      0, 0, 0, 1, 0, 0, 0, -1, 0,
+      0, 0, 0, 1, 0, 0, 0, 0, 1,
+      0, 0, 0, 1, 0, 0, 2, 0, 0,
+    ], 3));
+    const result = analyzeTriangles(geometry);
+    expect(result.degenerate).toBe(1);
+    expect(result.nonManifoldEdges).toBe(1);
+  });
+});
+
+describe('inspectScene', () => {
+  it('counts one draw call per part and shared geometry once', () => {
+    const shared = new THREE.BoxGeometry();
+    const root = new THREE.Group();
+    root.add(part('A', shared), part('B', shared), part('C', new THREE.PlaneGeometry()));
+    const stats = inspectScene(root);
+    expect(stats.meshes).toBe(3);
+    expect(stats.drawCalls).toBe(3);
+    expect(stats.triangles).toBe(12 + 12 + 2);
+    expect(stats.warnings).toEqual([]);
+  });
+
+  it('adds the triangle checks as warnings of every part using the geometry', () => {
+    const shared = new THREE.PlaneGeometry();
+    const root = new THREE.Group();
+    root.add(part('A', shared), part('B', shared), part('C', new THREE.BoxGeometry()));
+    const { paths, analyses } = runChecks(root);
+    expect(paths).toHaveLength(2);
+    const stats = addTriangleWarnings(inspectScene(root), paths, analyses);
+    expect(stats.warnings.map((w) => `${w.name}: ${w.message}`).sort()).toEqual([
+      'A: 4 open edges (not watertight)',
+      'B: 4 open edges (not watertight)',
+    ]);
+    expect(stats.parts.find((p) => p.name === 'C').warnings).toEqual([]);
+  });
+});
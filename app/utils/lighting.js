@@ -0,0 +1,112 @@
+// utils/lighting.js
+import * as THREE from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+
+// A lighting setup is plain data saved with the project:
+//   {
+//     version, lights: [{ id, type, ...props }],
+//     environment: { source: 'none' | 'room' | 'file', texture, format, name, intensity },
+//     background: { type: 'color' | 'gradient' | 'environment' | 'transparent', color, gradient, blur },
+//     toneMapping, exposure,
+//   }
+// Environment files live in the texture store and are referenced by id.
+
+export const LIGHTING_VERSION = 1;
+
+// Props each light type starts with; the panel edits exactly these
+export const LIGHT_TYPES = {
+  ambient: { label: 'Ambient', defaults: { color: '#ffffff', intensity: 0.5 } },
+  directional: { label: 'Directional', defaults: { color: '#ffffff', intensity: 1, position: [2, 2, 2], castShadow: false } },
+  point: {
+    label: 'Point',
+    defaults: { color: '#ffffff', intensity: 5, position: [0, 2, 0], distance: 0, decay: 2, castShadow: false },
+  },
+  spot: {
+    label: 'Spot',
+    defaults: {
+      color: '#ffffff', intensity: 10, position: [0, 4, 2], angle: Math.PI / 6, penumbra: 0.3, distance: 0, decay: 2, castShadow: false,
+    },
+  },
+  hemisphere: { label: 'Hemisphere', defaults: { color: '#ffffff', groundColor: '#444444', intensity: 1 } },
+};
+
+export const TONE_MAPPINGS = {
+  none: { label: 'None', value: THREE.NoToneMapping },
+  linear: { label: 'Linear', value: THREE.LinearToneMapping },
+  reinhard: { label: 'Reinhard', value: THREE.ReinhardToneMapping },
+  cineon: { label: 'Cineon', value: THREE.CineonToneMapping },
+  aces: { label: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+  agx: { label: 'AgX', value: THREE.AgXToneMapping },
+  neutral: { label: 'Neutral', value: THREE.NeutralToneMapping },
+};
+
+// The original fixed ambient + directional pair, plus a soft room
+// environment so metallic finishes have something to reflect
+export const DEFAULT_LIGHTING = {
+  version: LIGHTING_VERSION,
+  lights: [
+    { id: 'ambient', type: 'ambient', ...LIGHT_TYPES.ambient.defaults },
+    { id: 'key', type: 'directional', ...LIGHT_TYPES.directional.defaults },
+  ],
+  environment: { source: 'room', texture: null, format: null, name: '', intensity: 1 },
+  background: { type: 'color', color: '#f3f4f6', gradient: ['#f9fafb', '#d1d5db'], blur: 0 },
+  toneMapping: 'aces',
+  exposure: 1,
+};
+
+// 1. A new light of the given type with its default props
+export function createLight(type) {
+  return { id: crypto.randomUUID(), type, ...LIGHT_TYPES[type].defaults };
+}
+
+// 2. Fill in fields missing from older or partial records
+export function migrateLighting(saved) {
+  if (!saved) return DEFAULT_LIGHTING;
+  return {
+    ...DEFAULT_LIGHTING,
+    ...saved,
+    version: LIGHTING_VERSION,
+    environment: { ...DEFAULT_LIGHTING.environment, ...saved.environment },
+    background: { ...DEFAULT_LIGHTING.background, ...saved.background },
+  };
+}
+
+// 3. Environment file format from its name, or null if unsupported
+export function getEnvironmentFormat(fileName) {
+  const ext = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+  return ext === 'hdr' || ext === 'exr' ? ext : null;
+}
+
+// 4. Load an equirectangular .hdr/.exr image for lighting and reflections
+export async function loadEnvironmentMap(url, format) {
+  const loader = format === 'exr' ? new EXRLoader() : new RGBELoader();
+  const texture = await loader.loadAsync(url);
+  texture.mapping = THREE.EquirectangularReflectionMapping;
+  return texture;
+}
+
+// 5. Prefiltered neutral studio environment, generated once per renderer
+export function createRoomEnvironment(gl) {
+  const pmrem = new THREE.PMREMGenerator(gl);
+  const texture = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+  pmrem.dispose();
+  return texture;
+}
+
+// 6. Vertical gradient used as a screen-space background
+export function createGradientTexture([top, bottom]) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 2;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+  gradient.addColorStop(0, top);
+  gradient.addColorStop(1, bottom);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
@@ -0,0 +1,117 @@
+// utils/loaders.js
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/';
+
+// Every registered format resolves to { scene, animations } like GLTFLoader does,
+// so Model can treat the result the same regardless of source format.
+const registry = new Map();
+
+// 1. Register a format. `createLoader({ manager, mainPath })` returns an object
+//    with a three.js style `load(url, onLoad, onProgress, onError)`.
+export function registerLoader(extensions, createLoader) {
+  extensions.forEach((ext) => registry.set(ext.toLowerCase(), createLoader));
+}
+
+// 2. Lowercase extension of a path, or null if no loader handles it
+export function getModelFormat(path) {
+  const match = /\.([a-z0-9]+)$/i.exec(path || '');
+  const ext = match && match[1].toLowerCase();
+  return ext && registry.has(ext) ? ext : null;
+}
+
+// 3. Extensions that can be opened, in order of preference for the main file
+export function getSupportedExtensions() {
+  return Array.from(registry.keys());
+}
+
+// 4. Build the loader for a format, bound to a LoadingManager
+export function createModelLoader(format, options) {
+  const createLoader = registry.get(format);
+  if (!createLoader) throw new Error(`Unsupported model format: .${format}`);
+  return createLoader(options);
+}
+
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1).replace(/\.[^.]+$/, '');
+
+// Wrap a loader whose result is a single Object3D
+const objectLoader = (loader) => ({
+  load(url, onLoad, onProgress, onError) {
+    loader.load(url, (object) => {
+      const scene = new THREE.Group();
+      scene.add(object);
+      onLoad({ scene, animations: object.animations || [] });
+    }, onProgress, onError);
+  },
+});
+
+// Wrap a loader whose result is a bare BufferGeometry (STL, PLY)
+const geometryLoader = (loader, mainPath) => ({
+  load(url, onLoad, onProgress, onError) {
+    loader.load(url, (geometry) => {
+      if (!geometry.attributes.normal) geometry.computeVertexNormals();
+      const material = new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        vertexColors: Boolean(geometry.attributes.color),
+        roughness: 0.5,
+        metalness: 0.5,
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.name = basename(mainPath);
+      const scene = new THREE.Group();
+      scene.add(mesh);
+      onLoad({ scene, animations: [] });
+    }, onProgress, onError);
+  },
+});
+
+registerLoader(['glb', 'gltf'], ({ manager }) => {
+  const dracoLoader = new DRACOLoader(manager).setDecoderPath(DRACO_DECODER_PATH);
+  return new GLTFLoader(manager).setDRACOLoader(dracoLoader).setMeshoptDecoder(MeshoptDecoder);
+});
+
+registerLoader(['fbx'], ({ manager }) => objectLoader(new FBXLoader(manager)));
+
+registerLoader(['obj'], ({ manager }) => ({
+  // Read the OBJ first so the materials named by its `mtllib` line can be
+  // loaded (through the same manager) before the geometry is built
+  load(url, onLoad, onProgress, onError) {
+    const fileLoader = new THREE.FileLoader(manager);
+    fileLoader.load(url, async (text) => {
+      try {
+        const objLoader = new OBJLoader(manager);
+        const mtlMatch = /^mtllib\s+(.+)$/m.exec(text);
+        if (mtlMatch) {
+          try {
+            const materials = await new MTLLoader(manager).loadAsync(mtlMatch[1].trim());
+            materials.preload();
+            objLoader.setMaterials(materials);
+          } catch (err) {
+            console.warn('Could not load MTL, using default materials:', err);
+          }
+        }
+        const object = objLoader.parse(text);
+        const scene = new THREE.Group();
+        scene.add(object);
+        onLoad({ scene, animations: [] });
+      } catch (err) {
+        onError(err);
+      }
+    }, onProgress, onError);
+  },
+}));
+
+registerLoader(['3mf'], ({ manager }) => objectLoader(new ThreeMFLoader(manager)));
+
+registerLoader(['stl'], ({ manager, mainPath }) => geometryLoader(new STLLoader(manager), mainPath));
+
+registerLoader(['ply'], ({ manager, mainPath }) => geometryLoader(new PLYLoader(manager), mainPath));
@@ -0,0 +1,319 @@
+// utils/materials.js
+import * as THREE from 'three';
+import { resolvePart } from './partPaths';
+import { saveTexture, getTexture } from './idb';
+
+// Texture slots of MeshStandardMaterial. Color data is sRGB; the rest are
+// data maps and stay linear.
+export const MAP_SLOTS = [
+  { key: 'map', label: 'Base color', srgb: true },
+  { key: 'normalMap', label: 'Normal' },
+  { key: 'roughnessMap', label: 'Roughness' },
+  { key: 'metalnessMap', label: 'Metalness' },
+  { key: 'aoMap', label: 'Ambient occlusion' },
+  { key: 'emissiveMap', label: 'Emissive', srgb: true },
+  { key: 'alphaMap', label: 'Alpha' },
+  { key: 'bumpMap', label: 'Bump' },
+  { key: 'displacementMap', label: 'Displacement' },
+  { key: 'lightMap', label: 'Light map', srgb: true },
+];
+
+// Current shape of a serialized material. Version 1 covers both the original
+// { name, color, textureDataURL } records and the unversioned PBR snapshots.
+// Version 3 map entries reference the texture store ({ texture: id }) instead
+// of embedding an { image } data URL; both are still read.
+export const MATERIAL_STATE_VERSION = 3;
+
+const SCALAR_PROPS = [
+  'roughness',
+  'metalness',
+  'opacity',
+  'transparent',
+  'alphaTest',
+  'side',
+  'depthWrite',
+  'depthTest',
+  'flatShading',
+  'vertexColors',
+  'wireframe',
+  'emissiveIntensity',
+  'envMapIntensity',
+  'aoMapIntensity',
+  'lightMapIntensity',
+  'bumpScale',
+  'displacementScale',
+  'displacementBias',
+  'normalMapType',
+];
+
+// Sampler and UV transform settings stored alongside each map image
+const TEXTURE_PROPS = ['flipY', 'colorSpace', 'wrapS', 'wrapT', 'magFilter', 'minFilter', 'anisotropy', 'generateMipmaps', 'channel', 'rotation'];
+const TEXTURE_VECTORS = ['offset', 'repeat', 'center'];
+
+// 1. Convert any material to a MeshStandardMaterial (multi-materials keep the first)
+export function toStandardMaterial(material) {
+  const prev = Array.isArray(material) ? material[0] : material;
+  if (prev instanceof THREE.MeshStandardMaterial) return prev;
+  return new THREE.MeshStandardMaterial({
+    color: prev?.color ? prev.color.clone() : new THREE.Color(0xffffff),
+    map: prev?.map || null,
+    metalness: prev?.metalness !== undefined ? prev.metalness : 0.5,
+    roughness: prev?.roughness !== undefined ? prev.roughness : 0.5,
+  });
+}
+
+// Image bytes of a texture with no stored original: data URLs are decoded
+// as-is, anything else (images embedded in the model file) is encoded to PNG
+function textureImageBlob(texture) {
+  const image = texture.image;
+  if (!image || !image.width) return Promise.resolve(null);
+  if (typeof image.src === 'string' && image.src.startsWith('data:')) {
+    return fetch(image.src).then((res) => res.blob());
+  }
+  return new Promise((resolve) => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      canvas.toBlob(resolve, 'image/png');
+    } catch (err) {
+      console.warn('Could not encode texture:', err);
+      resolve(null);
+    }
+  });
+}
+
+// 2. Id of a texture's image in the texture store, storing it on first use.
+//    The id is kept in userData (copied by clone) so it is only hashed once.
+export async function getTextureId(texture) {
+  if (texture.userData.textureId) return texture.userData.textureId;
+  const blob = await textureImageBlob(texture);
+  if (!blob) return null;
+  const { id } = await saveTexture(blob, { name: texture.name });
+  texture.userData.textureId = id;
+  return id;
+}
+
+// Object URLs of stored images, shared by every texture using them
+const textureUrls = new Map();
+
+// 2b. Object URL for a stored texture image (null if it no longer exists)
+export function getTextureUrl(id) {
+  if (!textureUrls.has(id)) {
+    textureUrls.set(id, getTexture(id).then((record) => (record ? URL.createObjectURL(record.blob) : null)));
+  }
+  return textureUrls.get(id);
+}
+
+// 3. Load an image URL as a texture configured for the given slot
+export function loadSlotTexture(url, slotKey) {
+  const slot = MAP_SLOTS.find((s) => s.key === slotKey);
+  const texture = new THREE.TextureLoader().load(url);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.center.set(0.5, 0.5);
+  if (slot?.srgb) texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// 3b. Same for an image in the texture store. The texture is returned right
+//     away and its image fills in once the blob has been read.
+export function loadStoredTexture(id, slotKey) {
+  const slot = MAP_SLOTS.find((s) => s.key === slotKey);
+  const texture = new THREE.Texture();
+  texture.userData.textureId = id;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.center.set(0.5, 0.5);
+  if (slot?.srgb) texture.colorSpace = THREE.SRGBColorSpace;
+  getTextureUrl(id).then((url) => {
+    if (!url) return console.warn(`Texture ${id} is missing from the store`);
+    new THREE.ImageLoader().load(url, (image) => {
+      texture.image = image;
+      texture.needsUpdate = true;
+    });
+  });
+  return texture;
+}
+
+// 4. Snapshot every PBR value and map slot of a material. Empty slots are
+//    stored as null so restoring clears them; images are referenced by id.
+export async function serializeMaterial(material) {
+  const maps = {};
+  for (const { key } of MAP_SLOTS) {
+    const texture = material[key];
+    const id = texture ? await getTextureId(texture) : null;
+    if (!id) {
+      maps[key] = null;
+      continue;
+    }
+    const entry = { texture: id };
+    TEXTURE_PROPS.forEach((prop) => { entry[prop] = texture[prop]; });
+    TEXTURE_VECTORS.forEach((prop) => { entry[prop] = texture[prop].toArray(); });
+    maps[key] = entry;
+  }
+  const data = {
+    version: MATERIAL_STATE_VERSION,
+    color: material.color.getHex(),
+    emissive: material.emissive.getHex(),
+    normalScale: material.normalScale.toArray(),
+    maps,
+  };
+  SCALAR_PROPS.forEach((prop) => { data[prop] = material[prop]; });
+  return data;
+}
+
+// 5. Bring a serialized material from any earlier version up to date
+export function migrateMaterialState(data) {
+  if (!data || data.version >= MATERIAL_STATE_VERSION) return data;
+  // Version 2 differs only in how new records store images
+  if (data.version === 2) return { ...data, version: MATERIAL_STATE_VERSION };
+  const { textureDataURL, preset, uuid, ...rest } = data;
+  let maps;
+  if (rest.maps) {
+    // Unversioned PBR snapshots left out empty slots, meaning "cleared"
+    maps = {};
+    ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap'].forEach((key) => {
+      maps[key] = rest.maps[key] || null;
+    });
+  } else {
+    // The original records only ever replaced the base color map
+    maps = textureDataURL ? { map: { image: textureDataURL } } : {};
+  }
+  return { ...rest, version: MATERIAL_STATE_VERSION, maps };
+}
+
+// 5b. Move { image } data URLs of a serialized material into the texture
+//     store so the record references them by id
+export async function internMaterialImages(data) {
+  if (!data?.maps) return data;
+  const maps = {};
+  for (const [key, entry] of Object.entries(data.maps)) {
+    if (!entry?.image) {
+      maps[key] = entry;
+      continue;
+    }
+    const { image, ...rest } = entry;
+    const blob = await (await fetch(image)).blob();
+    maps[key] = { ...rest, texture: (await saveTexture(blob)).id };
+  }
+  return { ...data, maps };
+}
+
+// 5c. Inverse of 5b for sharing outside this browser: replace texture ids
+//     with { image } data URLs
+export async function inlineMaterialImages(data) {
+  if (!data?.maps) return data;
+  const maps = {};
+  for (const [key, entry] of Object.entries(data.maps)) {
+    const record = entry?.texture ? await getTexture(entry.texture) : null;
+    if (!record) {
+      maps[key] = entry;
+      continue;
+    }
+    const { texture, ...rest } = entry;
+    const image = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsDataURL(record.blob);
+    });
+    maps[key] = { ...rest, image };
+  }
+  return { ...data, maps };
+}
+
+// 6. Migrate a saved { materials, undoHistory, redoHistory } record
+export function migrateModelState(saved) {
+  if (!saved || saved.version >= MATERIAL_STATE_VERSION) return saved;
+  const migrateSteps = (steps) => (steps || []).map((step) => ({ ...step, material: migrateMaterialState(step.material) }));
+  return {
+    ...saved,
+    version: MATERIAL_STATE_VERSION,
+    materials: saved.materials ? saved.materials.map(migrateMaterialState) : saved.materials,
+    undoHistory: migrateSteps(saved.undoHistory),
+    redoHistory: migrateSteps(saved.redoHistory),
+  };
+}
+
+// 7. Apply a serialized material (any version) onto a material. Properties
+//    and map slots missing from the data are left untouched.
+export function applySerializedMaterial(material, saved) {
+  const data = migrateMaterialState(saved);
+  if (data.color !== undefined) material.color.setHex(data.color);
+  if (data.emissive !== undefined) material.emissive.setHex(data.emissive);
+  if (data.normalScale) material.normalScale.fromArray(data.normalScale);
+  SCALAR_PROPS.forEach((prop) => {
+    if (data[prop] !== undefined) material[prop] = data[prop];
+  });
+
+  MAP_SLOTS.forEach(({ key }) => {
+    if (!(key in data.maps)) return;
+    const entry = data.maps[key];
+    if (!entry) {
+      material[key] = null;
+      return;
+    }
+    const texture = entry.texture ? loadStoredTexture(entry.texture, key) : loadSlotTexture(entry.image, key);
+    TEXTURE_PROPS.forEach((prop) => {
+      if (entry[prop] !== undefined) texture[prop] = entry[prop];
+    });
+    TEXTURE_VECTORS.forEach((prop) => {
+      if (entry[prop]) texture[prop].fromArray(entry[prop]);
+    });
+    material[key] = texture;
+  });
+  material.needsUpdate = true;
+}
+
+// 8. Reapply saved per-part materials onto a loaded scene. Returns the
+//    entries whose part could not be found (e.g. after the model changed).
+export function restoreMaterialStates(scene, materials) {
+  const unmatched = [];
+  (materials || []).forEach((entry) => {
+    const mesh = resolvePart(scene, entry);
+    if (!mesh || !mesh.material) {
+      unmatched.push({ path: entry.path, name: entry.name });
+      return;
+    }
+    applySerializedMaterial(mesh.material, entry);
+  });
+  return unmatched;
+}
+
+// Fields that tell material instances apart without changing their look
+const IDENTITY_PROPS = new Set(['id', 'uuid', 'name', 'version', 'userData']);
+
+// A map's image (stored id, else its source) with its sampler and UV transform
+const textureStateKey = (texture) => [
+  texture.userData.textureId || texture.source.uuid,
+  ...TEXTURE_PROPS.map((prop) => texture[prop]),
+  ...TEXTURE_VECTORS.map((prop) => texture[prop].toArray()),
+];
+
+// 9. Key that is equal for materials which render the same: every plain,
+//    color and vector property plus the state of each map. Names are left
+//    out, since per-part clones all keep the source material's name.
+export function materialStateKey(material) {
+  const state = [];
+  Object.keys(material).sort().forEach((key) => {
+    const value = material[key];
+    if (IDENTITY_PROPS.has(key) || value === null || value === undefined) return;
+    if (value.isTexture) state.push([key, textureStateKey(value)]);
+    else if (value.isColor) state.push([key, value.getHex()]);
+    else if (value.isVector2 || value.isVector3 || value.isEuler) state.push([key, value.toArray()]);
+    else if (typeof value !== 'object' && typeof value !== 'function') state.push([key, value]);
+  });
+  return JSON.stringify([material.type, state]);
+}
+
+// 10. Give every mesh its own MeshStandardMaterial so parts can be edited one
+//     at a time (multi-material meshes keep the first)
+export function makeMaterialsUnique(root) {
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    const original = Array.isArray(child.material) ? child.material[0] : child.material;
+    child.material = original instanceof THREE.MeshStandardMaterial ? original.clone() : toStandardMaterial(original);
+    child.material.needsUpdate = true;
+  });
+}
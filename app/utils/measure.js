@@ -0,0 +1,80 @@
+// utils/measure.js
+import * as THREE from 'three';
+
+// A measurement is plain data saved with the project:
+//   { id, type: 'distance' | 'angle', points: [{ path, position }] }
+// Points are pinned to the part they were picked on (see createPartPoint in
+// utils/partPaths), so dimensions follow parts when they are moved or
+// exploded. Angles are measured at their middle point.
+
+export const MEASURE_TOOLS = {
+  distance: { label: 'Distance', points: 2 },
+  angle: { label: 'Angle', points: 3 },
+};
+
+export const LENGTH_UNITS = {
+  mm: { label: 'mm', meters: 0.001 },
+  cm: { label: 'cm', meters: 0.01 },
+  m: { label: 'm', meters: 1 },
+  in: { label: 'in', meters: 0.0254 },
+  ft: { label: 'ft', meters: 0.3048 },
+};
+
+// glTF files are in meters; `scale` is the real size of one model-sized
+// length, e.g. 10 for a 1:10 scale model
+export const DEFAULT_MEASURE_UNITS = { modelUnit: 'm', scale: 1, displayUnit: 'mm', precision: 1 };
+
+// Snap to a corner of the picked triangle when the click lands this close to it
+const SNAP_PIXELS = 12;
+
+// 1. Surface point of a raycast hit, moved onto the nearest corner of the hit
+//    triangle when that corner is within SNAP_PIXELS on screen
+export function snapToVertex(hit, camera, [width, height]) {
+  const position = hit.object.geometry?.attributes.position;
+  if (!hit.face || !position) return hit.point.clone();
+  const toScreen = (v) => {
+    const p = v.clone().project(camera);
+    return new THREE.Vector2(((p.x + 1) / 2) * width, ((1 - p.y) / 2) * height);
+  };
+  const target = toScreen(hit.point);
+  let best = null;
+  let bestDistance = SNAP_PIXELS;
+  [hit.face.a, hit.face.b, hit.face.c].forEach((index) => {
+    const vertex = new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(hit.object.matrixWorld);
+    const distance = toScreen(vertex).distanceTo(target);
+    if (distance < bestDistance) {
+      best = vertex;
+      bestDistance = distance;
+    }
+  });
+  return best || hit.point.clone();
+}
+
+// 2. Scene length converted to display units
+export function toDisplayLength(value, units) {
+  const meters = value * LENGTH_UNITS[units.modelUnit].meters * units.scale;
+  return meters / LENGTH_UNITS[units.displayUnit].meters;
+}
+
+// 3. Scene length as text, e.g. "12.5 mm"
+export function formatLength(value, units) {
+  return `${toDisplayLength(value, units).toFixed(units.precision)} ${LENGTH_UNITS[units.displayUnit].label}`;
+}
+
+// 4. Box size as text, e.g. "120.0 × 45.0 × 30.0 mm"
+export function formatBoxSize(box, units) {
+  if (box.isEmpty()) return '—';
+  const size = box.getSize(new THREE.Vector3());
+  const values = size.toArray().map((v) => toDisplayLength(v, units).toFixed(units.precision));
+  return `${values.join(' × ')} ${LENGTH_UNITS[units.displayUnit].label}`;
+}
+
+// 5. Label for a measurement from its world-space points
+export function formatMeasurement(type, points, units) {
+  if (type === 'angle') {
+    const [a, vertex, b] = points;
+    const angle = a.clone().sub(vertex).angleTo(b.clone().sub(vertex));
+    return `${THREE.MathUtils.radToDeg(angle).toFixed(1)}°`;
+  }
+  return formatLength(points[0].distanceTo(points[1]), units);
+}
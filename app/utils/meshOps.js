@@ -0,0 +1,190 @@
+// utils/meshOps.js
+import * as THREE from 'three';
+import { mergeVertices, mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { MeshoptSimplifier } from 'meshoptimizer';
+
+// Geometry crosses the worker boundary as plain data:
+//   { attributes: { [name]: { array, itemSize, normalized } }, index, groups }
+// Arrays are copies, so they can be transferred without detaching the scene's.
+
+// Never simplify below this many triangles per mesh
+const MIN_TRIANGLES = 4;
+
+function indexArray(count, vertexCount) {
+  return vertexCount > 65535 ? new Uint32Array(count) : new Uint16Array(count);
+}
+
+// Index data as a Uint32Array; non-indexed geometry gets 0, 1, 2, ...
+function indicesOf(geometry) {
+  if (geometry.index) return Uint32Array.from(geometry.index.array);
+  const indices = new Uint32Array(geometry.attributes.position.count);
+  for (let i = 0; i < indices.length; i++) indices[i] = i;
+  return indices;
+}
+
+// Positions as a tightly packed Float32Array, whatever the source format
+function packedPositions(geometry) {
+  const position = geometry.attributes.position;
+  const packed = new Float32Array(position.count * 3);
+  for (let i = 0; i < position.count; i++) {
+    packed[i * 3] = position.getX(i);
+    packed[i * 3 + 1] = position.getY(i);
+    packed[i * 3 + 2] = position.getZ(i);
+  }
+  return packed;
+}
+
+// 1. Plain, transferable copy of a geometry (interleaved data is de-interleaved)
+export function serializeGeometry(geometry) {
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    const plain = attribute.isInterleavedBufferAttribute ? attribute.clone() : attribute;
+    attributes[name] = { array: plain.array.slice(0, plain.count * plain.itemSize), itemSize: plain.itemSize, normalized: plain.normalized };
+  });
+  return {
+    attributes,
+    index: geometry.index ? geometry.index.array.slice() : null,
+    groups: geometry.groups.map((group) => ({ ...group })),
+  };
+}
+
+// 1b. ArrayBuffers of serialized geometries, for postMessage's transfer list
+export function geometryTransferables(data) {
+  return [...new Set([].concat(data).flatMap((item) => [
+    ...Object.values(item.attributes).map((attribute) => attribute.array.buffer),
+    ...(item.index ? [item.index.buffer] : []),
+  ]))];
+}
+
+// 2. Rebuild a BufferGeometry from serialized data
+export function deserializeGeometry(data) {
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(data.attributes).forEach(([name, { array, itemSize, normalized }]) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+  });
+  if (data.index) geometry.setIndex(new THREE.BufferAttribute(data.index, 1));
+  data.groups.forEach(({ start, count, materialIndex }) => geometry.addGroup(start, count, materialIndex));
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// 3. Triangles drawn by a geometry
+export function triangleCount(geometry) {
+  return Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+}
+
+// 4. Decimate to about `ratio` of the triangles. Vertices are welded first
+//    so the simplifier sees connected surfaces; UV and normal seams stay
+//    split and act as borders. Multi-material groups are dropped.
+export async function simplifyGeometry(geometry, ratio) {
+  await MeshoptSimplifier.ready;
+  const source = geometry.index ? geometry : mergeVertices(geometry);
+  const indices = indicesOf(source);
+  const target = Math.max(MIN_TRIANGLES, Math.floor((indices.length / 3) * ratio)) * 3;
+  if (target >= indices.length) return source === geometry ? geometry.clone() : source;
+
+  // An error bound of 1 (the whole mesh) lets the triangle target decide
+  const [simplified] = MeshoptSimplifier.simplify(indices, packedPositions(source), 3, target, 1);
+  const [remap, unique] = MeshoptSimplifier.compactMesh(simplified);
+
+  const result = new THREE.BufferGeometry();
+  Object.entries(source.attributes).forEach(([name, attribute]) => {
+    const { itemSize } = attribute;
+    const array = new attribute.array.constructor(unique * itemSize);
+    for (let v = 0; v < attribute.count; v++) {
+      const to = remap[v];
+      if (to === 0xffffffff) continue;
+      for (let k = 0; k < itemSize; k++) array[to * itemSize + k] = attribute.array[v * itemSize + k];
+    }
+    result.setAttribute(name, new THREE.BufferAttribute(array, itemSize, attribute.normalized));
+  });
+  const index = indexArray(simplified.length, unique);
+  index.set(simplified);
+  result.setIndex(new THREE.BufferAttribute(index, 1));
+  return result;
+}
+
+// 5. Merge vertices closer than `tolerance` whose other attributes match too
+export function weldGeometry(geometry, tolerance = 1e-4) {
+  return mergeVertices(geometry, tolerance);
+}
+
+// 6. Bake each { geometry, matrix } into one geometry. Only attributes every
+//    part has are kept; mirrored parts get their winding flipped back.
+//    Null when the parts' attribute formats differ.
+export function mergeGeometryGroup(items) {
+  const names = Object.keys(items[0].geometry.attributes)
+    .filter((name) => items.every(({ geometry }) => geometry.attributes[name]));
+  const prepared = items.map(({ geometry, matrix }) => {
+    const part = new THREE.BufferGeometry();
+    names.forEach((name) => part.setAttribute(name, geometry.attributes[name].clone()));
+    const indices = indicesOf(geometry);
+    const transform = new THREE.Matrix4().fromArray(matrix);
+    if (transform.determinant() < 0) {
+      for (let i = 0; i < indices.length; i += 3) [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+    }
+    part.setIndex(new THREE.BufferAttribute(indices, 1));
+    part.applyMatrix4(transform);
+    return part;
+  });
+  return mergeGeometries(prepared, false);
+}
+
+// Edge analysis keys every edge of a mesh, so very dense meshes are skipped
+const MAX_EDGE_CHECK_TRIANGLES = 1000000;
+
+// 7. Degenerate triangles plus open (1 face) and non-manifold (3+ faces)
+//    edges: { degenerate, openEdges, nonManifoldEdges, edgesChecked }.
+//    Vertices are welded by position first, since exporters split them at
+//    UV and normal seams. Slow on dense meshes; the inspector runs it in
+//    the worker.
+export function analyzeTriangles(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const triangles = triangleCount(geometry);
+  const result = { degenerate: 0, openEdges: 0, nonManifoldEdges: 0, edgesChecked: triangles <= MAX_EDGE_CHECK_TRIANGLES };
+
+  geometry.computeBoundingBox();
+  const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+  const minArea = (diagonal * 1e-7) ** 2;
+  const precision = 1 / (diagonal * 1e-5);
+  const welded = new Uint32Array(position.count);
+  const keys = new Map();
+  for (let i = 0; i < position.count; i++) {
+    const key = `${Math.round(position.getX(i) * precision)},${Math.round(position.getY(i) * precision)},${Math.round(position.getZ(i) * precision)}`;
+    if (!keys.has(key)) keys.set(key, keys.size);
+    welded[i] = keys.get(key);
+  }
+  const stride = keys.size;
+  keys.clear();
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const triangle = new THREE.Triangle(a, b, c);
+  const ids = [0, 0, 0];
+  const edges = new Map(); // lower * stride + higher welded vertex → faces
+  for (let t = 0; t < triangles; t++) {
+    for (let k = 0; k < 3; k++) ids[k] = index ? index.getX(t * 3 + k) : t * 3 + k;
+    a.fromBufferAttribute(position, ids[0]);
+    b.fromBufferAttribute(position, ids[1]);
+    c.fromBufferAttribute(position, ids[2]);
+    if (triangle.getArea() <= minArea) {
+      result.degenerate++;
+      continue;
+    }
+    if (!result.edgesChecked) continue;
+    for (let k = 0; k < 3; k++) {
+      const u = welded[ids[k]];
+      const v = welded[ids[(k + 1) % 3]];
+      const key = u < v ? u * stride + v : v * stride + u;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+  edges.forEach((faces) => {
+    if (faces === 1) result.openEdges++;
+    else if (faces > 2) result.nonManifoldEdges++;
+  });
+  return result;
+}
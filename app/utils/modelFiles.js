@@ -0,0 +1,104 @@
+// utils/modelFiles.js
+import * as THREE from 'three';
+import { getModelFormat, getSupportedExtensions } from './loaders';
+
+// Companion files (materials, buffers, textures) that may travel with a model
+const COMPANION_ACCEPT = '.mtl,.bin,image/*';
+
+export const MODEL_FILE_ACCEPT = [...getSupportedExtensions().map((ext) => `.${ext}`), COMPANION_ACCEPT].join(',');
+
+// 1. Flatten a drop (files and/or folders) into [{ path, file }]
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter((item) => item.kind === 'file')
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  // Browsers without the entries API only give us plain files
+  if (entries.length === 0 || entries.some((entry) => !entry)) {
+    return Array.from(dataTransfer.files || []).map((file) => ({ path: file.name, file }));
+  }
+
+  const results = [];
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      results.push({ path: prefix + entry.name, file });
+      return;
+    }
+    if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns results in batches until it yields an empty array
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await walk(child, `${prefix}${entry.name}/`);
+      } while (batch.length > 0);
+    }
+  };
+  for (const entry of entries) await walk(entry, '');
+  return results;
+}
+
+// 2. Normalize files picked through an <input type="file">
+export function collectInputFiles(fileList) {
+  return Array.from(fileList || []).map((file) => ({
+    path: file.webkitRelativePath || file.name,
+    file,
+  }));
+}
+
+// 3. Choose the model file the rest of the set hangs off, preferring formats
+//    in registry order (.glb before .gltf before .fbx ...)
+export function pickMainFile(files) {
+  const ranked = getSupportedExtensions();
+  let best = null;
+  for (const entry of files) {
+    const format = getModelFormat(entry.path);
+    if (format && (!best || ranked.indexOf(format) < ranked.indexOf(getModelFormat(best.path)))) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+const dirname = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '');
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Join a relative URI onto a directory, collapsing "." and ".." segments
+const joinPath = (dir, relative) => {
+  const parts = [];
+  for (const segment of (dir + relative).split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.' && segment !== '') parts.push(segment);
+  }
+  return parts.join('/');
+};
+
+// 4. LoadingManager that maps the relative URIs inside a model (.gltf
+//    buffers, .mtl files, textures) onto the other files of the same upload
+export function createFileSetManager(modelFiles) {
+  const manager = new THREE.LoadingManager();
+  if (!modelFiles || modelFiles.files.length < 2) return manager;
+
+  const mainDir = dirname(modelFiles.mainPath);
+  const byPath = new Map(modelFiles.files.map((f) => [f.path, f.blob]));
+  const byName = new Map(modelFiles.files.map((f) => [basename(f.path).toLowerCase(), f.blob]));
+  const objectUrls = new Map();
+
+  manager.setURLModifier((url) => {
+    if (url.startsWith('data:')) return url;
+    // Loaders prefix resources with the base of the main blob: URL
+    let relative = url.replace(/^blob:[a-z]+:\/\/[^/]+\//i, '');
+    try {
+      relative = decodeURI(relative);
+    } catch {
+      // keep the raw URI
+    }
+    const blob = byPath.get(joinPath(mainDir, relative)) || byName.get(basename(relative).toLowerCase());
+    if (!blob) return url;
+    if (!objectUrls.has(blob)) objectUrls.set(blob, URL.createObjectURL(blob));
+    return objectUrls.get(blob);
+  });
+  return manager;
+}
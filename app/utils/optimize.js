@@ -0,0 +1,113 @@
+// utils/optimize.js
+import { serializeGeometry, deserializeGeometry, geometryTransferables, triangleCount } from './meshOps';
+import { MAP_SLOTS } from './materials';
+
+// Longest side textures are scaled down to
+export const TEXTURE_SIZES = [4096, 2048, 1024, 512, 256];
+
+export const TEXTURE_FORMATS = {
+  keep: { label: 'Keep format' },
+  'image/webp': { label: 'WebP' },
+  'image/jpeg': { label: 'JPEG (drops alpha)' },
+  'image/png': { label: 'PNG' },
+};
+
+export const COMPRESSION_METHODS = {
+  none: { label: 'None' },
+  meshopt: { label: 'meshopt', extension: 'EXT_meshopt_compression' },
+  draco: { label: 'Draco', extension: 'KHR_draco_mesh_compression' },
+};
+
+// 1. Client for optimize.worker.js. run(type, payload, transfer) resolves
+//    with the worker's result or rejects with its error message.
+export function createOptimizer() {
+  const worker = new Worker(new URL('./optimize.worker.js', import.meta.url));
+  const pending = new Map();
+  let nextId = 0;
+  const rejectAll = (message) => {
+    pending.forEach(({ reject }) => reject(new Error(message)));
+    pending.clear();
+  };
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+  worker.onerror = (event) => rejectAll(event.message || 'Optimizer worker failed');
+  return {
+    run(type, payload, transfer = []) {
+      const id = ++nextId;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, type, payload }, transfer);
+      });
+    },
+    terminate() {
+      worker.terminate();
+      rejectAll('Optimizer stopped');
+    },
+  };
+}
+
+// 2. Meshes whose geometry can be rewritten. Skinned and morphing meshes
+//    are left alone, since their vertices are tied to bones and targets.
+export function optimizableMeshes(meshes) {
+  return meshes.filter((mesh) => mesh.isMesh
+    && !mesh.isSkinnedMesh
+    && mesh.geometry?.attributes.position
+    && Object.keys(mesh.geometry.morphAttributes).length === 0);
+}
+
+// 3. Triangles drawn by a list of meshes
+export function countTriangles(meshes) {
+  return meshes.reduce((sum, mesh) => sum + triangleCount(mesh.geometry), 0);
+}
+
+// 4. Vertices stored by a list of meshes (shared geometry counted once)
+export function countVertices(meshes) {
+  return [...new Set(meshes.map((mesh) => mesh.geometry))]
+    .reduce((sum, geometry) => sum + geometry.attributes.position.count, 0);
+}
+
+// 5. Run a 'simplify' or 'weld' step on every distinct geometry of the
+//    meshes. Resolves to a Map of original → new geometry; the scene is
+//    not touched.
+export async function transformGeometries(optimizer, type, meshes, options = {}) {
+  const originals = [...new Set(meshes.map((mesh) => mesh.geometry))];
+  const geometries = originals.map(serializeGeometry);
+  const results = await optimizer.run(type, { ...options, geometries }, geometryTransferables(geometries));
+  return new Map(originals.map((geometry, i) => [geometry, deserializeGeometry(results[i])]));
+}
+
+// 6. Textures on the meshes' materials that can be redrawn:
+//    [{ texture, uses: [{ material, key }], meshes }]. Data and GPU-compressed
+//    textures have no drawable image and are skipped.
+export function collectTextures(meshes) {
+  const entries = new Map();
+  meshes.forEach((mesh) => {
+    [].concat(mesh.material).filter(Boolean).forEach((material) => {
+      MAP_SLOTS.forEach(({ key }) => {
+        const texture = material[key];
+        if (!texture?.image?.width || texture.isDataTexture || texture.isCompressedTexture || texture.isVideoTexture) return;
+        const entry = entries.get(texture) || { texture, uses: [], meshes: new Set() };
+        if (!entry.uses.some((use) => use.material === material && use.key === key)) entry.uses.push({ material, key });
+        entry.meshes.add(mesh);
+        entries.set(texture, entry);
+      });
+    });
+  });
+  return [...entries.values()].map((entry) => ({ ...entry, meshes: [...entry.meshes] }));
+}
+
+// 7. Dispose geometries nothing under `root` draws any more
+export function disposeUnusedGeometries(geometries, root) {
+  const used = new Set();
+  root.traverse((object) => {
+    if (object.geometry) used.add(object.geometry);
+  });
+  new Set(geometries).forEach((geometry) => {
+    if (!used.has(geometry)) geometry.dispose();
+  });
+}
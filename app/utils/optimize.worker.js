@@ -0,0 +1,94 @@
+// utils/optimize.worker.js
+import {
+  serializeGeometry,
+  deserializeGeometry,
+  geometryTransferables,
+  simplifyGeometry,
+  weldGeometry,
+  mergeGeometryGroup,
+  analyzeTriangles,
+} from './meshOps';
+import { compressGlbDraco, compressGlbMeshopt } from './gltfCompression';
+
+// Optimization steps and the inspector's triangle checks, run off the main
+// thread. Requests are { id, type, payload } and every reply is
+// { id, result } or { id, error }.
+
+// Served from public/draco: the encoder shipped with three
+// (examples/jsm/libs/draco), copied so export works offline and under a
+// same-origin script policy. Replace it when three is upgraded.
+const DRACO_ENCODER_URL = '/draco/draco_encoder.js';
+
+let dracoEncoder = null;
+function getDracoEncoder() {
+  if (!dracoEncoder) {
+    try {
+      importScripts(DRACO_ENCODER_URL);
+    } catch (err) {
+      throw new Error(`Could not load the Draco encoder from ${DRACO_ENCODER_URL} (${err.message || err})`);
+    }
+    if (typeof self.DracoEncoderModule !== 'function') {
+      throw new Error(`${DRACO_ENCODER_URL} is not a Draco encoder build`);
+    }
+    dracoEncoder = self.DracoEncoderModule();
+  }
+  return dracoEncoder;
+}
+
+const geometryReply = (results) => ({ result: results, transfer: geometryTransferables(results.filter(Boolean)) });
+
+const handlers = {
+  // { geometries, ratio } → simplified geometries
+  async simplify({ geometries, ratio }) {
+    const results = [];
+    for (const data of geometries) {
+      results.push(serializeGeometry(await simplifyGeometry(deserializeGeometry(data), ratio)));
+    }
+    return geometryReply(results);
+  },
+
+  // { geometries, tolerance } → welded geometries
+  weld({ geometries, tolerance }) {
+    return geometryReply(geometries.map((data) => serializeGeometry(weldGeometry(deserializeGeometry(data), tolerance))));
+  },
+
+  // { groups: [[{ geometry, matrix }]] } → one geometry per group, or null
+  merge({ groups }) {
+    return geometryReply(groups.map((items) => {
+      const merged = mergeGeometryGroup(items.map(({ geometry, matrix }) => ({ geometry: deserializeGeometry(geometry), matrix })));
+      return merged ? serializeGeometry(merged) : null;
+    }));
+  },
+
+  // { geometries } → triangle and edge checks per geometry
+  analyze({ geometries }) {
+    return { result: geometries.map((data) => analyzeTriangles(deserializeGeometry(data))) };
+  },
+
+  // { image: ImageBitmap, maxSize, type, quality } → { blob, width, height }
+  async texture({ image, maxSize, type, quality }) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    image.close();
+    const blob = await canvas.convertToBlob({ type, quality });
+    return { result: { blob, width, height } };
+  },
+
+  // { glb, method: 'draco' | 'meshopt' } → compressed .glb bytes
+  async compress({ glb, method }) {
+    const result = method === 'draco' ? compressGlbDraco(glb, getDracoEncoder()) : await compressGlbMeshopt(glb);
+    return { result, transfer: [result] };
+  },
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    const { result, transfer = [] } = await handlers[type](payload);
+    self.postMessage({ id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
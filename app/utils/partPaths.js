@@ -0,0 +1,95 @@
+// utils/partPaths.js
+import * as THREE from 'three';
+
+// A part path is the chain of `childIndex:name` segments from the model root
+// down to a node, e.g. "0:Chassis/3:Bolt". Unlike uuids it survives reloads,
+// and unlike names it stays unique when several parts share (or lack) a name.
+
+const encodeSegment = (index, name) => `${index}:${encodeURIComponent(name || '')}`;
+
+// 1. Path of an object relative to the model root
+export function getPartPath(object, root) {
+  const segments = [];
+  let node = object;
+  while (node && node !== root && node.parent) {
+    segments.unshift(encodeSegment(node.parent.children.indexOf(node), node.name));
+    node = node.parent;
+  }
+  return node === root ? segments.join('/') : null;
+}
+
+// 2. Find the object a path points at. Each segment matches by index when the
+//    name agrees, otherwise by name among the siblings (children reordered).
+export function findByPartPath(root, path) {
+  if (!root || !path) return null;
+  let node = root;
+  for (const segment of path.split('/')) {
+    const separator = segment.indexOf(':');
+    const index = Number(segment.slice(0, separator));
+    const name = decodeURIComponent(segment.slice(separator + 1));
+    const byIndex = node.children[index];
+    if (byIndex && byIndex.name === name) {
+      node = byIndex;
+    } else if (name) {
+      node = node.children.find((child) => child.name === name);
+    } else {
+      node = null;
+    }
+    if (!node) return null;
+  }
+  return node;
+}
+
+// 3. Resolve a saved part reference: by path, or by name for records saved
+//    before paths existed
+export function resolvePart(root, { path, name }) {
+  if (path) return findByPartPath(root, path);
+  return name ? root.getObjectByName(name) || null : null;
+}
+
+// 4. Every mesh under the root with its path and a display label
+export function listParts(root) {
+  const parts = [];
+  root.traverse((obj) => {
+    if (!obj.isMesh) return;
+    parts.push({
+      path: getPartPath(obj, root),
+      name: obj.name,
+      label: obj.name || `Unnamed part ${parts.length + 1}`,
+      uuid: obj.uuid,
+    });
+  });
+  return parts;
+}
+
+// 5. True if `object` is `ancestor` or sits somewhere below it
+export function isDescendantOf(object, ancestor) {
+  for (let node = object; node; node = node.parent) {
+    if (node === ancestor) return true;
+  }
+  return false;
+}
+
+// 6. A part can be picked when it and all its ancestors are visible and none
+//    of them is locked
+export function isPartSelectable(object, root, lockedPaths) {
+  for (let node = object; node && node !== root; node = node.parent) {
+    if (!node.visible) return false;
+    if (lockedPaths.has(getPartPath(node, root))) return false;
+  }
+  return true;
+}
+
+// 7. A point pinned to a part, stored in the part's local space so it
+//    follows the part when it moves: { path, position }
+export function createPartPoint(root, object, worldPosition) {
+  return { path: getPartPath(object, root), position: object.worldToLocal(worldPosition.clone()).toArray() };
+}
+
+// 8. World-space position of a pinned point, or null if its part is gone
+export function resolvePartPoint(root, point) {
+  const object = findByPartPath(root, point.path);
+  if (!object) return null;
+  object.updateWorldMatrix(true, false);
+  return object.localToWorld(new THREE.Vector3(...point.position));
+}
@@ -0,0 +1,77 @@
+// utils/presets.js
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { applySerializedMaterial, inlineMaterialImages } from './materials';
+
+export const PRESET_FILE_FORMAT = 'material-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Finishes the library is seeded with on first use
+export const DEFAULT_PRESETS = [
+  { id: 'wood-light', name: 'Light wood', material: { color: 0xfde68a, roughness: 0.8, metalness: 0.1 } },
+  { id: 'wood-dark', name: 'Dark wood', material: { color: 0x7c3f00, roughness: 0.8, metalness: 0.1 } },
+  { id: 'metal', name: 'Metal', material: { color: 0xd1d5db, roughness: 0.2, metalness: 0.9 } },
+  { id: 'metal-dark', name: 'Dark metal', material: { color: 0x4b5563, roughness: 0.2, metalness: 0.9 } },
+  { id: 'plastic', name: 'Plastic', material: { color: 0xbfdbfe, roughness: 0.6, metalness: 0.1 } },
+];
+
+// One offscreen renderer and environment shared by all thumbnails
+let thumbnailRenderer = null;
+let thumbnailEnvironment = null;
+
+// 1. Render a material onto a lit sphere and return a PNG data URL
+export function renderMaterialThumbnail(material, size = 96) {
+  if (!thumbnailRenderer) {
+    thumbnailRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+    const pmrem = new THREE.PMREMGenerator(thumbnailRenderer);
+    thumbnailEnvironment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmrem.dispose();
+  }
+  thumbnailRenderer.setSize(size, size, false);
+
+  const scene = new THREE.Scene();
+  scene.environment = thumbnailEnvironment;
+  const light = new THREE.DirectionalLight(0xffffff, 1.5);
+  light.position.set(2, 2, 3);
+  scene.add(light);
+  const geometry = new THREE.SphereGeometry(1, 48, 32);
+  scene.add(new THREE.Mesh(geometry, material));
+  const camera = new THREE.PerspectiveCamera(30, 1, 0.1, 10);
+  camera.position.set(0, 0, 4.2);
+
+  thumbnailRenderer.render(scene, camera);
+  const dataUrl = thumbnailRenderer.domElement.toDataURL('image/png');
+  geometry.dispose();
+  return dataUrl;
+}
+
+// 2. Build a standalone material from a preset's serialized material
+export function createPresetMaterial(preset) {
+  const material = new THREE.MeshStandardMaterial();
+  applySerializedMaterial(material, preset.material);
+  return material;
+}
+
+// 3. Serialize a preset library for sharing. Stored texture images are
+//    embedded so the file works in another browser.
+export async function exportPresetLibrary(presets) {
+  const shared = [];
+  for (const { id, name, material, thumbnail, createdAt } of presets) {
+    shared.push({ id, name, material: await inlineMaterialImages(material), thumbnail, createdAt });
+  }
+  return JSON.stringify({ format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets: shared }, null, 2);
+}
+
+// 4. Parse a shared preset library; throws on files that are not one
+export function parsePresetLibrary(text) {
+  const data = JSON.parse(text);
+  if (data?.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+    throw new Error('Not a material preset library');
+  }
+  if (data.version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset library version ${data.version} is newer than this app supports`);
+  }
+  return data.presets
+    .filter((preset) => preset && preset.id && preset.name && preset.material)
+    .map((preset) => ({ ...preset, createdAt: preset.createdAt || Date.now() }));
+}
@@ -0,0 +1,75 @@
+// utils/projectScene.js
+import { getModelFiles, getModelState, saveModelState, projectStateKey } from './idb';
+import { migrateModelState, internMaterialImages, restoreMaterialStates } from './materials';
+import { restoreTransforms } from './transforms';
+import { findByPartPath, getPartPath, isDescendantOf } from './partPaths';
+import { readGltfVariants } from './variants';
+
+// How a stored project becomes the scene on screen: its files, its saved
+// state and what that state does to the loaded model. The editor and the
+// read-only embed both go through these, so they show a project the same way.
+
+// 1. A project's model files and an object URL for its main file, or null
+//    when the project isn't stored in this browser. The caller revokes the URL.
+export async function openProjectModel(projectId) {
+  const model = await getModelFiles(projectId);
+  const main = model?.files.find((f) => f.path === model.mainPath);
+  if (!main) return null;
+  return { model, url: URL.createObjectURL(main.blob) };
+}
+
+// 2. The project's saved state at the current version, or null if nothing
+//    was saved. With `persist`, records written by older versions are
+//    upgraded in storage: embedded images move into the texture store and
+//    the old undo stacks are dropped.
+export async function loadProjectState(projectId, { persist = false } = {}) {
+  const stored = await getModelState(projectStateKey(projectId));
+  if (!stored) return null;
+  const saved = migrateModelState(stored);
+  if (saved === stored || !persist) return saved;
+  const { undoHistory, redoHistory, textureList, ...rest } = saved;
+  const materials = [];
+  for (const material of saved.materials || []) materials.push(await internMaterialImages(material));
+  const upgraded = { ...rest, materials };
+  await saveModelState(projectStateKey(projectId), upgraded);
+  return upgraded;
+}
+
+// 3. Put saved materials and transforms onto a freshly loaded model.
+//    Returns the entries whose part could not be found.
+export function restoreProjectScene(scene, saved) {
+  return [
+    ...restoreMaterialStates(scene, saved.materials),
+    ...restoreTransforms(scene, saved.transforms),
+  ];
+}
+
+// 4. Hide the parts at `hiddenPaths`. With an isolated part, everything
+//    outside it is hidden too, except its ancestors so it can still render.
+export function applyPartVisibility(scene, hiddenPaths, isolatedPath = null) {
+  const hidden = new Set(hiddenPaths);
+  const isolated = isolatedPath ? findByPartPath(scene, isolatedPath) : null;
+  scene.traverse((obj) => {
+    if (obj === scene) return;
+    let visible = !hidden.has(getPartPath(obj, scene));
+    if (visible && isolated) visible = isDescendantOf(obj, isolated) || isDescendantOf(isolated, obj);
+    obj.visible = visible;
+  });
+}
+
+// 5. Every part receives shadows; parts under a shadowless path don't cast them
+export function applyShadowSettings(scene, shadowlessPaths) {
+  const shadowless = shadowlessPaths.map((path) => findByPartPath(scene, path)).filter(Boolean);
+  scene.traverse((child) => {
+    if (!child.isMesh) return;
+    child.castShadow = !shadowless.some((node) => isDescendantOf(child, node));
+    child.receiveShadow = true;
+  });
+}
+
+// 6. Variants the project offers: its saved ones, or the ones that came with
+//    a glTF file (KHR_materials_variants) while it has none of its own
+export async function projectVariants(saved, source, scene) {
+  if (saved?.variants) return saved.variants;
+  return readGltfVariants(source, scene);
+}
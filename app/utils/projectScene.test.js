@@ -0,0 +1,81 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { saveModelState, getModelState, projectStateKey } from './idb';
+import { getPartPath } from './partPaths';
+import { loadProjectState, restoreProjectScene, applyPartVisibility, applyShadowSettings } from './projectScene';
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+});
+
+const named = (object, name) => {
+  object.name = name;
+  return object;
+};
+
+// Body/{Door, Wheel}, Roof
+const buildScene = () => {
+  const scene = new THREE.Group();
+  const body = named(new THREE.Group(), 'Body');
+  const door = named(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()), 'Door');
+  const wheel = named(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()), 'Wheel');
+  const roof = named(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()), 'Roof');
+  body.add(door, wheel);
+  scene.add(body, roof);
+  return { scene, body, door, wheel, roof };
+};
+
+describe('loadProjectState', () => {
+  it('is null for projects without saved state', async () => {
+    expect(await loadProjectState('missing')).toBeNull();
+  });
+
+  it('upgrades old records in storage only when asked to', async () => {
+    await saveModelState(projectStateKey('p1'), { materials: [{ path: 'Roof', color: 0xff0000 }], undoHistory: [] });
+    const read = await loadProjectState('p1');
+    expect(read.version).toBeGreaterThan(0);
+    expect((await getModelState(projectStateKey('p1'))).version).toBeUndefined();
+
+    const upgraded = await loadProjectState('p1', { persist: true });
+    expect(upgraded.undoHistory).toBeUndefined();
+    expect(await getModelState(projectStateKey('p1'))).toEqual(upgraded);
+  });
+});
+
+describe('restoreProjectScene', () => {
+  it('applies materials and transforms and returns the parts it could not find', () => {
+    const { scene, roof, wheel } = buildScene();
+    const unmatched = restoreProjectScene(scene, {
+      materials: [{ path: getPartPath(roof, scene), name: 'Roof', version: 3, color: 0x00ff00, maps: {} }],
+      transforms: [
+        { path: getPartPath(wheel, scene), name: 'Wheel', position: [1, 2, 3], rotation: [0, 0, 0, 'XYZ'], scale: [1, 1, 1] },
+        { path: '9:Trunk', name: 'Trunk', position: [0, 0, 0], rotation: [0, 0, 0, 'XYZ'], scale: [1, 1, 1] },
+      ],
+    });
+    expect(roof.material.color.getHex()).toBe(0x00ff00);
+    expect(wheel.position.toArray()).toEqual([1, 2, 3]);
+    expect(unmatched).toEqual([{ path: '9:Trunk', name: 'Trunk' }]);
+  });
+});
+
+describe('applyPartVisibility', () => {
+  it('hides parts by path and everything outside an isolated part', () => {
+    const { scene, body, door, wheel, roof } = buildScene();
+    applyPartVisibility(scene, [getPartPath(wheel, scene)]);
+    expect([body, door, wheel, roof].map((o) => o.visible)).toEqual([true, true, false, true]);
+
+    applyPartVisibility(scene, [], getPartPath(door, scene));
+    expect([body, door, wheel, roof].map((o) => o.visible)).toEqual([true, true, false, false]);
+  });
+});
+
+describe('applyShadowSettings', () => {
+  it('stops parts under a shadowless path from casting shadows', () => {
+    const { scene, body, door, wheel, roof } = buildScene();
+    applyShadowSettings(scene, [getPartPath(body, scene)]);
+    expect([door, wheel, roof].map((o) => o.castShadow)).toEqual([false, false, true]);
+    expect([door, wheel, roof].every((o) => o.receiveShadow)).toBe(true);
+  });
+});
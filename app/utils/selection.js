@@ -0,0 +1,60 @@
+// utils/selection.js
+import * as THREE from 'three';
+import { isPartSelectable } from './partPaths';
+import { materialStateKey } from './materials';
+
+// Materials are cloned per part on load, so "same material" compares the
+// current look. The source material's name only tells apart materials that
+// look identical, so a recolored part no longer matches its old siblings.
+const materialSignature = (material) => (material ? `${materialStateKey(material)}|${material.name}` : null);
+
+// 1. Every selectable mesh sharing the given mesh's material
+export function meshesWithSameMaterial(root, mesh, lockedPaths = new Set()) {
+  const signature = materialSignature(mesh.material);
+  const matches = [];
+  root.traverse((obj) => {
+    if (obj.isMesh && isPartSelectable(obj, root, lockedPaths) && materialSignature(obj.material) === signature) {
+      matches.push(obj);
+    }
+  });
+  return matches;
+}
+
+// 2. Every selectable mesh at or below a node
+export function meshesUnder(node, root, lockedPaths = new Set()) {
+  const matches = [];
+  node.traverse((obj) => {
+    if (obj.isMesh && isPartSelectable(obj, root, lockedPaths)) matches.push(obj);
+  });
+  return matches;
+}
+
+// 3. Selectable meshes whose bounding-box center projects inside a screen
+//    rectangle ({ left, top, right, bottom } in CSS pixels of the canvas)
+export function meshesInRect(root, camera, rect, size, lockedPaths = new Set()) {
+  const box = new THREE.Box3();
+  const center = new THREE.Vector3();
+  const matches = [];
+  root.updateWorldMatrix(true, true);
+  root.traverse((obj) => {
+    if (!obj.isMesh || !isPartSelectable(obj, root, lockedPaths)) return;
+    box.setFromObject(obj).getCenter(center).project(camera);
+    if (center.z > 1) return; // behind the camera
+    const x = ((center.x + 1) / 2) * size.width;
+    const y = ((1 - center.y) / 2) * size.height;
+    if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) matches.push(obj);
+  });
+  return matches;
+}
+
+// 4. Split meshes into groups that look exactly alike, in first-seen order.
+//    Unlike (1) names are ignored, since merged parts share one material.
+export function groupByMaterial(meshes) {
+  const groups = new Map();
+  meshes.forEach((mesh) => {
+    const key = materialStateKey(mesh.material);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(mesh);
+  });
+  return [...groups.values()];
+}
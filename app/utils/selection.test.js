@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { groupByMaterial, meshesWithSameMaterial } from './selection';
+
+const part = (material) => new THREE.Mesh(new THREE.BoxGeometry(), material);
+
+const modelOf = (...parts) => {
+  const root = new THREE.Group();
+  parts.forEach((mesh, i) => {
+    mesh.name = `Part ${i}`;
+    root.add(mesh);
+  });
+  return root;
+};
+
+describe('meshesWithSameMaterial', () => {
+  it('leaves out a recolored part that kept the material name', () => {
+    const source = new THREE.MeshStandardMaterial({ name: 'Steel', color: 0x888888 });
+    const edited = part(source.clone());
+    edited.material.color.setHex(0xff0000);
+    const [a, b] = [part(source.clone()), part(source.clone())];
+    const root = modelOf(a, b, edited);
+    expect(meshesWithSameMaterial(root, a)).toEqual([a, b]);
+    expect(meshesWithSameMaterial(root, edited)).toEqual([edited]);
+  });
+
+  it('tells identical-looking materials apart by name', () => {
+    const a = part(new THREE.MeshStandardMaterial({ name: 'Steel' }));
+    const b = part(new THREE.MeshStandardMaterial({ name: 'Chrome' }));
+    const c = part(new THREE.MeshStandardMaterial({ name: 'Steel' }));
+    expect(meshesWithSameMaterial(modelOf(a, b, c), a)).toEqual([a, c]);
+  });
+});
+
+describe('groupByMaterial', () => {
+  it('keeps same-named materials apart when their colors differ', () => {
+    const source = new THREE.MeshStandardMaterial({ name: 'Paint', color: 0xff0000 });
+    const recolored = source.clone();
+    recolored.color.setHex(0x0000ff);
+    const groups = groupByMaterial([part(source.clone()), part(recolored)]);
+    expect(groups).toHaveLength(2);
+  });
+
+  it('groups per-part clones that still look the same', () => {
+    const source = new THREE.MeshStandardMaterial({ name: 'Paint', color: 0xff0000, roughness: 0.3 });
+    const groups = groupByMaterial([part(source.clone()), part(source.clone()), part(source.clone())]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toHaveLength(3);
+  });
+
+  it('keeps parts apart when a map or its UV transform differs', () => {
+    const texture = new THREE.Texture();
+    const a = new THREE.MeshStandardMaterial({ map: texture });
+    const b = a.clone();
+    const c = a.clone();
+    c.map = texture.clone();
+    c.map.repeat.set(2, 2);
+    const groups = groupByMaterial([part(a), part(b), part(c)]);
+    expect(groups.map((group) => group.length)).toEqual([2, 1]);
+  });
+});
@@ -0,0 +1,40 @@
+// utils/stage.js
+import * as THREE from 'three';
+
+// Ground, contact shadows and editing helpers around the model:
+//   { ground: 'none' | 'plane' | 'catcher', groundColor, shadowOpacity,
+//     contactShadows, contactOpacity, contactBlur, grid, axes }
+export const DEFAULT_STAGE = {
+  ground: 'none',
+  groundColor: '#e5e7eb',
+  shadowOpacity: 0.3,
+  contactShadows: false,
+  contactOpacity: 0.5,
+  contactBlur: 2,
+  grid: false,
+  axes: false,
+};
+
+// 1. Fill in fields missing from older records
+export function migrateStage(saved) {
+  return { ...DEFAULT_STAGE, ...saved };
+}
+
+// 2. Where the stage sits: floor height and footprint under the model. Hidden
+//    parts count too so the ground stays put while isolating.
+export function computeStageBounds(root) {
+  const box = new THREE.Box3();
+  root?.traverse((child) => {
+    if (child.isMesh) box.expandByObject(child);
+  });
+  if (box.isEmpty()) return { center: [0, 0, 0], floor: 0, radius: 1, size: 10 };
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const size = box.getSize(new THREE.Vector3());
+  return {
+    center: sphere.center.toArray(),
+    floor: box.min.y,
+    radius: sphere.radius,
+    // Wide enough that the shadow falls on the ground, not past its edge
+    size: Math.max(size.x, size.z, size.y) * 4,
+  };
+}
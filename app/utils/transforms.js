@@ -0,0 +1,74 @@
+// utils/transforms.js
+import { resolvePart, getPartPath } from './partPaths';
+
+// A node transform is stored as plain arrays:
+//   { position: [x, y, z], rotation: [x, y, z, order], scale: [x, y, z] }
+// with rotation as Euler angles in radians.
+
+// 1. Snapshot an object's local transform
+export function getTransform(object) {
+  return {
+    position: object.position.toArray(),
+    rotation: object.rotation.toArray(),
+    scale: object.scale.toArray(),
+  };
+}
+
+// 2. Apply a stored transform to an object
+export function applyTransform(object, transform) {
+  if (transform.position) object.position.fromArray(transform.position);
+  if (transform.rotation) object.rotation.fromArray(transform.rotation);
+  if (transform.scale) object.scale.fromArray(transform.scale);
+  object.updateMatrixWorld(true);
+}
+
+// 3. True if two stored transforms are the same
+export function transformsEqual(a, b) {
+  if (!a || !b) return a === b;
+  const same = (x, y) => x.length === y.length && x.every((v, i) => v === y[i]);
+  return same(a.position, b.position) && same(a.rotation, b.rotation) && same(a.scale, b.scale);
+}
+
+// Transforms as loaded from the model file. Kept out of userData so they
+// are not written into exported glTF extras.
+const initialTransforms = new WeakMap();
+
+// 4. Remember each node's transform from the model file, once per load
+export function rememberInitialTransforms(root) {
+  root.traverse((object) => {
+    if (!initialTransforms.has(object)) initialTransforms.set(object, getTransform(object));
+  });
+}
+
+// 4b. Transform of a node as loaded from the model file
+export function getInitialTransform(object) {
+  return initialTransforms.get(object) || null;
+}
+
+// 5. Transforms that differ from the model file, as [{ path, name, ...transform }].
+//    Nodes in `skip` (e.g. driven by an animation) are left out.
+export function collectTransforms(root, skip = new Set()) {
+  const transforms = [];
+  root.traverse((object) => {
+    if (object === root || skip.has(object)) return;
+    const current = getTransform(object);
+    const initial = initialTransforms.get(object);
+    if (!initial || transformsEqual(initial, current)) return;
+    transforms.push({ path: getPartPath(object, root), name: object.name, ...current });
+  });
+  return transforms;
+}
+
+// 6. Reapply saved transforms. Returns the entries whose node is missing.
+export function restoreTransforms(root, transforms) {
+  const unmatched = [];
+  (transforms || []).forEach((entry) => {
+    const node = resolvePart(root, entry);
+    if (!node) {
+      unmatched.push({ path: entry.path, name: entry.name });
+      return;
+    }
+    applyTransform(node, entry);
+  });
+  return unmatched;
+}
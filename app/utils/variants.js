@@ -0,0 +1,137 @@
+// utils/variants.js
+import * as THREE from 'three';
+import { getPartPath } from './partPaths';
+import { serializeMaterial, toStandardMaterial, applySerializedMaterial, restoreMaterialStates, getTextureUrl, MAP_SLOTS } from './materials';
+
+// A variant is a named material configuration of the whole model, e.g.
+// "Oak / Chrome", saved with the project:
+//   { id, name, materials: [{ path, name, ...serialized material }] }
+// The materials list has the shape of the project's saved materials, so
+// applying a variant works like restoring a saved project.
+
+export const VARIANTS_EXTENSION = 'KHR_materials_variants';
+
+// 1. New variant from the current per-part materials
+export function createVariant(name, materials) {
+  return { id: crypto.randomUUID(), name, materials };
+}
+
+// 2. Put a variant's materials onto the model. Returns the entries whose
+//    part could not be found.
+export function applyVariant(root, variant) {
+  return restoreMaterialStates(root, variant.materials);
+}
+
+// 3. Variants that came with a glTF file. Each primitive maps variant
+//    indices to material indices; parts without a mapping for a variant keep
+//    their default material. Empty for other formats.
+export async function readGltfVariants(gltf, root) {
+  const names = gltf?.userData?.gltfExtensions?.[VARIANTS_EXTENSION]?.variants;
+  if (!names?.length || !gltf.parser) return [];
+  const { parser } = gltf;
+  const variants = names.map(({ name }, i) => createVariant(name || `Variant ${i + 1}`, []));
+
+  const meshes = [];
+  root.traverse((object) => {
+    if (object.isMesh) meshes.push(object);
+  });
+  for (const mesh of meshes) {
+    const mappings = mesh.userData.gltfExtensions?.[VARIANTS_EXTENSION]?.mappings || [];
+    const association = parser.associations.get(mesh);
+    const primitive = association?.primitives !== undefined
+      ? parser.json.meshes[association.meshes]?.primitives[association.primitives]
+      : null;
+    for (let i = 0; i < variants.length; i++) {
+      const mapping = mappings.find((m) => m.variants.includes(i));
+      const index = mapping ? mapping.material : primitive?.material;
+      const material = index !== undefined ? await parser.getDependency('material', index) : mesh.material;
+      const data = await serializeMaterial(toStandardMaterial(material));
+      // The loader sets these per primitive, not on the shared material
+      data.vertexColors = mesh.material.vertexColors;
+      data.flatShading = mesh.material.flatShading;
+      variants[i].materials.push({ path: getPartPath(mesh, root), name: mesh.name, ...data });
+    }
+  }
+  return variants;
+}
+
+// Material of `base` with a variant entry applied and its texture images
+// loaded, since the exporter needs the pixels right away
+async function buildVariantMaterial(base, entry) {
+  const material = base.clone();
+  applySerializedMaterial(material, entry);
+  for (const { key } of MAP_SLOTS) {
+    const id = entry.maps?.[key]?.texture;
+    const url = id ? await getTextureUrl(id) : null;
+    if (!url) continue;
+    material[key].image = await new THREE.ImageLoader().loadAsync(url);
+    material[key].needsUpdate = true;
+  }
+  return material;
+}
+
+// 4. GLTFExporter plugin writing the variants as KHR_materials_variants.
+//    Variant materials are built up front; equal ones are shared, and a part
+//    whose variant matches its current look reuses its own material.
+export async function createVariantsExportPlugin(root, variants) {
+  const built = new Map(); // serialized material JSON → material
+  const mappings = new Map(); // mesh → material per variant
+  const lookups = variants.map(({ materials }) => new Map(materials.map((entry) => [entry.path, entry])));
+
+  const meshes = [];
+  root.traverse((object) => {
+    if (object.isMesh && object.material && !Array.isArray(object.material)) meshes.push(object);
+  });
+  for (const mesh of meshes) {
+    const path = getPartPath(mesh, root);
+    const current = JSON.stringify(await serializeMaterial(mesh.material));
+    if (!built.has(current)) built.set(current, mesh.material);
+    const perVariant = [];
+    for (const lookup of lookups) {
+      const entry = lookup.get(path);
+      if (!entry) {
+        perVariant.push(mesh.material);
+        continue;
+      }
+      const { path: partPath, name, ...data } = entry;
+      const key = JSON.stringify(data);
+      if (!built.has(key)) built.set(key, await buildVariantMaterial(mesh.material, data));
+      perVariant.push(built.get(key));
+    }
+    mappings.set(mesh, perVariant);
+  }
+
+  return (writer) => {
+    // Mapped materials are written inside the mesh step so the exporter
+    // waits for their textures like for any other material
+    const processMesh = writer.processMeshAsync.bind(writer);
+    writer.processMeshAsync = async (mesh) => {
+      const index = await processMesh(mesh);
+      const materials = mappings.get(mesh);
+      if (index === null || !materials) return index;
+      const byMaterial = new Map();
+      for (let i = 0; i < materials.length; i++) {
+        const material = await writer.processMaterialAsync(materials[i]);
+        if (material === null) continue;
+        if (!byMaterial.has(material)) byMaterial.set(material, []);
+        byMaterial.get(material).push(i);
+      }
+      const extension = {
+        mappings: [...byMaterial].map(([material, indices]) => ({ material, variants: indices })),
+      };
+      writer.json.meshes[index].primitives.forEach((primitive) => {
+        primitive.extensions = { ...primitive.extensions, [VARIANTS_EXTENSION]: extension };
+      });
+      return index;
+    };
+    return {
+      afterParse() {
+        writer.extensionsUsed[VARIANTS_EXTENSION] = true;
+        writer.json.extensions = {
+          ...writer.json.extensions,
+          [VARIANTS_EXTENSION]: { variants: variants.map(({ name }) => ({ name })) },
+        };
+      },
+    };
+  };
+}
@@ -0,0 +1,140 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Play, Pause, Film, Snowflake } from 'lucide-react';
+import { LOOP_MODES, formatClipTime } from '../app/utils/animations';
+
+// Clip list, transport, timeline and freeze frame. Playback time lives in
+// the mixer; the timeline polls it instead of re-rendering the viewer.
+export default function AnimationPanel({
+  clips,
+  playback,
+  pose,
+  getTime,
+  onPlayClip,
+  onTogglePlaying,
+  onPlaybackChange,
+  onSeek,
+  onFreeze,
+  onUnfreeze,
+}) {
+  const [time, setTime] = useState(0);
+  const clip = clips.find((c) => c.name === playback.clip);
+  const frozen = !!pose;
+
+  useEffect(() => {
+    let frame;
+    const poll = () => {
+      setTime(getTime());
+      frame = requestAnimationFrame(poll);
+    };
+    poll();
+    return () => cancelAnimationFrame(frame);
+  }, [getTime]);
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-1">
+        <Film size={14} /> Animations
+      </p>
+      <ul className="mb-2 border rounded max-h-40 overflow-y-auto">
+        {clips.map((c) => (
+          <li key={c.uuid}>
+            <button
+              className={`w-full flex items-center justify-between px-2 py-1 text-xs text-left disabled:opacity-50
+                ${c.name === playback.clip ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50'}`}
+              disabled={frozen}
+              onClick={() => onPlayClip(c.name)}
+            >
+              <span className="truncate">{c.name || 'Unnamed clip'}</span>
+              <span className="text-gray-400">{formatClipTime(c.duration)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex items-center gap-2 mb-1">
+        <button
+          className="p-1 rounded border hover:bg-gray-100 disabled:opacity-40"
+          disabled={!clip || frozen}
+          onClick={onTogglePlaying}
+          title={playback.playing ? 'Pause' : 'Play'}
+        >
+          {playback.playing ? <Pause size={14} /> : <Play size={14} />}
+        </button>
+        <input
+          type="range"
+          className="flex-1"
+          min={0}
+          max={clip ? clip.duration : 1}
+          step={0.01}
+          value={clip ? Math.min(time, clip.duration) : 0}
+          disabled={!clip || frozen}
+          onChange={(e) => onSeek(parseFloat(e.target.value))}
+        />
+        <span className="text-xs text-gray-500 w-14 text-right">{formatClipTime(clip ? time : 0)}</span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-1 mb-2 text-xs text-gray-600">
+        <label className="flex flex-col">
+          Repeat
+          <select
+            className="border rounded px-1 py-0.5"
+            value={playback.loop}
+            onChange={(e) => onPlaybackChange({ loop: e.target.value })}
+          >
+            {Object.entries(LOOP_MODES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          Speed
+          <input
+            type="number"
+            className="border rounded px-1"
+            min={0.05}
+            max={10}
+            step={0.25}
+            value={playback.speed}
+            onChange={(e) => {
+              const v = parseFloat(e.target.value);
+              if (v > 0) onPlaybackChange({ speed: Math.min(10, v) });
+            }}
+          />
+        </label>
+        <label className="flex flex-col" title="Cross-fade time when switching clips">
+          Blend (s)
+          <input
+            type="number"
+            className="border rounded px-1"
+            min={0}
+            max={5}
+            step={0.1}
+            value={playback.blend}
+            onChange={(e) => {
+              const v = parseFloat(e.target.value);
+              if (v >= 0) onPlaybackChange({ blend: Math.min(5, v) });
+            }}
+          />
+        </label>
+      </div>
+
+      {frozen ? (
+        <div className="flex items-center justify-between rounded bg-blue-50 px-2 py-1 text-xs text-blue-800">
+          <span className="truncate">Frozen at {pose.clip} · {formatClipTime(pose.time)}</span>
+          <button className="hover:underline" onClick={onUnfreeze}>Unfreeze</button>
+        </div>
+      ) : (
+        <button
+          className="w-full flex items-center justify-center gap-1 border text-xs px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-40"
+          disabled={!clip}
+          onClick={onFreeze}
+          title="Keep this frame for screenshots and export"
+        >
+          <Snowflake size={12} /> Freeze this frame
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { MessageSquare, Trash2, Eye, EyeOff, LocateFixed } from 'lucide-react';
+import { ANNOTATION_STATUSES } from '../app/utils/annotations';
+
+// Title and text are edited locally and committed on blur, so typing a note
+// is one undo step
+function AnnotationEditor({ annotation, onChange, onDelete }) {
+  const [title, setTitle] = useState(annotation.title);
+  const [text, setText] = useState(annotation.text);
+  useEffect(() => {
+    setTitle(annotation.title);
+    setText(annotation.text);
+  }, [annotation.title, annotation.text]);
+
+  const commit = (changes, label) => {
+    const changed = Object.entries(changes).some(([key, value]) => annotation[key] !== value);
+    if (changed) onChange(annotation.id, changes, label);
+  };
+
+  return (
+    <div className="px-2 pb-2 space-y-1">
+      <input
+        className="w-full border rounded px-1 py-0.5 text-xs"
+        value={title}
+        placeholder="Title"
+        onChange={(e) => setTitle(e.target.value)}
+        onBlur={() => commit({ title: title.trim() || annotation.title }, 'Rename note')}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+        }}
+      />
+      <textarea
+        className="w-full border rounded px-1 py-0.5 text-xs"
+        rows={3}
+        value={text}
+        placeholder="Comment..."
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => commit({ text }, 'Edit note')}
+      />
+      <div className="flex items-center gap-2 text-xs">
+        <select
+          className="border rounded px-1 py-0.5"
+          value={annotation.status}
+          onChange={(e) => commit({ status: e.target.value }, e.target.value === 'resolved' ? 'Resolve note' : 'Reopen note')}
+        >
+          {Object.entries(ANNOTATION_STATUSES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <span className="flex-1 text-gray-400">{new Date(annotation.modifiedAt).toLocaleString()}</span>
+        <button className="text-gray-400 hover:text-red-500" onClick={() => onDelete(annotation.id)} title="Delete note">
+          <Trash2 size={12} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Review notes pinned to the model. Clicking a note flies the camera to its pin.
+export default function AnnotationPanel({ annotations, activeId, visible, onSelect, onChange, onDelete, onToggleVisible }) {
+  const [filter, setFilter] = useState('all'); // or a status
+  const shown = annotations.filter((a) => filter === 'all' || a.status === filter);
+  const openCount = annotations.filter((a) => a.status === 'open').length;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-gray-700 flex items-center gap-1">
+          <MessageSquare size={14} /> Notes
+          <span className="text-xs text-gray-500 font-normal">({openCount} open)</span>
+        </p>
+        <div className="flex items-center gap-2">
+          <select className="border rounded px-1 py-0.5 text-xs" value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value="all">All</option>
+            {Object.entries(ANNOTATION_STATUSES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button className="text-gray-500 hover:text-blue-600" onClick={onToggleVisible} title={visible ? 'Hide pins' : 'Show pins'}>
+            {visible ? <Eye size={14} /> : <EyeOff size={14} />}
+          </button>
+        </div>
+      </div>
+      <p className="text-[11px] text-gray-500 mb-2">Click the model to drop a pin.</p>
+      {shown.length === 0 ? (
+        <p className="text-xs text-gray-500">No notes</p>
+      ) : (
+        <ul className="border rounded max-h-96 overflow-y-auto">
+          {shown.map((annotation) => {
+            const number = annotations.indexOf(annotation) + 1;
+            const active = annotation.id === activeId;
+            return (
+              <li key={annotation.id} className={`border-b last:border-b-0 ${active ? 'bg-blue-50' : ''}`}>
+                <button className="w-full flex items-center gap-2 px-2 py-1 text-left text-xs" onClick={() => onSelect(annotation.id)}>
+                  <span
+                    className={`w-5 h-5 shrink-0 rounded-full flex items-center justify-center text-white text-[10px]
+                      ${annotation.status === 'resolved' ? 'bg-gray-400' : 'bg-orange-500'}`}
+                  >
+                    {number}
+                  </span>
+                  <span className={`flex-1 truncate ${annotation.status === 'resolved' ? 'line-through text-gray-400' : ''}`}>
+                    {annotation.title}
+                  </span>
+                  <LocateFixed size={12} className="text-gray-400" />
+                </button>
+                {active && <AnnotationEditor annotation={annotation} onChange={onChange} onDelete={onDelete} />}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+'use client';
+
+import { useState } from 'react';
+import { Box, Scan, Bookmark, Plus, Trash2 } from 'lucide-react';
+import { CAMERA_VIEWS } from '../app/utils/camera';
+
+function CameraButton({ active, label, onClick, icon, disabled }) {
+  return (
+    <div className="relative group">
+      <button
+        onClick={onClick}
+        disabled={disabled}
+        className={`flex items-center justify-center p-2 rounded transition text-xs font-medium
+          ${active ? 'bg-blue-500 text-white' : 'bg-white text-gray-700'}
+          hover:bg-blue-100 hover:text-blue-600 shadow disabled:opacity-40`}
+        style={{ width: 36, height: 36 }}
+        aria-label={label}
+      >
+        {icon}
+      </button>
+      <span className="absolute left-1/2 -translate-x-1/2 top-full mt-1 px-2 py-1 bg-black text-white text-xs rounded opacity-0 group-hover:opacity-90 pointer-events-none z-10 whitespace-nowrap">
+        {label}
+      </span>
+    </div>
+  );
+}
+
+// View presets, projection toggle, frame selection and camera bookmarks
+export default function CameraToolbar({
+  projection,
+  canFrameSelected,
+  bookmarks,
+  onView,
+  onToggleProjection,
+  onFrameSelected,
+  onSaveBookmark,
+  onGoToBookmark,
+  onDeleteBookmark,
+}) {
+  const [bookmarksOpen, setBookmarksOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  const saveBookmark = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onSaveBookmark(name);
+    setNewName('');
+  };
+
+  return (
+    <div className="absolute top-2 left-2 z-10 flex flex-wrap items-start gap-1">
+      {Object.entries(CAMERA_VIEWS).map(([key, { label }]) => (
+        <CameraButton key={key} label={`${label} view`} onClick={() => onView(key)} icon={label.slice(0, 2)} />
+      ))}
+      <CameraButton
+        active={projection === 'orthographic'}
+        label={projection === 'orthographic' ? 'Orthographic (click for perspective)' : 'Perspective (click for orthographic)'}
+        onClick={onToggleProjection}
+        icon={<Box size={16} />}
+      />
+      <CameraButton
+        label="Frame selected (F)"
+        onClick={onFrameSelected}
+        disabled={!canFrameSelected}
+        icon={<Scan size={16} />}
+      />
+      <div className="relative">
+        <CameraButton
+          active={bookmarksOpen}
+          label="Camera bookmarks"
+          onClick={() => setBookmarksOpen((open) => !open)}
+          icon={<Bookmark size={16} />}
+        />
+        {bookmarksOpen && (
+          <div className="absolute top-full mt-2 left-0 w-56 bg-white rounded shadow-lg p-2 text-sm">
+            {bookmarks.length === 0 ? (
+              <p className="text-xs text-gray-500 mb-2">No bookmarks yet</p>
+            ) : (
+              <ul className="mb-2 max-h-48 overflow-y-auto">
+                {bookmarks.map((bookmark) => (
+                  <li key={bookmark.id} className="flex items-center gap-1 rounded hover:bg-gray-100">
+                    <button className="flex-1 text-left px-1 py-0.5 truncate" onClick={() => onGoToBookmark(bookmark)}>
+                      {bookmark.name}
+                    </button>
+                    <button
+                      className="px-1 text-gray-400 hover:text-red-500"
+                      onClick={() => onDeleteBookmark(bookmark.id)}
+                      title="Delete bookmark"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex gap-2">
+              <input
+                className="flex-1 min-w-0 border px-2 py-1 rounded text-xs"
+                placeholder="Bookmark this view..."
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') saveBookmark();
+                }}
+              />
+              <button
+                className="flex items-center bg-blue-600 text-white px-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                onClick={saveBookmark}
+                disabled={!newName.trim()}
+              >
+                <Plus size={14} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
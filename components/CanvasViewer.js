@@ -1,11 +1,169 @@
 'use client';
 
-import { useRef, useState, useCallback, useEffect, Suspense } from 'react';
+import { useRef, useState, useCallback, useEffect, useMemo, Suspense } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
-import { OrbitControls, useGLTF } from '@react-three/drei';
+import {
+  OrbitControls,
+  TransformControls,
+  PerspectiveCamera,
+  OrthographicCamera,
+  Line,
+  Html,
+} from '@react-three/drei';
 import * as THREE from 'three';
 import { FaSave, FaUndoAlt, FaRedoAlt, FaTrash, FaUpload, FaImage, FaEye } from 'react-icons/fa';
-import { saveModelBlob, getModelBlob, saveModelState, getModelState } from '../app/utils/idb';
+import {
+  saveModelFiles,
+  saveModelState,
+  getModelState,
+  projectStateKey,
+  projectHistoryKey,
+  saveProject,
+  getProject,
+  listProjects,
+  deleteProject,
+  duplicateProject,
+  migrateLegacyModel,
+  savePreset,
+  listPresets,
+  deletePreset,
+  saveTexture,
+  listTextures,
+  updateTexture,
+  collectTextureGarbage,
+} from '../app/utils/idb';
+import { exportModel, exportGlbBlob, downloadBlob } from '../app/utils/exportModel';
+import {
+  collectDroppedFiles,
+  collectInputFiles,
+  pickMainFile,
+  MODEL_FILE_ACCEPT,
+} from '../app/utils/modelFiles';
+import { getSupportedExtensions } from '../app/utils/loaders';
+import {
+  toStandardMaterial,
+  getTextureUrl,
+  loadStoredTexture,
+  internMaterialImages,
+  serializeMaterial,
+  MATERIAL_STATE_VERSION,
+  MAP_SLOTS,
+} from '../app/utils/materials';
+import {
+  openProjectModel,
+  loadProjectState,
+  restoreProjectScene,
+  applyPartVisibility,
+  applyShadowSettings,
+} from '../app/utils/projectScene';
+import {
+  DEFAULT_PRESETS,
+  renderMaterialThumbnail,
+  createPresetMaterial,
+  exportPresetLibrary,
+  parsePresetLibrary,
+} from '../app/utils/presets';
+import {
+  getPartPath,
+  listParts,
+  findByPartPath,
+  isDescendantOf,
+  isPartSelectable,
+  createPartPoint,
+  resolvePartPoint,
+  resolvePart,
+} from '../app/utils/partPaths';
+import ProjectLibrary from './ProjectLibrary';
+import MaterialEditor from './MaterialEditor';
+import PresetLibrary from './PresetLibrary';
+import TextureLibrary from './TextureLibrary';
+import TransformPanel from './TransformPanel';
+import ExplodePanel from './ExplodePanel';
+import CameraToolbar from './CameraToolbar';
+import LightingPanel from './LightingPanel';
+import StagePanel from './StagePanel';
+import CapturePanel from './CapturePanel';
+import MeasurePanel from './MeasurePanel';
+import AnnotationPanel from './AnnotationPanel';
+import AnimationPanel from './AnimationPanel';
+import InspectorPanel from './InspectorPanel';
+import OptimizePanel from './OptimizePanel';
+import VariantPanel from './VariantPanel';
+import SceneLighting from './SceneLighting';
+import SceneStage from './SceneStage';
+import SceneTree from './SceneTree';
+import HistoryPanel from './HistoryPanel';
+import useModelSource from './useModelSource';
+import {
+  getTransform,
+  applyTransform,
+  transformsEqual,
+  rememberInitialTransforms,
+  getInitialTransform,
+  collectTransforms,
+} from '../app/utils/transforms';
+import { planExplode, applyExplode } from '../app/utils/explode';
+import { animateValue } from '../app/utils/animate';
+import {
+  CAMERA_FOV,
+  CAMERA_VIEWS,
+  getFramingBox,
+  frameBox,
+  getCameraState,
+  convertCameraState,
+  applyCameraState,
+  animateCamera,
+} from '../app/utils/camera';
+import { DEFAULT_LIGHTING, migrateLighting, getEnvironmentFormat } from '../app/utils/lighting';
+import { DEFAULT_STAGE, migrateStage, computeStageBounds } from '../app/utils/stage';
+import {
+  IMAGE_FORMATS,
+  createCaptureCamera,
+  orbitCameraState,
+  renderPixels,
+  renderImage,
+  encodeAnimatedWebP,
+  createGifEncoder,
+  zipFiles,
+  safeFileName,
+} from '../app/utils/capture';
+import {
+  MEASURE_TOOLS,
+  DEFAULT_MEASURE_UNITS,
+  snapToVertex,
+  formatLength,
+  formatBoxSize,
+  formatMeasurement,
+} from '../app/utils/measure';
+import { createAnnotation, annotationView, exportAnnotations } from '../app/utils/annotations';
+import { EMBED_SETTINGS_KEY, createEmbedSettings } from '../app/utils/embed';
+import { DEFAULT_PLAYBACK, LOOP_MODES, getAnimatedNodes, playClip, seekAction } from '../app/utils/animations';
+import { inspectScene, triangleCheckJobs, addTriangleWarnings, formatBytes, formatCount } from '../app/utils/inspect';
+import { meshesWithSameMaterial, meshesUnder, meshesInRect, groupByMaterial } from '../app/utils/selection';
+import {
+  createOptimizer,
+  optimizableMeshes,
+  countTriangles,
+  countVertices,
+  transformGeometries,
+  collectTextures,
+  disposeUnusedGeometries,
+} from '../app/utils/optimize';
+import { createVariant, applyVariant, readGltfVariants, createVariantsExportPlugin } from '../app/utils/variants';
+import { serializeGeometry, deserializeGeometry, geometryTransferables } from '../app/utils/meshOps';
+import {
+  beginCommand,
+  createEntry,
+  pushEntry,
+  trimHistory,
+  undoEntry,
+  redoEntry,
+  migrateHistory,
+  internHistoryImages,
+  EMPTY_HISTORY,
+  HISTORY_VERSION,
+  DEFAULT_HISTORY_DEPTH,
+} from '../app/utils/history';
 import {
   Undo2,
   Redo2,
@@ -15,279 +173,1521 @@ import {
   Image as LucideImage,
   Eye,
   Square,
+  Download,
+  FolderOpen,
+  BoxSelect,
+  History,
+  Sun,
+  Camera,
+  Ruler,
+  MessageSquare,
+  Gauge,
+  Shrink,
 } from 'lucide-react';
 
-
-const MAX_HISTORY = 20;
-const HISTORY_KEY = 'historyState';
-const CAMERA_VIEWS = {
-  perspective: { position: [0, 0, 5], lookAt: [0, 0, 0] },
-  front:      { position: [0, 0, 5], lookAt: [0, 0, 0] },
-  top:        { position: [0, 5, 0], lookAt: [0, 0, 0] },
-  left:       { position: [-5, 0, 0], lookAt: [0, 0, 0] },
-  right:      { position: [5, 0, 0], lookAt: [0, 0, 0] }
-};
-
 export default function CanvasViewer() {
-  const [selectedMesh, setSelectedMesh] = useState(null);
+  const [selectedMesh, setSelectedMesh] = useState(null); // primary (last picked) part
+  const [selectedMeshes, setSelectedMeshes] = useState([]); // every selected part, primary last
+  const [boxSelect, setBoxSelect] = useState(false);
+  const [marquee, setMarquee] = useState(null); // { x0, y0, x1, y1 } while dragging
   const [scene, setScene] = useState(null);
   const [selectedName, setSelectedName] = useState(null);
+  const [selectedNode, setSelectedNode] = useState(null); // mesh or group picked in the outliner
+  const [hiddenPaths, setHiddenPaths] = useState([]);
+  const [lockedPaths, setLockedPaths] = useState([]);
+  const [shadowlessPaths, setShadowlessPaths] = useState([]); // parts that don't cast shadows
+  const [isolatedPath, setIsolatedPath] = useState(null);
   const [modelUrl, setModelUrl] = useState(null);
-  const [undoHistory, setUndoHistory] = useState([]);
-  const [redoHistory, setRedoHistory] = useState([]);
-  const [textureList, setTextureList] = useState([]);
-  const [meshParts, setMeshParts] = useState([]);
-  const [mode, setMode] = useState('view'); // or 'select'
+  const [modelFiles, setModelFiles] = useState(null); // { mainPath, files: [{ path, blob }] }
+  const [dragActive, setDragActive] = useState(false);
+  const [history, setHistory] = useState(EMPTY_HISTORY); // { entries, index }
+  const [historyDepth, setHistoryDepth] = useState(DEFAULT_HISTORY_DEPTH);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historySaveError, setHistorySaveError] = useState(null); // why the last history write failed
+  const [inspectorOpen, setInspectorOpen] = useState(false);
+  const [inspection, setInspection] = useState(null); // { stats, rendererInfo } from utils/inspect
+  const [optimizeOpen, setOptimizeOpen] = useState(false);
+  const [optimizeBusy, setOptimizeBusy] = useState(null); // label of the step the worker is running
+  const [optimizeReport, setOptimizeReport] = useState(null); // outcome of the last step
+  const [decimatePreview, setDecimatePreview] = useState(null); // { entries: [{ mesh, original, simplified }], before, after, showOriginal }
+  const [textures, setTextures] = useState([]); // texture library records
+  const [meshParts, setMeshParts] = useState([]); // [{ path, name, label, uuid }]
+  const [unmatchedParts, setUnmatchedParts] = useState([]); // saved parts missing from the loaded model
+  const [restoreError, setRestoreError] = useState(null); // why the saved state could not be applied
+  const [mode, setMode] = useState('view'); // or 'select' / 'measure' / 'annotate'
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [captureOpen, setCaptureOpen] = useState(false);
+  const [captureProgress, setCaptureProgress] = useState(null); // { label, done, total } while rendering
+  const [measureTool, setMeasureTool] = useState('distance'); // or 'angle'
+  const [measureUnits, setMeasureUnits] = useState(DEFAULT_MEASURE_UNITS);
+  const [measurements, setMeasurements] = useState([]); // saved dimensions, see utils/measure
+  const [measureDraft, setMeasureDraft] = useState([]); // points picked for the next dimension
+  const [measurementsVisible, setMeasurementsVisible] = useState(true);
+  const [annotations, setAnnotations] = useState([]); // review notes, see utils/annotations
+  const [activeAnnotationId, setActiveAnnotationId] = useState(null);
+  const [annotationsVisible, setAnnotationsVisible] = useState(true);
+  const [animationClips, setAnimationClips] = useState([]); // clips that came with the model
+  const [modelSource, setModelSource] = useState(null); // raw loader result, e.g. the parsed glTF
+  const [variants, setVariants] = useState([]); // material configurations, see utils/variants
+  const [activeVariantId, setActiveVariantId] = useState(null);
+  const [playback, setPlayback] = useState(DEFAULT_PLAYBACK);
+  const [animationPose, setAnimationPose] = useState(null); // frozen { clip, time }
+  const [materialRevision, setMaterialRevision] = useState(0); // re-render after in-place material edits
+  const [presets, setPresets] = useState([]);
+  const [transformMode, setTransformMode] = useState('translate'); // or 'rotate' / 'scale'
+  const [transformSpace, setTransformSpace] = useState('world'); // or 'local'
+  const [transformSnap, setTransformSnap] = useState({ enabled: false, translate: 0.25, rotate: 15, scale: 0.1 });
+  const [transformRevision, setTransformRevision] = useState(0); // re-render fields while dragging
+  const [explodeFactor, setExplodeFactor] = useState(0); // 0 = collapsed
+  const [explodeAxis, setExplodeAxis] = useState('radial'); // or 'x' / 'y' / 'z'
+  const [explodeLevels, setExplodeLevels] = useState(1);
+  const [explodeConfigs, setExplodeConfigs] = useState([]); // [{ id, name, factor, axis, levels }]
+  const [projectId, setProjectId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [libraryOpen, setLibraryOpen] = useState(true);
+  // Project whose undo/redo history is currently loaded (null while switching)
+  const historyOwnerRef = useRef(null);
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  const historyBusyRef = useRef(false); // an undo/redo/jump is being applied
+  const transformEditRef = useRef(null); // { node, before } during a gizmo drag or field edit
+  const explodePlanRef = useRef(null); // { scene, axis, levels, moves } while exploded
+  const explodeAnimationRef = useRef(null); // cancels the running explode animation
+  // Latest outliner state, read by visibility commands
+  const visibilityRef = useRef();
+  visibilityRef.current = { hidden: hiddenPaths, locked: lockedPaths, isolated: isolatedPath, shadowless: shadowlessPaths };
+  const measurementsRef = useRef(measurements);
+  measurementsRef.current = measurements;
+  const annotationsRef = useRef(annotations);
+  annotationsRef.current = annotations;
+  const variantsRef = useRef(variants);
+  variantsRef.current = variants;
+  const glRef = useRef();
+  const rootSceneRef = useRef();
+  const optimizerRef = useRef(null); // worker client, started on first use
 
   // Camera controls
   const cameraRef = useRef();
   const controlsRef = useRef();
-  const [cameraView, setCameraView] = useState('perspective');
-  
-  const cameraViews = {
-    perspective: { position: [0, 0, 5], lookAt: [0, 0, 0] },
-    front:      { position: [0, 0, 5], lookAt: [0, 0, 0] },
-    top:        { position: [0, 5, 0], lookAt: [0, 0, 0] },
-    left:       { position: [-5, 0, 0], lookAt: [0, 0, 0] },
-    right:      { position: [5, 0, 0], lookAt: [0, 0, 0] }
+  const [projection, setProjection] = useState('perspective'); // or 'orthographic'
+  const [cameraBookmarks, setCameraBookmarks] = useState([]); // [{ id, name, ...camera state }]
+  const cameraBookmarksRef = useRef(cameraBookmarks);
+  cameraBookmarksRef.current = cameraBookmarks;
+  const [lighting, setLighting] = useState(DEFAULT_LIGHTING);
+  const [lightingOpen, setLightingOpen] = useState(false);
+  const [stage, setStage] = useState(DEFAULT_STAGE);
+  const lightingRef = useRef(lighting);
+  lightingRef.current = lighting;
+  const cameraAnimationRef = useRef(null); // cancels the running camera transition
+  // State applied to the next default camera once it mounts (projection switch)
+  const pendingCameraRef = useRef({ projection: 'perspective', position: [0, 0, 5], target: [0, 0, 0], zoom: 1 });
+
+  // -----------------
+  // Project library
+  // -----------------
+
+  const refreshProjects = useCallback(async () => {
+    setProjects(await listProjects());
+  }, []);
+
+  const refreshTextures = useCallback(async () => {
+    setTextures(await listTextures());
+  }, []);
+
+  const openProject = useCallback(async (id) => {
+    const opened = await openProjectModel(id);
+    if (!opened) return;
+    historyOwnerRef.current = null;
+    setSelectedMesh(null);
+    setSelectedMeshes([]);
+    setSelectedName(null);
+    setSelectedNode(null);
+    setHiddenPaths([]);
+    setLockedPaths([]);
+    setShadowlessPaths([]);
+    setIsolatedPath(null);
+    setScene(null);
+    setModelSource(null);
+    setMeshParts([]);
+    setUnmatchedParts([]);
+    setRestoreError(null);
+    setHistorySaveError(null);
+    resetExplode();
+    setCameraBookmarks([]);
+    setLighting(DEFAULT_LIGHTING);
+    setStage(DEFAULT_STAGE);
+    setMeasurements([]);
+    setMeasureDraft([]);
+    setMeasureUnits(DEFAULT_MEASURE_UNITS);
+    setAnnotations([]);
+    setActiveAnnotationId(null);
+    setVariants([]);
+    setActiveVariantId(null);
+    setAnimationClips([]);
+    setAnimationPose(null);
+    setHistory(await internHistoryImages(migrateHistory(await getModelState(projectHistoryKey(id)))));
+    historyOwnerRef.current = id;
+    setProjectId(id);
+    setModelFiles(opened.model);
+    setModelUrl(opened.url);
+    localStorage.setItem('projectId', id);
+  }, []);
+
+  const closeProject = () => {
+    historyOwnerRef.current = null;
+    setProjectId(null);
+    setModelFiles(null);
+    setModelUrl(null);
+    setSelectedMesh(null);
+    setSelectedMeshes([]);
+    setSelectedName(null);
+    setSelectedNode(null);
+    setHiddenPaths([]);
+    setLockedPaths([]);
+    setShadowlessPaths([]);
+    setIsolatedPath(null);
+    setScene(null);
+    setModelSource(null);
+    setMeshParts([]);
+    setUnmatchedParts([]);
+    setRestoreError(null);
+    setHistorySaveError(null);
+    resetExplode();
+    setCameraBookmarks([]);
+    setLighting(DEFAULT_LIGHTING);
+    setStage(DEFAULT_STAGE);
+    setMeasurements([]);
+    setMeasureDraft([]);
+    setMeasureUnits(DEFAULT_MEASURE_UNITS);
+    setAnnotations([]);
+    setActiveAnnotationId(null);
+    setVariants([]);
+    setActiveVariantId(null);
+    setAnimationClips([]);
+    setAnimationPose(null);
+    setHistory(EMPTY_HISTORY);
+    localStorage.removeItem('projectId');
+  };
+
+  const renameProject = async (id, name) => {
+    const project = await getProject(id);
+    if (!project) return;
+    await saveProject({ ...project, name, modifiedAt: Date.now() });
+    await refreshProjects();
+  };
+
+  const duplicateProjectById = async (id) => {
+    const project = projects.find((p) => p.id === id);
+    if (!project) return;
+    await duplicateProject(id, crypto.randomUUID(), `${project.name} (copy)`);
+    await refreshProjects();
+  };
+
+  const removeProject = async (id) => {
+    if (id === projectId) closeProject();
+    await deleteProject(id);
+    await refreshProjects();
+    await collectTextureGarbage(liveTextureIds());
   };
 
   // Only initialize from IndexedDB, not localStorage
   useEffect(() => {
-    setModelUrl(localStorage.getItem('modelUrl') || null);
-    setTextureList(JSON.parse(localStorage.getItem('textureList') || '[]'));
+    const depth = parseInt(localStorage.getItem('historyDepth'), 10);
+    if (depth >= 1) setHistoryDepth(depth);
     (async () => {
-      const saved = await getModelState(HISTORY_KEY);
-      if (saved) {
-        setUndoHistory(saved.undoHistory || []);
-        setRedoHistory(saved.redoHistory || []);
+      let list = await listProjects();
+      if (list.length === 0) {
+        // Carry over the single upload saved before the project library existed
+        const migrated = await migrateLegacyModel(crypto.randomUUID());
+        if (migrated) {
+          localStorage.setItem('projectId', migrated.id);
+          list = [migrated];
+        }
+        localStorage.removeItem('modelKey');
       }
+      setProjects(list);
+      const lastId = localStorage.getItem('projectId');
+      if (lastId && list.some((p) => p.id === lastId)) await openProject(lastId);
+      await migrateTextureList();
+      await refreshTextures();
+      await collectTextureGarbage();
     })();
-  }, []);
+  }, [openProject, refreshTextures]);
 
-  // Persist undo/redo to IndexedDB
+  // Persist undo/redo to IndexedDB for the project that owns it
   useEffect(() => {
-    (async () => {
-      await saveModelState(HISTORY_KEY, { undoHistory, redoHistory });
-    })();
-  }, [undoHistory, redoHistory]);
+    const owner = historyOwnerRef.current;
+    if (!owner) return;
+    saveModelState(projectHistoryKey(owner), { version: HISTORY_VERSION, ...history })
+      .then(() => setHistorySaveError(null))
+      .catch((err) => {
+        console.error('Could not save the undo history:', err);
+        setHistorySaveError(err.message || String(err));
+      });
+  }, [history]);
 
   useEffect(() => {
-    if (!scene || !modelUrl) return;
+    if (!scene || !modelUrl || !projectId) return;
+    // A restore still running when the project or model changes must not
+    // apply its state to the new scene
+    let cancelled = false;
     const restore = async () => {
-      const saved = await getModelState('modelState');
-      if (!saved) return;
-      saved.materials.forEach(({ name, color, textureDataURL }) => {
-        const mesh = scene.getObjectByName(name);
-        if (!mesh) return;
-        mesh.material.color = new THREE.Color(color);
-        if (textureDataURL) {
-          mesh.material.map = new THREE.TextureLoader().load(textureDataURL);
-        }
-        mesh.material.needsUpdate = true;
-      });
+      const saved = await loadProjectState(projectId, { persist: true });
+      if (cancelled || !saved) return;
+      setUnmatchedParts(restoreProjectScene(scene, saved));
+      refreshStageBounds();
+      setHiddenPaths(saved.nodes?.hidden || []);
+      setLockedPaths(saved.nodes?.locked || []);
+      setShadowlessPaths(saved.nodes?.shadowless || []);
+      setCameraBookmarks(saved.cameraBookmarks || []);
+      setLighting(migrateLighting(saved.lighting));
+      setStage(migrateStage(saved.stage));
+      setMeasurements(saved.measurements || []);
+      setMeasureUnits({ ...DEFAULT_MEASURE_UNITS, ...saved.measureUnits });
+      setAnnotations(saved.annotations || []);
+      // Left alone when never saved, so variants imported from the file stay
+      if (saved.variants) {
+        setVariants(saved.variants);
+        setActiveVariantId(saved.activeVariantId || null);
+      }
+      setAnimationPose(saved.animationPose || null);
+      if (saved.explode) {
+        setExplodeAxis(saved.explode.axis || 'radial');
+        setExplodeLevels(saved.explode.levels || 1);
+        setExplodeConfigs(saved.explode.configs || []);
+        setExplodeFactor(saved.explode.factor || 0);
+      }
     };
-    restore();
-  }, [scene, modelUrl]);
+    setRestoreError(null);
+    restore().catch((err) => {
+      console.error('Could not restore the saved project state:', err);
+      if (!cancelled) setRestoreError(err.message || String(err));
+    });
+    return () => { cancelled = true; };
+  }, [scene, modelUrl, projectId]);
+
+  // Variants that came with the file (KHR_materials_variants) become the
+  // project's variants, unless the project already has its own
+  useEffect(() => {
+    if (!scene || !projectId || modelSource?.scene !== scene) return;
+    let cancelled = false;
+    (async () => {
+      const saved = await getModelState(projectStateKey(projectId));
+      if (cancelled || saved?.variants) return;
+      const imported = await readGltfVariants(modelSource, scene);
+      if (!cancelled && imported.length > 0) await saveVariants(imported);
+    })().catch((err) => console.error('Could not read material variants:', err));
+    return () => { cancelled = true; };
+  }, [scene, modelSource, projectId]);
 
   // -----------------
   // Utility functions
   // -----------------
 
-  const serializeMaterial = (mesh, type = 'custom', textureDataURL = null) => ({
-    name: mesh.name,
-    uuid: mesh.uuid,
-    color: mesh.material.color.getHex(),
-    preset: type,
-    textureDataURL,
-    roughness: mesh.material.roughness || 0.5,
-    metalness: mesh.material.metalness || 0.5,
+  // Small JPEG of the current view, used as the project thumbnail
+  const captureThumbnail = () => {
+    const gl = glRef.current;
+    if (!gl || !cameraRef.current || !rootSceneRef.current) return null;
+    gl.render(rootSceneRef.current, cameraRef.current);
+    const source = gl.domElement;
+    const canvas = document.createElement('canvas');
+    canvas.width = 240;
+    canvas.height = Math.round((240 * source.height) / source.width) || 180;
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+  };
+
+
+  // -----------------
+  // Undo/Redo system
+  // -----------------
+
+  // Every edit is recorded as an entry of invertible commands (utils/history).
+  // Commands reach the scene and outliner state through this context.
+  const historyContext = () => ({
+    scene,
+    getVisibility: () => ({ ...visibilityRef.current }),
+    setVisibility: ({ hidden, locked, isolated, shadowless }) => {
+      setHiddenPaths(hidden);
+      setLockedPaths(locked);
+      setIsolatedPath(isolated);
+      // Entries recorded before shadow toggles existed leave it alone
+      if (shadowless) setShadowlessPaths(shadowless);
+    },
+    getCameraBookmarks: () => cameraBookmarksRef.current,
+    setCameraBookmarks: (bookmarks) => saveCameraBookmarks(bookmarks),
+    getLighting: () => lightingRef.current,
+    setLighting,
+    getMeasurements: () => measurementsRef.current,
+    setMeasurements: (items) => saveMeasurements(items),
+    getAnnotations: () => annotationsRef.current,
+    setAnnotations: (items) => saveAnnotations(items),
+    getVariants: () => variantsRef.current,
+    setVariants: (items) => saveVariants(items),
   });
 
-  const deserializeMaterial = (scene, saved) => {
-    // Try to find by UUID first, then by name as fallback
-    let mesh = scene.getObjectByProperty('uuid', saved.uuid);
-    if (!mesh && saved.name) {
-      mesh = scene.getObjectByName(saved.name);
+  const commitEntry = (entry) => {
+    setHistory((prev) => pushEntry(prev, entry, historyDepth));
+  };
+
+  // 1. Record the current material of every part about to be edited as one
+  //    entry. The edited state is captured when the entry is first undone,
+  //    since texture edits only settle once their images have loaded.
+  const recordMaterialEdit = async (label, meshOrMeshes) => {
+    const meshes = [].concat(meshOrMeshes).filter((mesh) => mesh && mesh.material);
+    if (meshes.length === 0 || !scene) return;
+    const ctx = historyContext();
+    const commands = [];
+    for (const mesh of meshes) {
+      commands.push(await beginCommand(ctx, 'material', { path: getPartPath(mesh, scene), name: mesh.name }));
+    }
+    commitEntry(createEntry(label, commands));
+  };
+
+  // 2. Apply and record a change to hidden/locked/isolated paths
+  const changeVisibility = (label, changes) => {
+    const before = { ...visibilityRef.current };
+    const after = { ...before, ...changes };
+    commitEntry(createEntry(label, [{ type: 'visibility', target: null, before, after }]));
+    historyContext().setVisibility(after);
+  };
+
+  // 3. Step the scene to the state right after entry `target` (0 = initial)
+  const jumpToHistory = async (target) => {
+    const { entries, index } = historyRef.current;
+    if (!scene || historyBusyRef.current || target < 0 || target > entries.length || target === index) return;
+    historyBusyRef.current = true;
+    try {
+      // Transform steps were recorded collapsed, so collapse before replaying them
+      const range = entries.slice(Math.min(index, target), Math.max(index, target));
+      if (range.some((entry) => entry.commands.some((c) => c.type === 'transform'))) collapseExplodeNow();
+      const ctx = historyContext();
+      const updated = [...entries];
+      let position = index;
+      while (position > target) {
+        updated[position - 1] = await undoEntry(ctx, updated[position - 1]);
+        position--;
+      }
+      while (position < target) {
+        updated[position] = await redoEntry(ctx, updated[position]);
+        position++;
+      }
+      setHistory({ entries: updated, index: position });
+      setMaterialRevision((r) => r + 1);
+      setTransformRevision((r) => r + 1);
+      refreshStageBounds();
+    } catch (err) {
+      console.error('History step failed:', err);
+    } finally {
+      historyBusyRef.current = false;
+    }
+  };
+
+  const undo = () => jumpToHistory(history.index - 1);
+  const redo = () => jumpToHistory(history.index + 1);
+
+  const changeHistoryDepth = (depth) => {
+    setHistoryDepth(depth);
+    setHistory((prev) => trimHistory(prev, depth));
+    localStorage.setItem('historyDepth', String(depth));
+  };
+
+  // The transform gizmo is only offered for a picked node in select mode
+  const gizmoVisible = mode === 'select' && !boxSelect && !!selectedNode && explodeFactor === 0;
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, W/E/R pick the
+  // gizmo mode while it is shown, F frames the selection, Esc drops a
+  // half-picked dimension (not while typing)
+  const shortcutsRef = useRef();
+  shortcutsRef.current = {
+    undo,
+    redo,
+    gizmoVisible,
+    hasSelection: selectedMeshes.length > 0 || !!selectedNode,
+    frameSelected: () => frameSelected(),
+    cancelMeasure: () => setMeasureDraft([]),
+  };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (!(e.ctrlKey || e.metaKey)) {
+        const shortcuts = shortcutsRef.current;
+        const gizmoModes = { w: 'translate', e: 'rotate', r: 'scale' };
+        if (gizmoModes[key] && shortcuts.gizmoVisible && !e.altKey) setTransformMode(gizmoModes[key]);
+        if (key === 'f' && shortcuts.hasSelection && !e.altKey) shortcuts.frameSelected();
+        if (key === 'escape') shortcuts.cancelMeasure();
+        return;
+      }
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        shortcutsRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        shortcutsRef.current.redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // --------------
+  // Editing actions
+  // --------------
+
+  // Color, preset and texture actions apply to the whole selection as one undo step
+  const applyColorToSelected = async (hex) => {
+    const targets = selectedMeshes.filter((mesh) => mesh.material);
+    if (targets.length === 0) return;
+    await recordMaterialEdit('Apply color', targets);
+    targets.forEach((mesh) => {
+      mesh.material.color = new THREE.Color(hex);
+      mesh.material.map = null;
+      mesh.material.needsUpdate = true;
+    });
+  };
+
+  const applyMaterialPreset = async (preset) => {
+    if (selectedMeshes.length === 0) return;
+    await recordMaterialEdit(`Apply preset ${preset.name}`, selectedMeshes);
+    selectedMeshes.forEach((mesh) => {
+      mesh.material = createPresetMaterial(preset);
+      mesh.material.needsUpdate = true;
+    });
+  };
+
+  const applyStoredTextureToSelected = async (id) => {
+    const targets = selectedMeshes.filter((mesh) => mesh.material);
+    if (targets.length === 0) return;
+    await recordMaterialEdit('Apply texture', targets);
+    const texture = loadStoredTexture(id, 'map');
+    targets.forEach((mesh) => {
+      mesh.material.map = texture;
+      mesh.material.needsUpdate = true;
+    });
+  };
+
+  // Uploads go into the texture library; identical images are stored once
+  const applyTextureToSelected = async (file) => {
+    if (selectedMeshes.length === 0 || !file) return;
+    const { id } = await saveTexture(file, { name: file.name.replace(/\.[^.]+$/, ''), library: true });
+    await refreshTextures();
+    await applyStoredTextureToSelected(id);
+  };
+
+  // -----------------
+  // Transforms
+  // -----------------
+
+  // A gizmo drag or a numeric field edit is bracketed by begin/end and
+  // recorded as one undo step when the node actually moved
+  const beginTransformEdit = () => {
+    if (!selectedNode || !scene || transformEditRef.current) return;
+    transformEditRef.current = { node: selectedNode, before: getTransform(selectedNode) };
+  };
+
+  const endTransformEdit = () => {
+    const edit = transformEditRef.current;
+    transformEditRef.current = null;
+    if (!edit || !scene) return;
+    const after = getTransform(edit.node);
+    if (transformsEqual(edit.before, after)) return;
+    refreshStageBounds();
+    const target = { path: getPartPath(edit.node, scene), name: edit.node.name };
+    commitEntry(createEntry(`Transform ${edit.node.name || 'part'}`, [{ type: 'transform', target, before: edit.before, after }]));
+  };
+
+  const resetTransform = () => {
+    const initial = selectedNode && getInitialTransform(selectedNode);
+    if (!initial) return;
+    beginTransformEdit();
+    applyTransform(selectedNode, initial);
+    endTransformEdit();
+    setTransformRevision((r) => r + 1);
+  };
+
+  // Merge changes into the open project's saved state without a full save.
+  // `changes` maps the stored record to the fields to overwrite.
+  const updateProjectState = async (changes) => {
+    if (!projectId) return;
+    const stored = await getModelState(projectStateKey(projectId));
+    await saveModelState(projectStateKey(projectId), {
+      version: MATERIAL_STATE_VERSION,
+      ...stored,
+      ...changes(stored),
+    });
+  };
+
+  // -----------------
+  // Camera
+  // -----------------
+
+  const viewHeight = () => glRef.current?.domElement.clientHeight || 600;
+
+  const moveCamera = (state) => {
+    const camera = cameraRef.current;
+    if (!camera) return;
+    cameraAnimationRef.current?.();
+    cameraAnimationRef.current = animateCamera(camera, controlsRef.current, state);
+  };
+
+  // Fit the whole model, seen from one of CAMERA_VIEWS
+  const goToView = (key) => {
+    const box = scene && getFramingBox(scene);
+    if (!box || box.isEmpty()) return;
+    moveCamera(frameBox(cameraRef.current, box, CAMERA_VIEWS[key].direction, viewHeight()));
+  };
+
+  // Fit the selected parts, keeping the current viewing direction
+  const frameSelected = () => {
+    const camera = cameraRef.current;
+    const objects = selectedMeshes.length > 0 ? selectedMeshes : selectedNode;
+    const box = objects && getFramingBox(objects);
+    if (!camera || !box || box.isEmpty()) return;
+    const { position, target } = getCameraState(camera, controlsRef.current);
+    const direction = position.map((v, i) => v - target[i]);
+    moveCamera(frameBox(camera, box, direction, viewHeight()));
+  };
+
+  // The new camera picks up the converted state when it mounts
+  const toggleProjection = () => {
+    const camera = cameraRef.current;
+    if (!camera) return;
+    cameraAnimationRef.current?.();
+    const next = projection === 'perspective' ? 'orthographic' : 'perspective';
+    pendingCameraRef.current = convertCameraState(
+      getCameraState(camera, controlsRef.current), next, CAMERA_FOV, viewHeight(),
+    );
+    setProjection(next);
+  };
+
+  // Bookmarks are undoable and written to the project right away
+  const saveCameraBookmarks = async (bookmarks) => {
+    setCameraBookmarks(bookmarks);
+    await updateProjectState(() => ({ cameraBookmarks: bookmarks }));
+  };
+
+  const changeCameraBookmarks = (label, bookmarks) => {
+    const before = cameraBookmarksRef.current;
+    commitEntry(createEntry(label, [{ type: 'cameraBookmarks', target: null, before, after: bookmarks }]));
+    saveCameraBookmarks(bookmarks);
+  };
+
+  const addCameraBookmark = (name) => {
+    if (!cameraRef.current) return;
+    const bookmark = { id: crypto.randomUUID(), name, ...getCameraState(cameraRef.current, controlsRef.current) };
+    changeCameraBookmarks(`Add bookmark ${name}`, [...cameraBookmarks, bookmark]);
+  };
+
+  const deleteCameraBookmark = (id) => {
+    const bookmark = cameraBookmarks.find((b) => b.id === id);
+    changeCameraBookmarks(`Delete bookmark ${bookmark?.name || ''}`.trim(), cameraBookmarks.filter((b) => b.id !== id));
+  };
+
+  const goToBookmark = (bookmark) => {
+    if (bookmark.projection !== projection) {
+      cameraAnimationRef.current?.();
+      pendingCameraRef.current = bookmark;
+      setProjection(bookmark.projection);
+    } else {
+      moveCamera(bookmark);
+    }
+  };
+
+  // Frame each newly loaded model from the front
+  useEffect(() => {
+    const camera = cameraRef.current;
+    const box = scene && getFramingBox(scene);
+    if (!camera || !box || box.isEmpty()) return;
+    applyCameraState(camera, controlsRef.current, frameBox(camera, box, CAMERA_VIEWS.front.direction, viewHeight()));
+  }, [scene]);
+
+  // -----------------
+  // Measurements
+  // -----------------
+
+  // Dimensions are undoable and written to the project right away, like bookmarks
+  const saveMeasurements = async (items) => {
+    setMeasurements(items);
+    await updateProjectState(() => ({ measurements: items }));
+  };
+
+  const changeMeasurements = (label, items) => {
+    const before = measurementsRef.current;
+    commitEntry(createEntry(label, [{ type: 'measurements', target: null, before, after: items }]));
+    saveMeasurements(items);
+  };
+
+  const changeMeasureUnits = (units) => {
+    setMeasureUnits(units);
+    updateProjectState(() => ({ measureUnits: units }));
+  };
+
+  // Collect picked points until the current tool has enough for a dimension
+  const addMeasurePoint = (object, worldPosition) => {
+    if (!scene) return;
+    const draft = [...measureDraft, createPartPoint(scene, object, worldPosition)];
+    if (draft.length < MEASURE_TOOLS[measureTool].points) {
+      setMeasureDraft(draft);
+      return;
+    }
+    setMeasureDraft([]);
+    const measurement = { id: crypto.randomUUID(), type: measureTool, points: draft };
+    changeMeasurements(`Add ${MEASURE_TOOLS[measureTool].label.toLowerCase()}`, [...measurements, measurement]);
+  };
+
+  const deleteMeasurement = (id) => {
+    changeMeasurements('Delete dimension', measurements.filter((m) => m.id !== id));
+  };
+
+  const changeMeasureTool = (tool) => {
+    setMeasureTool(tool);
+    setMeasureDraft([]);
+  };
+
+  // A half-picked dimension only makes sense in measure mode
+  useEffect(() => {
+    if (mode !== 'measure') setMeasureDraft([]);
+  }, [mode]);
+
+  // Current values for the panel; dimensions on parts missing from the
+  // model show a dash
+  const measurementItems = () => measurements.map((measurement) => {
+    const points = measurement.points.map((point) => resolvePartPoint(scene, point));
+    const label = points.every(Boolean) ? formatMeasurement(measurement.type, points, measureUnits) : '—';
+    return { id: measurement.id, type: measurement.type, label };
+  });
+
+  // -----------------
+  // Annotations
+  // -----------------
+
+  // Notes are undoable and written to the project right away, like bookmarks
+  const saveAnnotations = async (items) => {
+    setAnnotations(items);
+    await updateProjectState(() => ({ annotations: items }));
+  };
+
+  const changeAnnotations = (label, items) => {
+    const before = annotationsRef.current;
+    commitEntry(createEntry(label, [{ type: 'annotations', target: null, before, after: items }]));
+    saveAnnotations(items);
+  };
+
+  const addAnnotation = (object, worldPosition) => {
+    if (!scene || !cameraRef.current) return;
+    const annotation = createAnnotation(
+      createPartPoint(scene, object, worldPosition),
+      getCameraState(cameraRef.current, controlsRef.current),
+      annotations.length,
+    );
+    changeAnnotations('Add note', [...annotations, annotation]);
+    setActiveAnnotationId(annotation.id);
+  };
+
+  const updateAnnotation = (id, changes, label) => {
+    changeAnnotations(label, annotations.map((a) => (a.id === id ? { ...a, ...changes, modifiedAt: Date.now() } : a)));
+  };
+
+  const deleteAnnotation = (id) => {
+    changeAnnotations('Delete note', annotations.filter((a) => a.id !== id));
+    if (activeAnnotationId === id) setActiveAnnotationId(null);
+  };
+
+  // Open a note in the panel and fly to its pin
+  const selectAnnotation = (id) => {
+    const annotation = annotations.find((a) => a.id === id);
+    if (!annotation) return;
+    setMode('annotate');
+    setActiveAnnotationId(id);
+    const pin = resolvePartPoint(scene, annotation.point);
+    if (pin && cameraRef.current) {
+      goToBookmark(annotationView(annotation, pin, getCameraState(cameraRef.current, controlsRef.current)));
+    }
+  };
+
+  // Clicks on the model measure or drop a pin depending on the mode
+  const pickSurfacePoint = (object, worldPosition) => {
+    if (mode === 'measure') addMeasurePoint(object, worldPosition);
+    else if (mode === 'annotate') addAnnotation(object, worldPosition);
+  };
+
+  // -----------------
+  // Variants
+  // -----------------
+
+  // The list is undoable and saved right away; applying a variant is a
+  // material edit of the parts it covers
+  const saveVariants = async (items) => {
+    setVariants(items);
+    await updateProjectState(() => ({ variants: items }));
+  };
+
+  const changeVariants = (label, items) => {
+    const before = variantsRef.current;
+    commitEntry(createEntry(label, [{ type: 'variants', target: null, before, after: items }]));
+    saveVariants(items);
+  };
+
+  const saveVariantFromModel = async (name) => {
+    if (!scene) return;
+    const variant = createVariant(name, await collectMaterialStates(scene));
+    changeVariants('Save variant', [...variantsRef.current, variant]);
+    setActiveVariantId(variant.id);
+  };
+
+  const applyVariantToModel = async (variant) => {
+    if (!scene) return;
+    const meshes = variant.materials.map((entry) => resolvePart(scene, entry)).filter(Boolean);
+    await recordMaterialEdit(`Apply variant ${variant.name}`, meshes);
+    const unmatched = applyVariant(scene, variant);
+    if (unmatched.length > 0) setUnmatchedParts(unmatched);
+    setActiveVariantId(variant.id);
+    setMaterialRevision((r) => r + 1);
+  };
+
+  const updateVariantFromModel = async (id) => {
+    if (!scene) return;
+    const materials = await collectMaterialStates(scene);
+    changeVariants('Update variant', variantsRef.current.map((v) => (v.id === id ? { ...v, materials } : v)));
+    setActiveVariantId(id);
+  };
+
+  const renameVariant = (id, name) => {
+    changeVariants('Rename variant', variants.map((v) => (v.id === id ? { ...v, name } : v)));
+  };
+
+  const deleteVariant = (id) => {
+    changeVariants('Delete variant', variants.filter((v) => v.id !== id));
+    if (activeVariantId === id) setActiveVariantId(null);
+  };
+
+  // -----------------
+  // Animation
+  // -----------------
+
+  const mixer = useMemo(() => (scene ? new THREE.AnimationMixer(scene) : null), [scene]);
+  const animationActionRef = useRef(null); // action of the current clip
+
+  // A new model starts with nothing playing
+  useEffect(() => {
+    animationActionRef.current = null;
+    setPlayback(DEFAULT_PLAYBACK);
+    return () => mixer?.stopAllAction();
+  }, [mixer]);
+
+  // Speed, repeat mode and pause follow the panel
+  useEffect(() => {
+    if (!mixer) return;
+    mixer.timeScale = playback.speed;
+    const action = animationActionRef.current;
+    if (!action) return;
+    action.setLoop(LOOP_MODES[playback.loop].value, Infinity);
+    action.paused = !playback.playing;
+  }, [mixer, playback]);
+
+  // Show the frozen frame, whether just frozen or restored with the project
+  useEffect(() => {
+    const clip = animationPose && animationClips.find((c) => c.name === animationPose.clip);
+    if (!mixer || !clip) return;
+    const action = playClip(mixer, clip, animationActionRef.current, { loop: 'repeat', blend: 0 });
+    action.paused = true;
+    seekAction(mixer, action, animationPose.time);
+    animationActionRef.current = action;
+    setPlayback((prev) => ({ ...prev, clip: clip.name, playing: false }));
+  }, [mixer, animationClips, animationPose]);
+
+  const getAnimationTime = useCallback(() => animationActionRef.current?.time ?? 0, []);
+
+  const playAnimationClip = (name) => {
+    const clip = animationClips.find((c) => c.name === name);
+    if (!mixer || !clip) return;
+    animationActionRef.current = playClip(mixer, clip, animationActionRef.current, playback);
+    setPlayback((prev) => ({ ...prev, clip: name, playing: true }));
+  };
+
+  // Playing a clip that ran to its end (repeat mode "once") starts it over
+  const toggleAnimationPlaying = () => {
+    const action = animationActionRef.current;
+    if (!action) return;
+    if (!playback.playing && action.time >= action.getClip().duration) action.time = 0;
+    setPlayback((prev) => ({ ...prev, playing: !prev.playing }));
+  };
+
+  const seekAnimation = (time) => {
+    if (!mixer || !animationActionRef.current) return;
+    seekAction(mixer, animationActionRef.current, time);
+  };
+
+  const freezeAnimationFrame = () => {
+    const action = animationActionRef.current;
+    if (!action) return;
+    setAnimationPose({ clip: playback.clip, time: action.time });
+  };
+
+  // -----------------
+  // Inspector
+  // -----------------
+
+  // Runs when the inspector opens or the model changes, and on request, not
+  // on every render. The triangle checks walk every edge, so they run in the
+  // optimizer worker and fill in their warnings when done.
+  const inspectionRunRef = useRef(0);
+  const runInspection = useCallback(async () => {
+    if (!scene) return;
+    const run = ++inspectionRunRef.current;
+    const calls = glRef.current?.info.render.calls;
+    setInspection({ stats: inspectScene(scene), rendererInfo: calls !== undefined ? { calls } : null, checking: true });
+    const { geometries, paths } = triangleCheckJobs(scene);
+    try {
+      const analyses = await getOptimizer().run('analyze', { geometries }, geometryTransferables(geometries));
+      if (run !== inspectionRunRef.current) return;
+      setInspection((prev) => prev && { ...prev, stats: addTriangleWarnings(prev.stats, paths, analyses), checking: false });
+    } catch (err) {
+      console.error('Triangle checks failed:', err);
+      if (run === inspectionRunRef.current) setInspection((prev) => prev && { ...prev, checking: false });
     }
-    if (!mesh) {
-      console.warn('Could not find mesh for undo/redo:', saved.name || saved.uuid);
+  }, [scene]);
+
+  useEffect(() => {
+    if (inspectorOpen) {
+      runInspection();
       return;
     }
+    inspectionRunRef.current++; // drop checks still running
+    setInspection(null);
+  }, [inspectorOpen, runInspection]);
+
+  const selectInspectedPart = (path) => {
+    const object = findByPartPath(scene, path);
+    if (!object?.isMesh) return;
+    setMode('select');
+    selectMesh(object);
+  };
 
-    const material = new THREE.MeshStandardMaterial({
-      color: new THREE.Color(saved.color),
-      roughness: saved.roughness || 0.5,
-      metalness: saved.metalness || 0.5,
+  // -----------------
+  // Optimization
+  // -----------------
+
+  // The work runs in utils/optimize.worker.js. Geometry steps swap meshes'
+  // geometry in place and can't be undone; texture conversion is recorded
+  // as a material edit.
+  const getOptimizer = () => {
+    if (!optimizerRef.current) optimizerRef.current = createOptimizer();
+    return optimizerRef.current;
+  };
+
+  useEffect(() => () => {
+    optimizerRef.current?.terminate();
+    optimizerRef.current = null;
+  }, []);
+
+  // A preview belongs to the model it was made on
+  useEffect(() => {
+    setDecimatePreview(null);
+    setOptimizeReport(null);
+  }, [scene]);
+
+  // Selected parts, or the whole model (hidden parts included) with nothing selected
+  const optimizeScope = () => {
+    if (!scene) return [];
+    if (selectedMeshes.length > 0) return optimizableMeshes(selectedMeshes);
+    const meshes = [];
+    scene.traverse((object) => {
+      if (object.isMesh) meshes.push(object);
+    });
+    return optimizableMeshes(meshes);
+  };
+
+  // Run one step with the panel showing `label`; the step resolves to a
+  // short report of what changed
+  const runOptimizerStep = async (label, step) => {
+    setOptimizeBusy(label);
+    setOptimizeReport(null);
+    try {
+      setOptimizeReport(await step(getOptimizer()));
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+      alert(`${label} failed: ${err.message}`);
+    } finally {
+      setOptimizeBusy(null);
+    }
+  };
+
+  // Simplify and show the result; the originals are kept until applied.
+  // Multi-material meshes are skipped since their groups would be lost.
+  const previewDecimation = (targetTriangles) => runOptimizerStep('Simplifying', async (optimizer) => {
+    const meshes = optimizeScope().filter((mesh) => !Array.isArray(mesh.material));
+    const before = countTriangles(meshes);
+    if (before === 0) return 'Nothing to simplify';
+    const simplified = await transformGeometries(optimizer, 'simplify', meshes, { ratio: Math.min(1, targetTriangles / before) });
+    const entries = meshes.map((mesh) => ({ mesh, original: mesh.geometry, simplified: simplified.get(mesh.geometry) }));
+    entries.forEach(({ mesh, simplified: geometry }) => { mesh.geometry = geometry; });
+    setDecimatePreview({ entries, before, after: countTriangles(meshes), showOriginal: false });
+    return null;
+  });
+
+  const showDecimationOriginal = (showOriginal) => {
+    decimatePreview.entries.forEach(({ mesh, original, simplified }) => {
+      mesh.geometry = showOriginal ? original : simplified;
     });
+    setDecimatePreview({ ...decimatePreview, showOriginal });
+  };
+
+  const applyDecimation = () => {
+    const { entries, before, after } = decimatePreview;
+    entries.forEach(({ mesh, simplified }) => { mesh.geometry = simplified; });
+    disposeUnusedGeometries(entries.map((entry) => entry.original), scene);
+    setDecimatePreview(null);
+    setOptimizeReport(`Decimated ${formatCount(before)} → ${formatCount(after)} triangles`);
+  };
+
+  const discardDecimation = () => {
+    const { entries } = decimatePreview;
+    entries.forEach(({ mesh, original }) => { mesh.geometry = original; });
+    disposeUnusedGeometries(entries.map((entry) => entry.simplified), scene);
+    setDecimatePreview(null);
+  };
+
+  const weldVertices = (tolerance) => runOptimizerStep('Welding', async (optimizer) => {
+    const meshes = optimizeScope();
+    const before = countVertices(meshes);
+    const welded = await transformGeometries(optimizer, 'weld', meshes, { tolerance });
+    meshes.forEach((mesh) => { mesh.geometry = welded.get(mesh.geometry); });
+    disposeUnusedGeometries(welded.keys(), scene);
+    return `Welded ${formatCount(before)} → ${formatCount(countVertices(meshes))} vertices`;
+  });
 
-    if (saved.textureDataURL) {
-      const texture = new THREE.TextureLoader().load(saved.textureDataURL);
-      material.map = texture;
+  // Parts that look the same are baked into one mesh per material at the
+  // model root. Animated parts keep their own meshes so their tracks apply.
+  const mergeByMaterial = () => {
+    const animated = [...getAnimatedNodes(scene, animationClips)];
+    const meshes = optimizeScope().filter((mesh) => !mesh.isInstancedMesh
+      && !Array.isArray(mesh.material)
+      && !animated.some((node) => isDescendantOf(mesh, node)));
+    const groups = groupByMaterial(meshes).filter((group) => group.length > 1);
+    if (groups.length === 0) {
+      alert('No parts share a material');
+      return;
     }
+    const count = groups.reduce((sum, group) => sum + group.length, 0);
+    if (!confirm(`Merge ${count} parts into ${groups.length}? Merged parts lose their names, transforms and per-part settings. This can't be undone.`)) return;
 
-    mesh.material = material;
-    mesh.material.needsUpdate = true;
+    runOptimizerStep('Merging', async (optimizer) => {
+      collapseExplodeNow();
+      scene.updateMatrixWorld(true);
+      const toRoot = scene.matrixWorld.clone().invert();
+      const payload = groups.map((group) => group.map((mesh) => ({
+        geometry: serializeGeometry(mesh.geometry),
+        matrix: new THREE.Matrix4().multiplyMatrices(toRoot, mesh.matrixWorld).toArray(),
+      })));
+      const results = await optimizer.run('merge', { groups: payload }, geometryTransferables(payload.flat().map((item) => item.geometry)));
+      const replaced = [];
+      let parts = 0;
+      results.forEach((data, i) => {
+        if (!data) return;
+        const group = groups[i];
+        const { material } = group[0];
+        const merged = new THREE.Mesh(deserializeGeometry(data), material);
+        merged.name = `${material.name || 'Material'} (merged)`;
+        merged.castShadow = true;
+        merged.receiveShadow = true;
+        scene.add(merged);
+        group.forEach((mesh) => {
+          replaced.push(mesh.geometry);
+          mesh.removeFromParent();
+        });
+        parts += group.length;
+      });
+      disposeUnusedGeometries(replaced, scene);
+      selectMeshes([]);
+      rememberInitialTransforms(scene);
+      setMeshParts(listParts(scene));
+      const skipped = results.filter((data) => !data).length;
+      return `Merged ${parts} parts into ${results.length - skipped}${skipped ? ` (${skipped} groups had mismatched attributes)` : ''}`;
+    });
   };
 
-  const getTextureDataUrl = (texture) => {
-    return new Promise((resolve) => {
-      const image = texture.image;
-      if (!image) return resolve(null);
-      const canvas = document.createElement('canvas');
-      canvas.width = image.width;
-      canvas.height = image.height;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(image, 0, 0);
-      resolve(canvas.toDataURL());
+  // Resize and re-encode textures through the texture store. The textures
+  // get a new Source, since clones share the original's image.
+  const convertTextures = ({ maxSize, format, quality }) => runOptimizerStep('Converting textures', async (optimizer) => {
+    const entries = collectTextures(optimizeScope())
+      .filter(({ texture }) => format !== 'keep' || Math.max(texture.image.width, texture.image.height) > maxSize);
+    if (entries.length === 0) return `Textures already fit within ${maxSize} px`;
+    await recordMaterialEdit('Convert textures', [...new Set(entries.flatMap((entry) => entry.meshes))]);
+    for (const { texture, uses } of entries) {
+      const type = format === 'keep' ? texture.userData.mimeType || 'image/png' : format;
+      const bitmap = await createImageBitmap(texture.image);
+      const { blob } = await optimizer.run('texture', { image: bitmap, maxSize, type, quality }, [bitmap]);
+      const { id } = await saveTexture(blob, { name: texture.name });
+      const image = await new THREE.ImageLoader().loadAsync(await getTextureUrl(id));
+      const replacement = texture.clone();
+      replacement.source = new THREE.Source(image);
+      replacement.userData = { ...texture.userData, textureId: id, mimeType: type };
+      replacement.needsUpdate = true;
+      uses.forEach(({ material, key }) => {
+        material[key] = replacement;
+        material.needsUpdate = true;
+      });
+      texture.dispose();
+    }
+    setMaterialRevision((r) => r + 1);
+    return `Converted ${entries.length} texture${entries.length === 1 ? '' : 's'}`;
+  });
+
+  // Post-processing step for exportModel; undefined leaves the .glb as is
+  const glbCompressor = (method) => (method && method !== 'none'
+    ? (glb) => getOptimizer().run('compress', { glb, method }, [glb])
+    : undefined);
+
+  // Write the optimized scene back as the project's model file (collapsed,
+  // like saved transforms) and reload it
+  const saveOptimizedModel = (compression) => {
+    if (!projectId || !confirm("Replace this project's model file with the optimized model? The current file is not kept.")) return;
+    runOptimizerStep('Saving', async () => {
+      const plan = explodePlanRef.current;
+      if (plan) applyExplode(plan.moves, 0);
+      let blob;
+      try {
+        blob = await exportGlbBlob(scene, { animations: animationClips, compress: glbCompressor(compression) });
+      } finally {
+        if (plan) applyExplode(plan.moves, explodeFactor);
+      }
+      await writeCurrentState();
+      const project = await getProject(projectId);
+      const fileName = `${safeFileName(project.name)}.glb`;
+      await saveModelFiles(projectId, fileName, [{ path: fileName, blob }]);
+      await saveProject({ ...project, fileName, modifiedAt: Date.now() });
+      await refreshProjects();
+      await openProject(projectId);
+      return `Saved a ${formatBytes(blob.size)} model to the project`;
     });
   };
 
   // -----------------
-  // Undo/Redo system
+  // Image capture
   // -----------------
 
-  // 1. Always push the previous state, with mesh name, into undoHistory
-  const pushUndo = async (mesh, preset = 'custom') => {
-    if (!mesh || !mesh.material) return;
-    let currentTextureDataURL = null;
-    if (mesh.material.map && mesh.material.map.image) {
-      currentTextureDataURL = await getTextureDataUrl(mesh.material.map);
-    }
-    const currentState = serializeMaterial(mesh, preset, currentTextureDataURL);
-    setUndoHistory((prev) => {
-      const updated = [...prev, { meshName: mesh.name, material: currentState }];
-      if (updated.length > MAX_HISTORY) updated.shift();
-      return updated;
-    });
-    setRedoHistory([]); // Always clear redo after new edit
-  };
-
-  const undo = async () => {
-    if (undoHistory.length === 0 || !scene) return;
-    const lastStep = undoHistory[undoHistory.length - 1];
-    const { meshName, material } = lastStep;
-    const mesh = scene.getObjectByName(meshName);
-    if (!mesh) return;
-    // Save current state for redo
-    let currentTextureDataURL = null;
-    if (mesh.material.map && mesh.material.map.image) {
-      currentTextureDataURL = await getTextureDataUrl(mesh.material.map);
-    }
-    const currentState = serializeMaterial(mesh, 'custom', currentTextureDataURL);
-    setUndoHistory((prev) => prev.slice(0, -1));
-    setRedoHistory((prev) => [...prev, { meshName, material: currentState }]);
-    deserializeMaterial(scene, material);
-  };
-
-  const redo = async () => {
-    if (redoHistory.length === 0 || !scene) return;
-    const lastStep = redoHistory[redoHistory.length - 1];
-    const { meshName, material } = lastStep;
-    const mesh = scene.getObjectByName(meshName);
-    if (!mesh) return;
-    // Save current state for undo
-    let currentTextureDataURL = null;
-    if (mesh.material.map && mesh.material.map.image) {
-      currentTextureDataURL = await getTextureDataUrl(mesh.material.map);
+  const viewportSize = () => {
+    const canvas = glRef.current?.domElement;
+    return canvas ? [canvas.width, canvas.height] : [1920, 1080];
+  };
+
+  const captureBaseName = () => safeFileName(projects.find((p) => p.id === projectId)?.name || 'model');
+
+  // Camera for rendering a camera state at the requested size
+  const captureCamera = (state, { width, height }) => {
+    const live = cameraRef.current;
+    return createCaptureCamera(state, {
+      fov: CAMERA_FOV,
+      aspect: width / height,
+      viewHeight: viewHeight(),
+      near: live.near,
+      far: live.far,
+    });
+  };
+
+  // Render a camera state offscreen at the requested size and format
+  const renderCameraState = (state, { width, height, format, transparent }) => (
+    renderImage(glRef.current, rootSceneRef.current, captureCamera(state, { width, height }), {
+      width,
+      height,
+      transparent,
+      type: IMAGE_FORMATS[format].type,
+    })
+  );
+
+  // Run a capture job, reporting progress and errors the same way for all
+  const runCapture = async (job) => {
+    if (!glRef.current || !cameraRef.current || captureProgress) return;
+    cameraAnimationRef.current?.();
+    try {
+      await job();
+    } catch (err) {
+      console.error('Capture failed:', err);
+      alert(`Capture failed: ${err.message}`);
+    } finally {
+      setCaptureProgress(null);
+    }
+  };
+
+  const captureScreenshot = (options) => runCapture(async () => {
+    const blob = await renderCameraState(getCameraState(cameraRef.current, controlsRef.current), options);
+    downloadBlob(blob, `${captureBaseName()}.${IMAGE_FORMATS[options.format].extension}`);
+  });
+
+  // One image per camera bookmark, in bookmark order
+  const captureBookmarks = (options) => runCapture(async () => {
+    const { extension } = IMAGE_FORMATS[options.format];
+    const files = [];
+    for (const [i, bookmark] of cameraBookmarks.entries()) {
+      setCaptureProgress({ label: 'Rendering bookmarks', done: i, total: cameraBookmarks.length });
+      const blob = await renderCameraState(bookmark, options);
+      const name = `${String(i + 1).padStart(2, '0')}-${safeFileName(bookmark.name)}.${extension}`;
+      files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+    }
+    downloadBlob(zipFiles(files), `${captureBaseName()}-bookmarks.zip`);
+  });
+
+  // Orbit the current view around its target. Frames are evenly spaced; a
+  // full turn leaves out the last frame so the loop doesn't repeat one.
+  // `output` is 'sequence' (zipped stills), 'webp' or 'gif' (animated).
+  const captureTurntable = ({ frames, degrees, fps, output, ...options }) => runCapture(async () => {
+    const start = getCameraState(cameraRef.current, controlsRef.current);
+    const step = degrees >= 360 ? degrees / frames : degrees / (frames - 1);
+    const base = captureBaseName();
+    const progress = (i) => setCaptureProgress({ label: 'Rendering turntable', done: i, total: frames });
+
+    if (output === 'gif') {
+      // Frames go straight into the encoder instead of piling up as raw pixels
+      const gif = createGifEncoder({ frameDuration: 1000 / fps, alpha: options.transparent });
+      for (let i = 0; i < frames; i++) {
+        progress(i);
+        await new Promise((resolve) => setTimeout(resolve)); // let the progress bar paint
+        const state = orbitCameraState(start, step * i);
+        gif.addFrame(renderPixels(glRef.current, rootSceneRef.current, captureCamera(state, options), options));
+      }
+      downloadBlob(gif.finish(), `${base}-turntable.gif`);
+      return;
+    }
+
+    const format = output === 'webp' ? 'webp' : options.format;
+    const { extension } = IMAGE_FORMATS[format];
+    const images = [];
+    for (let i = 0; i < frames; i++) {
+      progress(i);
+      const blob = await renderCameraState(orbitCameraState(start, step * i), { ...options, format });
+      images.push(new Uint8Array(await blob.arrayBuffer()));
+    }
+    if (output === 'webp') {
+      const animation = encodeAnimatedWebP(images, {
+        width: options.width,
+        height: options.height,
+        frameDuration: 1000 / fps,
+        alpha: options.transparent,
+      });
+      downloadBlob(animation, `${base}-turntable.webp`);
+      return;
+    }
+    const files = images.map((data, i) => ({ name: `${base}-${String(i).padStart(3, '0')}.${extension}`, data }));
+    downloadBlob(zipFiles(files), `${base}-turntable.zip`);
+  });
+
+  // -----------------
+  // Lighting
+  // -----------------
+
+  // One undo step per panel gesture; the edited setup is captured on undo
+  const beginLightingEdit = (label = 'Edit lighting') => {
+    commitEntry(createEntry(label, [{ type: 'lighting', target: null, before: lightingRef.current }]));
+  };
+
+  // .hdr/.exr files are kept in the texture store like any other image
+  const loadEnvironmentFile = async (file) => {
+    const format = getEnvironmentFormat(file.name);
+    if (!format) {
+      alert('Environment maps must be .hdr or .exr files');
+      return;
+    }
+    const { id } = await saveTexture(file, { name: file.name });
+    beginLightingEdit('Load environment');
+    setLighting((prev) => ({
+      ...prev,
+      environment: { ...prev.environment, source: 'file', texture: id, format, name: file.name },
+    }));
+  };
+
+  // -----------------
+  // Exploded view
+  // -----------------
+
+  // Explode offsets are applied on top of the collapsed positions. A plan is
+  // built when leaving the collapsed state and dropped when returning to it,
+  // so transform edits and restored transforms are always its starting point.
+  useEffect(() => {
+    const plan = explodePlanRef.current;
+    if (plan && (plan.scene !== scene || plan.axis !== explodeAxis || plan.levels !== explodeLevels)) {
+      applyExplode(plan.moves, 0);
+      explodePlanRef.current = null;
+    }
+    if (!scene) return;
+    if (explodeFactor === 0) {
+      if (explodePlanRef.current) applyExplode(explodePlanRef.current.moves, 0);
+      explodePlanRef.current = null;
+    } else {
+      if (!explodePlanRef.current) {
+        const moves = planExplode(scene, { axis: explodeAxis, levels: explodeLevels });
+        explodePlanRef.current = { scene, axis: explodeAxis, levels: explodeLevels, moves };
+      }
+      applyExplode(explodePlanRef.current.moves, explodeFactor);
+    }
+    refreshStageBounds();
+  }, [scene, explodeFactor, explodeAxis, explodeLevels]);
+
+  const animateExplode = (to) => {
+    explodeAnimationRef.current?.();
+    explodeAnimationRef.current = animateValue(explodeFactor, to, 800, setExplodeFactor, () => {
+      explodeAnimationRef.current = null;
+    });
+  };
+
+  const changeExplodeFactor = (factor) => {
+    explodeAnimationRef.current?.();
+    setExplodeFactor(factor);
+  };
+
+  const toggleExplode = () => animateExplode(explodeFactor > 0 ? 0 : 1);
+
+  // Put parts back immediately, without waiting for a render
+  const collapseExplodeNow = () => {
+    explodeAnimationRef.current?.();
+    if (explodePlanRef.current) applyExplode(explodePlanRef.current.moves, 0);
+    explodePlanRef.current = null;
+    setExplodeFactor(0);
+  };
+
+  const resetExplode = () => {
+    explodeAnimationRef.current?.();
+    explodePlanRef.current = null;
+    setExplodeFactor(0);
+    setExplodeAxis('radial');
+    setExplodeLevels(1);
+    setExplodeConfigs([]);
+  };
+
+  // Named configurations are written to the project right away
+  const saveExplodeConfigs = async (configs) => {
+    setExplodeConfigs(configs);
+    await updateProjectState((stored) => ({ explode: { ...stored?.explode, configs } }));
+  };
+
+  const saveExplodeConfig = (name) => saveExplodeConfigs([
+    ...explodeConfigs,
+    { id: crypto.randomUUID(), name, factor: explodeFactor, axis: explodeAxis, levels: explodeLevels },
+  ]);
+
+  const applyExplodeConfig = (config) => {
+    setExplodeAxis(config.axis);
+    setExplodeLevels(config.levels);
+    animateExplode(config.factor);
+  };
+
+  const deleteExplodeConfig = (id) => saveExplodeConfigs(explodeConfigs.filter((c) => c.id !== id));
+
+  // -----------------
+  // Texture library
+  // -----------------
+
+  // Move the data URLs once kept in localStorage into the texture store
+  const migrateTextureList = async () => {
+    const legacy = JSON.parse(localStorage.getItem('textureList') || '[]');
+    for (const [i, dataUrl] of legacy.entries()) {
+      const blob = await (await fetch(dataUrl)).blob();
+      await saveTexture(blob, { name: `Texture ${i + 1}`, library: true });
+    }
+    localStorage.removeItem('textureList');
+  };
+
+  // Texture ids held by the open scene, which may not be saved anywhere yet
+  const liveTextureIds = () => {
+    const ids = [];
+    scene?.traverse((obj) => {
+      if (!obj.isMesh || !obj.material) return;
+      MAP_SLOTS.forEach(({ key }) => {
+        const id = obj.material[key]?.userData.textureId;
+        if (id) ids.push(id);
+      });
+    });
+    if (lighting.environment.texture) ids.push(lighting.environment.texture);
+    return ids;
+  };
+
+  const renameTexture = async (id, name) => {
+    await updateTexture(id, { name });
+    await refreshTextures();
+  };
+
+  // The image itself is kept while saved materials, history or presets use it
+  const removeTexture = async (id) => {
+    await updateTexture(id, { library: false });
+    await refreshTextures();
+    await collectTextureGarbage(liveTextureIds());
+  };
+
+  // -----------------
+  // Material presets
+  // -----------------
+
+  const refreshPresets = useCallback(async () => {
+    setPresets(await listPresets());
+  }, []);
+
+  // Seed the built-in finishes once; after that the library is user-owned
+  useEffect(() => {
+    (async () => {
+      if (!localStorage.getItem('presetsSeeded')) {
+        const now = Date.now();
+        for (const [i, preset] of DEFAULT_PRESETS.entries()) {
+          const thumbnail = renderMaterialThumbnail(createPresetMaterial(preset));
+          await savePreset({ ...preset, thumbnail, createdAt: now + i });
+        }
+        localStorage.setItem('presetsSeeded', '1');
+      }
+      await refreshPresets();
+    })();
+  }, [refreshPresets]);
+
+  const saveSelectedAsPreset = async (name) => {
+    if (!selectedMesh) return;
+    await savePreset({
+      id: crypto.randomUUID(),
+      name,
+      material: await serializeMaterial(selectedMesh.material),
+      thumbnail: renderMaterialThumbnail(selectedMesh.material.clone()),
+      createdAt: Date.now(),
+    });
+    await refreshPresets();
+  };
+
+  const renamePreset = async (id, name) => {
+    const preset = presets.find((p) => p.id === id);
+    if (!preset) return;
+    await savePreset({ ...preset, name });
+    await refreshPresets();
+  };
+
+  const updatePresetFromSelected = async (id) => {
+    const preset = presets.find((p) => p.id === id);
+    if (!preset || !selectedMesh) return;
+    await savePreset({
+      ...preset,
+      material: await serializeMaterial(selectedMesh.material),
+      thumbnail: renderMaterialThumbnail(selectedMesh.material.clone()),
+    });
+    await refreshPresets();
+  };
+
+  const removePreset = async (id) => {
+    await deletePreset(id);
+    await refreshPresets();
+  };
+
+  // Presets with an id already in the library replace the existing entry
+  const importPresets = async (file) => {
+    try {
+      const imported = parsePresetLibrary(await file.text());
+      for (const preset of imported) {
+        const thumbnail = preset.thumbnail || renderMaterialThumbnail(createPresetMaterial(preset));
+        await savePreset({ ...preset, material: await internMaterialImages(preset.material), thumbnail });
+      }
+      await refreshPresets();
+      alert(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      console.error('Preset import failed:', err);
+      alert(`Could not import presets: ${err.message}`);
     }
-    const currentState = serializeMaterial(mesh, 'custom', currentTextureDataURL);
-    setRedoHistory((prev) => prev.slice(0, -1));
-    setUndoHistory((prev) => [...prev, { meshName, material: currentState }]);
-    deserializeMaterial(scene, material);
   };
 
-  const resetHistory = () => {
-    setUndoHistory([]);
-    setRedoHistory([]);
-    // Also clear from IndexedDB
-    saveModelState(HISTORY_KEY, { undoHistory: [], redoHistory: [] });
+  const exportPresets = async () => {
+    downloadBlob(new Blob([await exportPresetLibrary(presets)], { type: 'application/json' }), 'material-presets.json');
   };
 
-  // --------------
-  // Editing actions
-  // --------------
+  // Record one undo step at the start of a material editor gesture
+  const beginMaterialEdit = () => {
+    if (selectedMesh) recordMaterialEdit('Edit material', selectedMesh);
+  };
 
-  const applyColorToSelected = async (hex) => {
-    if (!selectedMesh || !selectedMesh.material) return;
-    await pushUndo(selectedMesh);
-    selectedMesh.material.color = new THREE.Color(hex);
-    selectedMesh.material.map = null;
+  const applyMapToSelected = async (slot, file) => {
+    if (!selectedMesh || !file) return;
+    await recordMaterialEdit(`Set ${slot}`, selectedMesh);
+    const { id } = await saveTexture(file, { name: file.name.replace(/\.[^.]+$/, '') });
+    selectedMesh.material[slot] = loadStoredTexture(id, slot);
     selectedMesh.material.needsUpdate = true;
+    setMaterialRevision((r) => r + 1);
   };
 
-  const applyMaterialPreset = async (type) => {
+  const clearMapOnSelected = async (slot) => {
     if (!selectedMesh) return;
-    await pushUndo(selectedMesh, type);
-    let material;
-    switch (type) {
-      case 'wood-light': material = new THREE.MeshStandardMaterial({ color: 0xfde68a, roughness: 0.8, metalness: 0.1 }); break;
-      case 'wood-dark': material = new THREE.MeshStandardMaterial({ color: 0x7c3f00, roughness: 0.8, metalness: 0.1 }); break;
-      case 'metal': material = new THREE.MeshStandardMaterial({ color: 0xd1d5db, roughness: 0.2, metalness: 0.9 }); break;
-      case 'metal-dark': material = new THREE.MeshStandardMaterial({ color: 0x4b5563, roughness: 0.2, metalness: 0.9 }); break;
-      case 'plastic': material = new THREE.MeshStandardMaterial({ color: 0xbfdbfe, roughness: 0.6, metalness: 0.1 }); break;
-      default: return;
-    }
-    selectedMesh.material = material;
+    await recordMaterialEdit(`Clear ${slot}`, selectedMesh);
+    selectedMesh.material[slot] = null;
     selectedMesh.material.needsUpdate = true;
-  };
-
-  const applyTextureToSelected = async (file) => {
-    if (!selectedMesh || !file) return;
-    await pushUndo(selectedMesh, 'custom');
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const textureData = e.target.result;
-      const texture = new THREE.TextureLoader().load(textureData);
-      selectedMesh.material.map = texture;
-      selectedMesh.material.needsUpdate = true;
-      const newList = [...textureList, textureData];
-      setTextureList(newList);
-      localStorage.setItem('textureList', JSON.stringify(newList));
-    };
-    reader.readAsDataURL(file);
+    setMaterialRevision((r) => r + 1);
   };
 
   // --------------------------
   // Model loading and saving
   // --------------------------
 
+  // Every upload becomes a new project with its own state and history.
+  // The whole file set is kept so a .gltf can resolve its .bin and textures.
+  const importFiles = useCallback(async (entries) => {
+    const main = pickMainFile(entries);
+    if (!main) return;
+    const fileName = main.path.slice(main.path.lastIndexOf('/') + 1);
+    const now = Date.now();
+    const project = {
+      id: crypto.randomUUID(),
+      name: fileName.replace(/\.[^.]+$/, ''),
+      fileName,
+      thumbnail: null,
+      createdAt: now,
+      modifiedAt: now,
+    };
+    const files = entries.map(({ path, file }) => ({ path, blob: file }));
+    await saveModelFiles(project.id, main.path, files);
+    await saveProject(project);
+    await refreshProjects();
+    // Material restoration is handled once the scene is available
+    await openProject(project.id);
+  }, [openProject, refreshProjects]);
+
+  // Swap the model file of an existing project, keeping its saved state.
+  // Parts are re-matched by path on load and misses are reported.
+  const replaceProjectModel = async (id, fileList) => {
+    const entries = collectInputFiles(fileList);
+    const main = pickMainFile(entries);
+    const project = await getProject(id);
+    if (!main || !project) return;
+    const fileName = main.path.slice(main.path.lastIndexOf('/') + 1);
+    const files = entries.map(({ path, file }) => ({ path, blob: file }));
+    await saveModelFiles(id, main.path, files);
+    await saveProject({ ...project, fileName, modifiedAt: Date.now() });
+    await refreshProjects();
+    await openProject(id);
+  };
+
   const handleBrowse = useCallback(async (e) => {
-    const file = e.target.files[0];
-    if (!file || !file.name.match(/\.(glb|gltf)$/)) return;
-    const modelKey = 'uploadedModel';
-    await saveModelBlob(modelKey, file);
-    const blobUrl = URL.createObjectURL(file);
-    setModelUrl(blobUrl);
-    localStorage.setItem('modelKey', modelKey);
-    resetHistory();
-  }, []);
+    const entries = collectInputFiles(e.target.files);
+    e.target.value = '';
+    await importFiles(entries);
+  }, [importFiles]);
+
+  const handleDrop = useCallback(async (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    const entries = await collectDroppedFiles(e.dataTransfer);
+    await importFiles(entries);
+  }, [importFiles]);
+
 
+  // Give freshly loaded projects a thumbnail once the model has rendered
   useEffect(() => {
-    const loadFromIndexedDB = async () => {
-      const key = localStorage.getItem('modelKey');
-      if (key) {
-        const file = await getModelBlob(key);
-        if (file) {
-          const blobUrl = URL.createObjectURL(file);
-          setModelUrl(blobUrl);
-
-         // Material restoration is handled once the scene is available
-        }
-      }
-    };
-    loadFromIndexedDB();
-  }, []);
+    if (!projectId || meshParts.length === 0) return;
+    const timer = setTimeout(async () => {
+      const project = await getProject(projectId);
+      if (!project || project.thumbnail) return;
+      await saveProject({ ...project, thumbnail: captureThumbnail() });
+      await refreshProjects();
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [projectId, meshParts, refreshProjects]);
 
   const collectMaterialStates = async (root) => {
     const states = [];
     const traverse = async (obj) => {
       if (obj.isMesh && obj.material) {
-        let textureDataURL = null;
-        if (obj.material.map) {
-          textureDataURL = await getTextureDataUrl(obj.material.map);
-        }
-        states.push({ name: obj.name, color: obj.material.color.getHex(), textureDataURL });
+        states.push({ path: getPartPath(obj, root), name: obj.name, ...(await serializeMaterial(obj.material)) });
       }
       for (const c of obj.children) await traverse(c);
     };
@@ -295,71 +1695,243 @@ export default function CanvasViewer() {
     return states;
   };
 
+  // Persist the project state; false when there is nothing to save
+  const writeCurrentState = async () => {
+    if (!modelUrl || !scene || !projectId) return false;
+    const materials = await collectMaterialStates(scene);
+    // Saved transforms are the collapsed ones; explode offsets are stored separately
+    const plan = explodePlanRef.current;
+    if (plan) applyExplode(plan.moves, 0);
+    const transforms = collectTransforms(scene, getAnimatedNodes(scene, animationClips));
+    if (plan) applyExplode(plan.moves, explodeFactor);
+    await saveModelState(projectStateKey(projectId), {
+      version: MATERIAL_STATE_VERSION,
+      materials,
+      transforms,
+      nodes: { hidden: hiddenPaths, locked: lockedPaths, shadowless: shadowlessPaths },
+      explode: { factor: explodeFactor, axis: explodeAxis, levels: explodeLevels, configs: explodeConfigs },
+      cameraBookmarks,
+      lighting,
+      stage,
+      measurements,
+      measureUnits,
+      annotations,
+      variants,
+      activeVariantId,
+      animationPose,
+    });
+    const project = await getProject(projectId);
+    if (project) {
+      await saveProject({ ...project, thumbnail: captureThumbnail() || project.thumbnail, modifiedAt: Date.now() });
+      await refreshProjects();
+    }
+    await collectTextureGarbage(liveTextureIds());
+    return true;
+  };
+
   const saveCurrentState = async () => {
+    if (await writeCurrentState()) alert('Saved!');
+  };
+
+  const exportCurrentModel = async (format, compression, extras = {}) => {
+    setExportMenuOpen(false);
     if (!modelUrl || !scene) return;
-    const materials = await collectMaterialStates(scene);
-    await saveModelState('modelState', { materials, undoHistory, redoHistory, textureList });
-    alert('Saved!');
+    try {
+      const project = projects.find((p) => p.id === projectId);
+      await exportModel(scene, {
+        format,
+        fileName: project?.name || 'model',
+        animations: animationClips,
+        extras: annotations.length > 0 ? { ...extras, annotations: exportAnnotations(scene, annotations) } : extras,
+        compress: glbCompressor(compression),
+        plugins: variants.length > 0 ? [await createVariantsExportPlugin(scene, variants)] : [],
+      });
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(`Export failed: ${err.message}`);
+    }
+  };
+
+  // A .glb for /embed?src=: the model with the exploded view collapsed, as
+  // saved, plus the viewer settings the published embed reads (utils/embed)
+  const exportForEmbed = async () => {
+    const plan = explodePlanRef.current;
+    if (plan) applyExplode(plan.moves, 0);
+    try {
+      await exportCurrentModel('glb', null, {
+        [EMBED_SETTINGS_KEY]: createEmbedSettings({
+          lighting,
+          stage,
+          cameraBookmarks,
+          hidden: hiddenPaths,
+          shadowless: shadowlessPaths,
+        }),
+      });
+    } finally {
+      if (plan) applyExplode(plan.moves, explodeFactor);
+    }
+  };
+
+  // -----------------
+  // Outliner
+  // -----------------
+
+  // Replace the selection; the last mesh becomes the primary one
+  const selectMeshes = useCallback((meshes) => {
+    meshes.forEach((mesh) => { mesh.material = toStandardMaterial(mesh.material); });
+    const primary = meshes[meshes.length - 1] || null;
+    setSelectedMeshes(meshes);
+    setSelectedMesh(primary);
+    setSelectedNode(primary);
+    setSelectedName(primary ? primary.name || 'Unnamed Part' : null);
+  }, []);
+
+  // Selecting from the viewport or part list also selects the node in the tree.
+  // Additive picks (shift/ctrl-click) toggle the mesh in the current set.
+  const selectMesh = useCallback((mesh, additive = false) => {
+    if (!mesh) return selectMeshes([]);
+    if (!additive) return selectMeshes([mesh]);
+    selectMeshes(selectedMeshes.includes(mesh)
+      ? selectedMeshes.filter((m) => m !== mesh)
+      : [...selectedMeshes, mesh]);
+  }, [selectMeshes, selectedMeshes]);
+
+  const selectSameMaterial = () => {
+    if (!selectedMesh || !scene) return;
+    const matches = meshesWithSameMaterial(scene, selectedMesh, new Set(lockedPaths));
+    // Keep the current primary last so the editor stays on it
+    selectMeshes([...matches.filter((m) => m !== selectedMesh), selectedMesh]);
+  };
+
+  const selectChildrenOfNode = () => {
+    if (!selectedNode || !scene) return;
+    const node = selectedNode;
+    selectMeshes(meshesUnder(node, scene, new Set(lockedPaths)));
+    setSelectedNode(node);
+  };
+
+  // Marquee selection over the canvas (box select mode)
+  const marqueeHandlers = {
+    onPointerDown: (e) => {
+      const bounds = e.currentTarget.getBoundingClientRect();
+      const x = e.clientX - bounds.left;
+      const y = e.clientY - bounds.top;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setMarquee({ x0: x, y0: y, x1: x, y1: y, additive: e.shiftKey || e.ctrlKey || e.metaKey });
+    },
+    onPointerMove: (e) => {
+      if (!marquee) return;
+      const bounds = e.currentTarget.getBoundingClientRect();
+      setMarquee({ ...marquee, x1: e.clientX - bounds.left, y1: e.clientY - bounds.top });
+    },
+    onPointerUp: (e) => {
+      if (!marquee) return;
+      setMarquee(null);
+      if (!scene || !cameraRef.current) return;
+      const bounds = e.currentTarget.getBoundingClientRect();
+      const rect = {
+        left: Math.min(marquee.x0, marquee.x1),
+        right: Math.max(marquee.x0, marquee.x1),
+        top: Math.min(marquee.y0, marquee.y1),
+        bottom: Math.max(marquee.y0, marquee.y1),
+      };
+      const hits = meshesInRect(scene, cameraRef.current, rect, bounds, new Set(lockedPaths));
+      selectMeshes(marquee.additive ? [...selectedMeshes.filter((m) => !hits.includes(m)), ...hits] : hits);
+    },
+  };
+
+  const selectNode = (object) => {
+    if (object.isMesh) {
+      selectMesh(object);
+    } else {
+      setSelectedMesh(null);
+      setSelectedMeshes([]);
+      setSelectedName(null);
+      setSelectedNode(object);
+    }
+  };
+
+  // Hide/lock toggles and isolation are undoable like material edits
+  const togglePath = (key, labels) => (path) => {
+    const list = visibilityRef.current[key];
+    const on = !list.includes(path);
+    changeVisibility(on ? labels[0] : labels[1], { [key]: on ? [...list, path] : list.filter((p) => p !== path) });
+  };
+
+  // Cast shadow on/off for the whole selection in one step
+  const toggleSelectedShadows = () => {
+    if (!scene || selectedMeshes.length === 0) return;
+    const list = visibilityRef.current.shadowless;
+    const paths = selectedMeshes.map((mesh) => getPartPath(mesh, scene));
+    const disable = paths.some((path) => !list.includes(path));
+    changeVisibility(disable ? 'Disable part shadows' : 'Enable part shadows', {
+      shadowless: disable ? [...new Set([...list, ...paths])] : list.filter((p) => !paths.includes(p)),
+    });
+  };
+
+  const toggleIsolate = () => {
+    if (isolatedPath) {
+      changeVisibility('Exit isolation', { isolated: null });
+    } else if (selectedNode && scene) {
+      changeVisibility('Isolate', { isolated: getPartPath(selectedNode, scene) });
+    }
   };
 
-  // Always highlight the selected mesh (whether chosen by click or dropdown)
+  // Apply hide/isolate to the scene graph. Ancestors of the isolated node stay
+  // visible so the node itself can render; everything else outside it is hidden.
+  useEffect(() => {
+    if (scene) applyPartVisibility(scene, hiddenPaths, isolatedPath);
+  }, [scene, hiddenPaths, isolatedPath]);
+
+  // Every part receives shadows; parts under a shadowless path don't cast them
+  useEffect(() => {
+    if (scene) applyShadowSettings(scene, shadowlessPaths);
+  }, [scene, shadowlessPaths]);
+
+  // Floor and footprint for the ground, grid and shadow cameras. Parts move
+  // in place, so every step that moves them calls refreshStageBounds.
+  const [stageBounds, setStageBounds] = useState(() => computeStageBounds(null));
+  const refreshStageBounds = () => setStageBounds(computeStageBounds(scene));
+
+  useEffect(() => {
+    setStageBounds(computeStageBounds(scene));
+  }, [scene]);
+
+  // Make sure every part has an editable MeshStandardMaterial
   useEffect(() => {
     if (!scene) return;
+    rememberInitialTransforms(scene);
     scene.traverse((child) => {
-      if (child.isMesh) {
-        // If not MeshStandardMaterial, convert
-        if (!child.material.emissive) {
-          const prev = child.material;
-          const stdMat = new THREE.MeshStandardMaterial({
-            color: prev.color ? prev.color.clone() : new THREE.Color(0xffffff),
-            map: prev.map || null,
-            metalness: prev.metalness !== undefined ? prev.metalness : 0.5,
-            roughness: prev.roughness !== undefined ? prev.roughness : 0.5,
-          });
-          child.material = stdMat;
-          child.material.needsUpdate = true;
-        }
-        if (child === selectedMesh) {
-          child.material.emissive.setHex(0x3b82f6);
-          child.material.emissiveIntensity = 0.3;
-        } else {
-          child.material.emissive.setHex(0x000000);
-          child.material.emissiveIntensity = 0;
-        }
+      if (child.isMesh && !(child.material instanceof THREE.MeshStandardMaterial)) {
+        child.material = toStandardMaterial(child.material);
       }
     });
-  }, [scene, selectedMesh]);
+  }, [scene]);
   
 
 
-  function CameraButton({ active, label, onClick, icon }) {
-    return (
-      <div className="relative group">
-        <button
-          onClick={onClick}
-          className={`flex items-center justify-center p-2 rounded transition 
-            ${active ? 'bg-blue-500 text-white' : 'bg-white text-gray-700'} 
-            hover:bg-blue-100 hover:text-blue-600 shadow`}
-          style={{ width: 36, height: 36 }}
-          aria-label={label}
-        >
-          {icon}
-        </button>
-        <span className="absolute left-1/2 -translate-x-1/2 top-full mt-1 px-2 py-1 bg-black text-white text-xs rounded opacity-0 group-hover:opacity-90 pointer-events-none z-10 whitespace-nowrap">
-          {label}
-        </span>
-      </div>
-    );
-  }
   // ------------------------
   // UI & Rendering
   // ------------------------
+
+  // Parts the optimize panel works on, gathered once per render
+  const optimizeTargets = optimizeOpen ? optimizeScope() : [];
+
   return (
     <main className="flex flex-col h-screen overflow-hidden">
       <div className="flex flex-1 min-h-0">
       <aside className="w-16 bg-[#111827] text-white flex flex-col items-center py-4 space-y-4">
         {/* Mode toggle buttons */}
         <div className="flex flex-col gap-2 mb-6">
+          <button
+            onClick={() => setLibraryOpen((open) => !open)}
+            className={`flex items-center justify-center w-10 h-10 rounded-lg transition
+              ${libraryOpen ? 'bg-blue-500 text-white' : 'bg-white text-gray-800 hover:bg-blue-100'}
+            `}
+            title="Projects"
+          >
+            <FolderOpen size={20} />
+          </button>
           <button
             onClick={() => setMode('select')}
             className={`flex items-center justify-center w-10 h-10 rounded-lg transition
@@ -378,38 +1950,118 @@ export default function CanvasViewer() {
           >
             <Eye size={20} />
           </button>
+          <button
+            onClick={() => setMode('measure')}
+            className={`flex items-center justify-center w-10 h-10 rounded-lg transition
+              ${mode === 'measure' ? 'bg-blue-500 text-white' : 'bg-white text-gray-800 hover:bg-blue-100'}
+            `}
+            title="Measure Mode"
+          >
+            <Ruler size={20} />
+          </button>
+          <button
+            onClick={() => setMode('annotate')}
+            className={`flex items-center justify-center w-10 h-10 rounded-lg transition
+              ${mode === 'annotate' ? 'bg-blue-500 text-white' : 'bg-white text-gray-800 hover:bg-blue-100'}
+            `}
+            title="Annotate Mode"
+          >
+            <MessageSquare size={20} />
+          </button>
+          <button
+            onClick={() => {
+              setMode('select');
+              setBoxSelect((on) => !on);
+            }}
+            className={`flex items-center justify-center w-10 h-10 rounded-lg transition
+              ${boxSelect && mode === 'select' ? 'bg-blue-500 text-white' : 'bg-white text-gray-800 hover:bg-blue-100'}
+            `}
+            title="Box Select (drag to select, Shift to add)"
+          >
+            <BoxSelect size={20} />
+          </button>
         </div>
         {/* Undo */}
         <button
-          className={`text-xl ${undoHistory.length > 0 ? 'hover:text-blue-400' : 'text-gray-500 cursor-not-allowed'}`}
+          className={`text-xl ${history.index > 0 ? 'hover:text-blue-400' : 'text-gray-500 cursor-not-allowed'}`}
           onClick={undo}
-          disabled={undoHistory.length === 0}
-          title="Undo"
+          disabled={history.index === 0}
+          title="Undo (Ctrl+Z)"
         >
           <Undo2 size={22} />
         </button>
         {/* Redo */}
         <button
-          className={`text-xl ${redoHistory.length > 0 ? 'hover:text-blue-400' : 'text-gray-500 cursor-not-allowed'}`}
+          className={`text-xl ${history.index < history.entries.length ? 'hover:text-blue-400' : 'text-gray-500 cursor-not-allowed'}`}
           onClick={redo}
-          disabled={redoHistory.length === 0}
-          title="Redo"
+          disabled={history.index >= history.entries.length}
+          title="Redo (Ctrl+Shift+Z)"
         >
           <Redo2 size={22} />
         </button>
+        {/* History */}
+        <button
+          className={`text-xl ${historyOpen ? 'text-blue-400' : 'hover:text-blue-400'}`}
+          onClick={() => setHistoryOpen((open) => !open)}
+          title="History"
+        >
+          <History size={22} />
+        </button>
+        {/* Inspector */}
+        <button
+          className={`text-xl ${!modelUrl ? 'text-gray-500 cursor-not-allowed' : inspectorOpen ? 'text-blue-400' : 'hover:text-blue-400'}`}
+          onClick={() => setInspectorOpen((open) => !open)}
+          disabled={!modelUrl}
+          title="Inspector"
+        >
+          <Gauge size={22} />
+        </button>
+        {/* Optimize */}
+        <button
+          className={`text-xl ${!modelUrl ? 'text-gray-500 cursor-not-allowed' : optimizeOpen ? 'text-blue-400' : 'hover:text-blue-400'}`}
+          onClick={() => setOptimizeOpen((open) => !open)}
+          disabled={!modelUrl}
+          title="Optimize"
+        >
+          <Shrink size={22} />
+        </button>
+        {/* Lighting */}
+        <button
+          className={`text-xl ${lightingOpen ? 'text-blue-400' : 'hover:text-blue-400'}`}
+          onClick={() => setLightingOpen((open) => !open)}
+          title="Lighting & environment"
+        >
+          <Sun size={22} />
+        </button>
+        {/* Capture */}
+        <div className="relative">
+          <button
+            className={`text-xl ${!modelUrl ? 'text-gray-500 cursor-not-allowed' : captureOpen ? 'text-blue-400' : 'hover:text-blue-400'}`}
+            onClick={() => setCaptureOpen((open) => !open)}
+            disabled={!modelUrl}
+            title="Screenshot & turntable"
+          >
+            <Camera size={22} />
+          </button>
+          {captureOpen && modelUrl && (
+            <div className="absolute left-full top-0 ml-3 z-20 w-72 bg-white rounded shadow-lg p-3">
+              <CapturePanel
+                viewportSize={viewportSize()}
+                bookmarkCount={cameraBookmarks.length}
+                progress={captureProgress}
+                onScreenshot={captureScreenshot}
+                onBookmarks={captureBookmarks}
+                onTurntable={captureTurntable}
+              />
+            </div>
+          )}
+        </div>
         {/* Delete */}
         <button
           className={`text-xl ${modelUrl ? 'hover:text-red-500' : 'text-gray-500 cursor-not-allowed'}`}
-          onClick={() => {
-            setModelUrl(null);
-            setSelectedMesh(null);
-            setSelectedName(null);
-            setScene(null);
-            resetHistory();
-            localStorage.removeItem('modelKey');
-          }}
+          onClick={closeProject}
           disabled={!modelUrl}
-          title="Clear/Remove Model"
+          title="Close Model"
         >
           <Trash2 size={22} />
         </button>
@@ -421,42 +2073,199 @@ export default function CanvasViewer() {
         >
           <Save size={22} />
         </button>
+        {/* Export */}
+        <div className="relative">
+          <button
+            className={`text-xl ${modelUrl ? 'hover:text-blue-400' : 'text-gray-500 cursor-not-allowed'}`}
+            onClick={() => setExportMenuOpen((open) => !open)}
+            disabled={!modelUrl}
+            title="Export"
+          >
+            <Download size={22} />
+          </button>
+          {exportMenuOpen && (
+            <div className="absolute left-full top-0 ml-3 z-20 w-44 bg-white text-gray-800 rounded shadow-lg py-1">
+              <button
+                className="block w-full text-left px-3 py-1 text-sm hover:bg-blue-100"
+                onClick={() => exportCurrentModel('glb')}
+              >
+                Binary (.glb)
+              </button>
+              <button
+                className="block w-full text-left px-3 py-1 text-sm hover:bg-blue-100"
+                onClick={() => exportCurrentModel('glb', 'meshopt')}
+              >
+                .glb + meshopt
+              </button>
+              <button
+                className="block w-full text-left px-3 py-1 text-sm hover:bg-blue-100"
+                onClick={() => exportCurrentModel('glb', 'draco')}
+              >
+                .glb + Draco
+              </button>
+              <button
+                className="block w-full text-left px-3 py-1 text-sm hover:bg-blue-100"
+                onClick={() => exportCurrentModel('gltf')}
+              >
+                glTF + .bin
+              </button>
+              <button
+                className="block w-full text-left px-3 py-1 text-sm hover:bg-blue-100"
+                title="A .glb with lighting, stage and bookmarks for /embed?src=<file URL>"
+                onClick={exportForEmbed}
+              >
+                For embed (.glb)
+              </button>
+            </div>
+          )}
+        </div>
       </aside>
+        {libraryOpen && (
+          <ProjectLibrary
+            projects={projects}
+            activeId={projectId}
+            onOpen={openProject}
+            onRename={renameProject}
+            onDuplicate={duplicateProjectById}
+            onDelete={removeProject}
+            onReplace={replaceProjectModel}
+            onUpload={handleBrowse}
+          />
+        )}
 
         <div className="flex-1 flex flex-col md:flex-row overflow-hidden">
-          <div className="flex-1 relative h-full">
+          <div
+            className="flex-1 relative h-full"
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragActive(true);
+            }}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+            }}
+            onDrop={handleDrop}
+          >
             <Canvas
-              onCreated={({ scene, camera }) => {
-                setScene(scene);
-                cameraRef.current = camera;
+              shadows
+              onCreated={({ gl, scene }) => {
+                glRef.current = gl;
+                rootSceneRef.current = scene;
               }}
             >
-              <CameraUpdater
-                view={CAMERA_VIEWS[cameraView]}
-                cameraRef={cameraRef}
-                controlsRef={controlsRef}
-              />
-              <color attach="background" args={['#f3f4f6']} />
-              <ambientLight intensity={0.5} />
-              <directionalLight position={[2, 2, 2]} intensity={1} />
+              {projection === 'orthographic'
+                ? <OrthographicCamera makeDefault />
+                : <PerspectiveCamera makeDefault fov={CAMERA_FOV} />}
+              <CameraTracker cameraRef={cameraRef} controlsRef={controlsRef} pendingRef={pendingCameraRef} />
+              {selectedMeshes.map((mesh) => (
+                <SelectionHighlight key={mesh.uuid} object={mesh} />
+              ))}
+              <SceneLighting lighting={lighting} bounds={stageBounds} />
+              <SceneStage stage={stage} bounds={stageBounds} />
+              <AnimationTicker mixer={mixer} />
+              {scene && (
+                <MeasurementOverlay
+                  scene={scene}
+                  measurements={measurementsVisible ? measurements : []}
+                  draft={measureDraft}
+                  units={measureUnits}
+                  size={stageBounds.radius * 0.01}
+                />
+              )}
+              {scene && annotationsVisible && (
+                <AnnotationPins
+                  scene={scene}
+                  annotations={annotations}
+                  activeId={activeAnnotationId}
+                  onSelect={selectAnnotation}
+                />
+              )}
               <Suspense fallback={null}>
                 {modelUrl &&
                   <Model
                     url={modelUrl}
                     selectedMesh={selectedMesh}
-                    setSelectedMesh={setSelectedMesh}
+                    setSelectedMesh={selectMesh}
                     setSelectedName={setSelectedName}
                     setScene={setScene}
                     setMeshParts={setMeshParts}
+                    setAnimations={setAnimationClips}
+                    setSource={setModelSource}
                     mode={mode}
+                    onPickPoint={pickSurfacePoint}
+                    lockedPaths={lockedPaths}
+                    modelFiles={modelFiles}
                   />
                 }
               </Suspense>
-              <OrbitControls enablePan enableZoom panSpeed={1.2} zoomSpeed={1.2} />
+              {gizmoVisible && (
+                <TransformControls
+                  object={selectedNode}
+                  mode={transformMode}
+                  space={transformSpace}
+                  translationSnap={transformSnap.enabled ? transformSnap.translate : null}
+                  rotationSnap={transformSnap.enabled ? THREE.MathUtils.degToRad(transformSnap.rotate) : null}
+                  scaleSnap={transformSnap.enabled ? transformSnap.scale : null}
+                  onMouseDown={beginTransformEdit}
+                  onMouseUp={endTransformEdit}
+                  onObjectChange={() => {
+                    setTransformRevision((r) => r + 1);
+                    refreshStageBounds();
+                  }}
+                />
+              )}
+              <OrbitControls ref={controlsRef} makeDefault enabled={!(boxSelect && mode === 'select')} enablePan enableZoom panSpeed={1.2} zoomSpeed={1.2} />
             </Canvas>
+            {boxSelect && mode === 'select' && modelUrl && (
+              <div className="absolute inset-0 cursor-crosshair" {...marqueeHandlers}>
+                {marquee && (
+                  <div
+                    className="absolute border border-blue-500 bg-blue-500/10 pointer-events-none"
+                    style={{
+                      left: Math.min(marquee.x0, marquee.x1),
+                      top: Math.min(marquee.y0, marquee.y1),
+                      width: Math.abs(marquee.x1 - marquee.x0),
+                      height: Math.abs(marquee.y1 - marquee.y0),
+                    }}
+                  />
+                )}
+              </div>
+            )}
+            {modelUrl && (
+              <CameraToolbar
+                projection={projection}
+                canFrameSelected={!!selectedNode}
+                bookmarks={cameraBookmarks}
+                onView={goToView}
+                onToggleProjection={toggleProjection}
+                onFrameSelected={frameSelected}
+                onSaveBookmark={addCameraBookmark}
+                onGoToBookmark={goToBookmark}
+                onDeleteBookmark={deleteCameraBookmark}
+              />
+            )}
+            {historyOpen && modelUrl && (
+              <HistoryPanel
+                history={history}
+                depth={historyDepth}
+                onJump={jumpToHistory}
+                onDepthChange={changeHistoryDepth}
+                onClose={() => setHistoryOpen(false)}
+              />
+            )}
+            {inspectorOpen && modelUrl && inspection && (
+              <InspectorPanel
+                stats={inspection.stats}
+                sizeLabel={inspection.stats.size.map((v) => formatLength(v, measureUnits)).join(' × ')}
+                rendererInfo={inspection.rendererInfo}
+                checking={inspection.checking}
+                onRefresh={runInspection}
+                onSelectPart={selectInspectedPart}
+                onClose={() => setInspectorOpen(false)}
+              />
+            )}
             {!modelUrl && (
               <div className="absolute inset-0 flex flex-col items-center justify-center bg-white bg-opacity-90 text-center p-4">
-                <p className="text-gray-600 mb-4">Drag and drop a .glb/.gltf file here</p>
+                <p className="text-gray-600 mb-4">Drag and drop a 3D model file (or its folder) here</p>
                 <label
                   htmlFor="file-upload"
                   className="cursor-pointer flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
@@ -466,49 +2275,214 @@ export default function CanvasViewer() {
                 <input
                   id="file-upload"
                   type="file"
-                  accept=".glb,.gltf"
+                  multiple
+                  accept={MODEL_FILE_ACCEPT}
                   onChange={handleBrowse}
                   className="hidden"
                 />
               </div>
             )}
+            {dragActive && (
+              <div className="absolute inset-0 flex items-center justify-center bg-blue-500/10 border-4 border-dashed border-blue-500 pointer-events-none">
+                <p className="text-blue-700 font-medium">Drop model files or a folder to import</p>
+              </div>
+            )}
           </div>
           <div className="w-full md:w-80 bg-white p-4 shadow-lg overflow-y-auto">
+            {lightingOpen && (
+              <LightingPanel
+                lighting={lighting}
+                onBeginEdit={beginLightingEdit}
+                onChange={setLighting}
+                onEnvironmentFile={loadEnvironmentFile}
+              />
+            )}
+            {lightingOpen && <StagePanel stage={stage} onChange={setStage} />}
+            {optimizeOpen && modelUrl && scene && (
+              <OptimizePanel
+                scopeLabel={selectedMeshes.length > 0 ? `${optimizeTargets.length} selected part${optimizeTargets.length === 1 ? '' : 's'}` : 'Whole model'}
+                triangles={countTriangles(optimizeTargets)}
+                vertices={countVertices(optimizeTargets)}
+                textureCount={collectTextures(optimizeTargets).length}
+                busy={optimizeBusy}
+                preview={decimatePreview}
+                report={optimizeReport}
+                onPreview={previewDecimation}
+                onShowOriginal={showDecimationOriginal}
+                onApply={applyDecimation}
+                onDiscard={discardDecimation}
+                onWeld={weldVertices}
+                onMerge={mergeByMaterial}
+                onTextures={convertTextures}
+                onExport={(compression) => exportCurrentModel('glb', compression)}
+                onSave={saveOptimizedModel}
+              />
+            )}
+            {modelUrl && mode === 'annotate' && (
+              <AnnotationPanel
+                annotations={annotations}
+                activeId={activeAnnotationId}
+                visible={annotationsVisible}
+                onSelect={selectAnnotation}
+                onChange={updateAnnotation}
+                onDelete={deleteAnnotation}
+                onToggleVisible={() => setAnnotationsVisible((on) => !on)}
+              />
+            )}
+            {modelUrl && mode === 'measure' && (
+              <MeasurePanel
+                tool={measureTool}
+                units={measureUnits}
+                items={measurementItems()}
+                draftCount={measureDraft.length}
+                selectionSize={
+                  selectedMeshes.length > 0 || selectedNode
+                    ? formatBoxSize(getFramingBox(selectedMeshes.length > 0 ? selectedMeshes : selectedNode), measureUnits)
+                    : null
+                }
+                modelSize={scene ? formatBoxSize(getFramingBox(scene), measureUnits) : '—'}
+                visible={measurementsVisible}
+                onToolChange={changeMeasureTool}
+                onUnitsChange={changeMeasureUnits}
+                onDelete={deleteMeasurement}
+                onClear={() => changeMeasurements('Clear dimensions', [])}
+                onToggleVisible={() => setMeasurementsVisible((on) => !on)}
+              />
+            )}
+            {historySaveError && (
+              <div className="mb-4 rounded border border-red-300 bg-red-50 p-2 text-sm text-red-800">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium">Undo history is not being saved</span>
+                  <button className="text-xs hover:underline" onClick={() => setHistorySaveError(null)}>Dismiss</button>
+                </div>
+                <p className="text-xs">{historySaveError}. Undo still works until the page is reloaded.</p>
+              </div>
+            )}
+            {restoreError && (
+              <div className="mb-4 rounded border border-red-300 bg-red-50 p-2 text-sm text-red-800">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium">Saved changes could not be restored</span>
+                  <button className="text-xs hover:underline" onClick={() => setRestoreError(null)}>Dismiss</button>
+                </div>
+                <p className="text-xs">{restoreError}</p>
+              </div>
+            )}
+            {unmatchedParts.length > 0 && (
+              <div className="mb-4 rounded border border-yellow-300 bg-yellow-50 p-2 text-sm text-yellow-800">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium">
+                    {unmatchedParts.length} saved part{unmatchedParts.length === 1 ? '' : 's'} not found in this model
+                  </span>
+                  <button className="text-xs hover:underline" onClick={() => setUnmatchedParts([])}>Dismiss</button>
+                </div>
+                <ul className="list-disc pl-5 text-xs max-h-24 overflow-y-auto">
+                  {unmatchedParts.map((part, i) => (
+                    <li key={`${part.path}-${i}`} title={part.path}>{part.name || part.path || 'Unnamed part'}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
             {modelUrl && meshParts.length > 0 && (
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Select Part</label>
-                <select
-                  className="w-full border px-2 py-1 rounded mb-2"
-                  value={selectedMesh ? selectedMesh.name : ""}
-                  onChange={e => {
-                    const part = meshParts.find(m => m.name === e.target.value);
-                    if (part && scene) {
-                      const mesh = scene.getObjectByName(part.name);
-                      // Ensure highlight works!
-                      if (mesh && !mesh.material.emissive) {
-                        const prev = mesh.material;
-                        const stdMat = new THREE.MeshStandardMaterial({
-                          color: prev.color ? prev.color.clone() : new THREE.Color(0xffffff),
-                          map: prev.map || null,
-                          metalness: prev.metalness !== undefined ? prev.metalness : 0.5,
-                          roughness: prev.roughness !== undefined ? prev.roughness : 0.5,
-                        });
-                        mesh.material = stdMat;
-                        mesh.material.needsUpdate = true;
-                      }
-                      setSelectedMesh(mesh);
-                      setSelectedName(mesh.name);
-                    }
-                    
-                  }}
+              <SceneTree
+                root={scene}
+                selectedObject={selectedNode}
+                hiddenPaths={hiddenPaths}
+                lockedPaths={lockedPaths}
+                isolatedPath={isolatedPath}
+                onSelect={selectNode}
+                onToggleHidden={togglePath('hidden', ['Hide', 'Show'])}
+                onToggleLocked={togglePath('locked', ['Lock', 'Unlock'])}
+                onToggleIsolate={toggleIsolate}
+              />
+            )}
+            {modelUrl && selectedNode && (
+              <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+                {selectedMeshes.length > 1 && (
+                  <span className="text-gray-600">{selectedMeshes.length} parts selected</span>
+                )}
+                <button
+                  className="px-2 py-1 rounded border hover:bg-gray-100 disabled:opacity-40"
+                  disabled={!selectedMesh}
+                  onClick={selectSameMaterial}
                 >
-                  <option value="" disabled>Select a part...</option>
-                  {meshParts.map(part => (
-                    <option key={part.uuid} value={part.name}>{part.name}</option>
-                  ))}
-                </select>
+                  Select same material
+                </button>
+                <button
+                  className="px-2 py-1 rounded border hover:bg-gray-100"
+                  onClick={selectChildrenOfNode}
+                >
+                  Select children
+                </button>
+                <button className="px-2 py-1 rounded border hover:bg-gray-100" onClick={toggleSelectedShadows}>
+                  {selectedMeshes.some((mesh) => shadowlessPaths.includes(getPartPath(mesh, scene)))
+                    ? 'Cast shadow'
+                    : 'No shadow'}
+                </button>
+                {selectedMeshes.length > 1 && (
+                  <button className="px-2 py-1 rounded border hover:bg-gray-100" onClick={() => selectMeshes([])}>
+                    Clear
+                  </button>
+                )}
               </div>
             )}
+            {modelUrl && animationClips.length > 0 && (
+              <AnimationPanel
+                clips={animationClips}
+                playback={playback}
+                pose={animationPose}
+                getTime={getAnimationTime}
+                onPlayClip={playAnimationClip}
+                onTogglePlaying={toggleAnimationPlaying}
+                onPlaybackChange={(changes) => setPlayback((prev) => ({ ...prev, ...changes }))}
+                onSeek={seekAnimation}
+                onFreeze={freezeAnimationFrame}
+                onUnfreeze={() => setAnimationPose(null)}
+              />
+            )}
+            {modelUrl && meshParts.length > 0 && (
+              <VariantPanel
+                variants={variants}
+                activeId={activeVariantId}
+                onApply={applyVariantToModel}
+                onSaveCurrent={saveVariantFromModel}
+                onUpdate={updateVariantFromModel}
+                onRename={renameVariant}
+                onDelete={deleteVariant}
+              />
+            )}
+            {modelUrl && meshParts.length > 0 && (
+              <ExplodePanel
+                factor={explodeFactor}
+                axis={explodeAxis}
+                levels={explodeLevels}
+                configs={explodeConfigs}
+                onFactorChange={changeExplodeFactor}
+                onAxisChange={setExplodeAxis}
+                onLevelsChange={setExplodeLevels}
+                onToggle={toggleExplode}
+                onSaveConfig={saveExplodeConfig}
+                onApplyConfig={applyExplodeConfig}
+                onDeleteConfig={deleteExplodeConfig}
+              />
+            )}
+            {modelUrl && selectedNode && mode === 'select' && explodeFactor > 0 && (
+              <p className="mb-4 text-xs text-gray-500">Collapse the exploded view to move parts.</p>
+            )}
+            {modelUrl && selectedNode && mode === 'select' && explodeFactor === 0 && (
+              <TransformPanel
+                key={`${selectedNode.uuid}-${transformRevision}`}
+                object={selectedNode}
+                mode={transformMode}
+                space={transformSpace}
+                snap={transformSnap}
+                onModeChange={setTransformMode}
+                onSpaceChange={setTransformSpace}
+                onSnapChange={setTransformSnap}
+                onBeginEdit={beginTransformEdit}
+                onEndEdit={endTransformEdit}
+                onReset={resetTransform}
+              />
+            )}
             {modelUrl && selectedMesh ? (
               <>
                 <h2 className="font-semibold text-lg mb-2">{selectedName}</h2>
@@ -525,67 +2499,39 @@ export default function CanvasViewer() {
                     ))}
                   </div>
                 </div>
-                <div className="mb-4">
-                  <p className="text-sm font-medium text-gray-700 mb-2">Material</p>
-                  <div className="grid grid-cols-3 gap-2">
-                    {[
-                      { name: 'wood-light', color: '#fde68a' },
-                      { name: 'wood-dark', color: '#7c3f00' },
-                      { name: 'metal', color: '#d1d5db' },
-                      { name: 'metal-dark', color: '#4b5563' },
-                      { name: 'plastic', color: '#bfdbfe' },
-                    ].map(({ name, color }) => (
-                      <button
-                        key={name}
-                        className="h-10 rounded shadow-inner"
-                        style={{ backgroundColor: color }}
-                        onClick={() => applyMaterialPreset(name)}
-                      />
-                    ))}
-                  </div>
-                </div>
-                <div className="mb-2">
-                  <p className="text-sm font-medium text-gray-700 mb-1">Custom Texture</p>
-                  {textureList.length > 0 && (
-                    <div className="mb-2 flex flex-wrap gap-2">
-                      {textureList.map((tex, index) => (
-                        <img
-                          key={index}
-                          src={tex}
-                          alt="texture"
-                          className="w-10 h-10 rounded border cursor-pointer"
-                          onClick={async () => {
-                            if (!selectedMesh) return;
-                            await pushUndo(selectedMesh, 'custom');
-                            const texture = new THREE.TextureLoader().load(tex);
-                            selectedMesh.material.map = texture;
-                            selectedMesh.material.needsUpdate = true;
-                          }}
-                        />
-                      ))}
-                    </div>
-                  )}
-                  <label
-                    htmlFor="texture-upload"
-                    className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded p-4 cursor-pointer hover:border-blue-500 hover:text-blue-500"
-                  >
-                    <FaImage className="text-2xl mb-2" />
-                    <span className="text-sm">Click or drag to upload</span>
-                  </label>
-                  <input
-                    id="texture-upload"
-                    type="file"
-                    accept="image/*"
-                    onChange={(e) => applyTextureToSelected(e.target.files?.[0])}
-                    className="hidden"
-                  />
-                </div>
+                <PresetLibrary
+                  presets={presets}
+                  onApply={applyMaterialPreset}
+                  onSaveCurrent={saveSelectedAsPreset}
+                  onRename={renamePreset}
+                  onUpdate={updatePresetFromSelected}
+                  onDelete={removePreset}
+                  onImport={importPresets}
+                  onExport={exportPresets}
+                />
+                <TextureLibrary
+                  textures={textures}
+                  onApply={applyStoredTextureToSelected}
+                  onUpload={applyTextureToSelected}
+                  onRename={renameTexture}
+                  onDelete={removeTexture}
+                />
+                {selectedMeshes.length > 1 && (
+                  <p className="text-xs text-gray-500 mb-2">Material properties below edit {selectedName} only.</p>
+                )}
+                <MaterialEditor
+                  key={`${selectedMesh.uuid}-${selectedMesh.material.uuid}-${materialRevision}`}
+                  material={selectedMesh.material}
+                  onBeginEdit={beginMaterialEdit}
+                  onMapUpload={applyMapToSelected}
+                  onMapClear={clearMapOnSelected}
+                />
               </>
             ) : !modelUrl ? (
               <div className="text-center text-gray-500 mt-16">
                 <FaUpload className="mx-auto text-2xl mb-2" />
                 <p className="font-medium">Upload a 3D model to begin</p>
-                <p className="text-sm">Supported formats: .glb, .gltf</p>
+                <p className="text-sm">Supported formats: {getSupportedExtensions().map((ext) => `.${ext}`).join(', ')}</p>
               </div>
             ) : (
               <div className="text-center text-gray-500 mt-16">
@@ -601,37 +2547,155 @@ export default function CanvasViewer() {
   );
 }
 
-// CameraUpdater helper: updates camera position and lookAt when view changes
-function CameraUpdater({ view, cameraRef, controlsRef }) {
+// Outline the selected part with a box so its own emissive stays editable
+function SelectionHighlight({ object }) {
+  const helper = useMemo(() => (object ? new THREE.BoxHelper(object, 0x3b82f6) : null), [object]);
+  useFrame(() => helper?.update());
+  useEffect(() => () => helper?.dispose(), [helper]);
+  return helper ? <primitive object={helper} /> : null;
+}
+
+// Advance the model's animation mixer; paused actions simply hold their frame
+function AnimationTicker({ mixer }) {
+  useFrame((_, delta) => mixer?.update(delta));
+  return null;
+}
+
+const MEASURE_COLOR = '#f97316';
+
+// One saved dimension: lines between its points and a label with the value.
+// Points follow their parts, so positions are refreshed every frame.
+function MeasurementMark({ scene, measurement, units, size }) {
+  const lineRef = useRef();
+  const labelRef = useRef();
+  const textRef = useRef();
+  const resolve = () => measurement.points.map((point) => resolvePartPoint(scene, point));
+  const initial = resolve();
+  const markerRefs = useRef([]);
+
+  useFrame(() => {
+    const points = resolve();
+    if (!points.every(Boolean) || !lineRef.current) return;
+    lineRef.current.geometry.setPositions(points.flatMap((p) => p.toArray()));
+    points.forEach((p, i) => markerRefs.current[i]?.position.copy(p));
+    const anchor = measurement.type === 'angle' ? points[1] : points[0].clone().lerp(points[1], 0.5);
+    labelRef.current.position.copy(anchor);
+    if (textRef.current) textRef.current.textContent = formatMeasurement(measurement.type, points, units);
+  });
+
+  if (!initial.every(Boolean)) return null;
+  return (
+    <group>
+      <Line ref={lineRef} points={initial} color={MEASURE_COLOR} lineWidth={2} depthTest={false} renderOrder={999} />
+      {initial.map((p, i) => (
+        <mesh key={i} ref={(el) => (markerRefs.current[i] = el)} position={p} renderOrder={999}>
+          <sphereGeometry args={[size, 12, 8]} />
+          <meshBasicMaterial color={MEASURE_COLOR} depthTest={false} />
+        </mesh>
+      ))}
+      <group ref={labelRef}>
+        <Html center style={{ pointerEvents: 'none' }}>
+          <span ref={textRef} className="px-1.5 py-0.5 rounded bg-gray-900/80 text-white text-xs whitespace-nowrap">
+            {formatMeasurement(measurement.type, initial, units)}
+          </span>
+        </Html>
+      </group>
+    </group>
+  );
+}
+
+// Saved dimensions plus the points picked so far for the next one. Left out
+// of screenshots like other helpers.
+function MeasurementOverlay({ scene, measurements, draft, units, size }) {
+  return (
+    <group userData={{ helper: true }}>
+      {measurements.map((measurement) => (
+        <MeasurementMark key={measurement.id} scene={scene} measurement={measurement} units={units} size={size} />
+      ))}
+      {draft.map((point, i) => {
+        const position = resolvePartPoint(scene, point);
+        return position && (
+          <mesh key={i} position={position} renderOrder={999}>
+            <sphereGeometry args={[size * 1.5, 12, 8]} />
+            <meshBasicMaterial color={MEASURE_COLOR} depthTest={false} />
+          </mesh>
+        );
+      })}
+    </group>
+  );
+}
+
+// Numbered pin for one note, kept on its part as the part moves
+function AnnotationPin({ scene, annotation, number, active, onSelect }) {
+  const ref = useRef();
+  const initial = resolvePartPoint(scene, annotation.point);
+  useFrame(() => {
+    const position = resolvePartPoint(scene, annotation.point);
+    if (position && ref.current) ref.current.position.copy(position);
+  });
+  if (!initial) return null;
+  const resolved = annotation.status === 'resolved';
+  return (
+    <group ref={ref} position={initial}>
+      <Html zIndexRange={[20, 0]}>
+        <button
+          className={`flex items-center gap-1 -translate-x-2.5 -translate-y-full rounded-full pl-0.5 pr-2 py-0.5 text-xs shadow
+            whitespace-nowrap ${active ? 'ring-2 ring-blue-500' : ''} ${resolved ? 'bg-white/70 text-gray-400' : 'bg-white text-gray-800'}`}
+          onClick={() => onSelect(annotation.id)}
+          title={annotation.text || annotation.title}
+        >
+          <span
+            className={`w-4 h-4 rounded-full flex items-center justify-center text-white text-[10px]
+              ${resolved ? 'bg-gray-400' : 'bg-orange-500'}`}
+          >
+            {number}
+          </span>
+          <span className="max-w-32 truncate">{annotation.title}</span>
+        </button>
+      </Html>
+    </group>
+  );
+}
+
+function AnnotationPins({ scene, annotations, activeId, onSelect }) {
+  return annotations.map((annotation, i) => (
+    <AnnotationPin
+      key={annotation.id}
+      scene={scene}
+      annotation={annotation}
+      number={i + 1}
+      active={annotation.id === activeId}
+      onSelect={onSelect}
+    />
+  ));
+}
+
+// Keep cameraRef on the active default camera and apply any state queued
+// for it, so switching projection keeps the view
+function CameraTracker({ cameraRef, controlsRef, pendingRef }) {
+  const camera = useThree((state) => state.camera);
   useEffect(() => {
-    if (cameraRef.current) {
-      cameraRef.current.position.set(...view.position);
-      cameraRef.current.lookAt(...view.lookAt);
-      cameraRef.current.updateProjectionMatrix();
-      if (controlsRef.current) {
-        controlsRef.current.target.set(...view.lookAt);
-        controlsRef.current.update();
-      }
+    cameraRef.current = camera;
+    if (pendingRef.current) {
+      applyCameraState(camera, controlsRef.current, pendingRef.current);
+      pendingRef.current = null;
     }
-  }, [view, cameraRef, controlsRef]);
+  }, [camera, cameraRef, controlsRef, pendingRef]);
   return null;
 }
 
 
-function Model({ url, selectedMesh, setSelectedMesh, setSelectedName, setScene ,setMeshParts,mode}) {
-  const { scene } = useGLTF(url);
+function Model({ url, modelFiles, selectedMesh, setSelectedMesh, setSelectedName, setScene ,setMeshParts, setAnimations, setSource, mode, onPickPoint, lockedPaths}) {
+  const source = useModelSource(url, modelFiles);
+  const { scene, animations } = source;
   useEffect(() => {
-    let meshList = [];
-    scene.traverse((obj, idx) => {
-      if (obj.isMesh) {
-        if (!obj.name || obj.name === '') obj.name = `part_${idx}`;
-        meshList.push({ name: obj.name, uuid: obj.uuid });
-      }
-    });
-    setMeshParts(meshList);
+    // Parts are identified by their path in the node hierarchy, not by name
+    setMeshParts(listParts(scene));
+    setAnimations(animations || []);
+    setSource(source);
     setScene(scene);
     window.threeScene = scene;
-  }, [scene, setScene, setMeshParts]);
+  }, [source, scene, animations, setScene, setMeshParts, setAnimations, setSource]);
 
   const ref = useRef();
   const { gl, camera } = useThree();
@@ -641,80 +2705,45 @@ function Model({ url, selectedMesh, setSelectedMesh, setSelectedName, setScene ,
   useFrame(() => { gl.domElement.style.cursor = 'pointer'; });
 
   const onClick = useCallback((event) => {
-    if (mode !== 'select') return;
+    if (mode === 'view') return;
+    // Handle the click once, not once per intersected object
+    event.stopPropagation();
+    // Ignore the click that ends a gizmo or orbit drag
+    if (event.delta > 4) return;
+    const native = event.nativeEvent || event;
+    const additive = native.shiftKey || native.ctrlKey || native.metaKey;
     const bounds = gl.domElement.getBoundingClientRect();
     mouse.current.x = ((event.clientX - bounds.left) / bounds.width) * 2 - 1;
     mouse.current.y = -((event.clientY - bounds.top) / bounds.height) * 2 + 1;
     raycaster.current.setFromCamera(mouse.current, camera);
     const intersects = raycaster.current.intersectObjects(scene.children, true);
-    if (intersects.length > 0) {
-      const clicked = intersects[0].object;
-      // 🟢 Ensure always using MeshStandardMaterial for highlight support
-      if (!clicked.material.emissive) {
-        const prev = clicked.material;
-        const stdMat = new THREE.MeshStandardMaterial({
-          color: prev.color ? prev.color.clone() : new THREE.Color(0xffffff),
-          map: prev.map || null,
-          metalness: prev.metalness !== undefined ? prev.metalness : 0.5,
-          roughness: prev.roughness !== undefined ? prev.roughness : 0.5,
-        });
-        clicked.material = stdMat;
-        clicked.material.needsUpdate = true;
-      }
-      setSelectedMesh(clicked);
-      setSelectedName(clicked.name || 'Unnamed Part');
+    // Locked parts can still be measured and annotated, hidden ones never.
+    // Measuring snaps to nearby corners; pins go exactly where clicked.
+    if (mode === 'measure' || mode === 'annotate') {
+      const hit = intersects.find(({ object }) => isPartSelectable(object, scene, new Set()));
+      if (!hit) return;
+      const point = mode === 'measure' ? snapToVertex(hit, camera, [bounds.width, bounds.height]) : hit.point.clone();
+      onPickPoint(hit.object, point);
+      return;
     }
-  }, [camera, gl, scene, setSelectedMesh, setSelectedName, mode]);
-  
-  
-  // 🔥 Highlight effect
-  useEffect(() => {
-    if (!scene) return;
-    scene.traverse((child) => {
-      if (child.isMesh && child.material && child.material.emissive) {
-        if (child === selectedMesh) {
-          child.material.emissive.setHex(0x3b82f6);
-          child.material.emissiveIntensity = 0.3;
-        } else {
-          child.material.emissive.setHex(0x000000);
-          child.material.emissiveIntensity = 0;
-        }
-      }
-    });
-  }, [scene, selectedMesh]);
-  
+    // Skip hidden and locked parts so clicks reach what is behind them
+    const locked = new Set(lockedPaths);
+    const hit = intersects.find(({ object }) => isPartSelectable(object, scene, locked));
+    if (hit) {
+      const clicked = hit.object;
+      // Ensure always using MeshStandardMaterial so the part is editable
+      clicked.material = toStandardMaterial(clicked.material);
+      setSelectedMesh(clicked, additive);
+    }
+  }, [camera, gl, scene, setSelectedMesh, setSelectedName, mode, onPickPoint, lockedPaths]);
   
   
   useFrame(() => {
-    scene.traverse((child) => {
-      if (child.isMesh && child !== selectedMesh && child.material?.emissive) {
-        child.material.emissive.setHex(0x000000);
-        child.material.emissiveIntensity = 0;
-      }
-      
-    });
     if (gl && gl.domElement) {
-      gl.domElement.style.cursor = mode === 'select' ? 'pointer' : 'grab';
+      gl.domElement.style.cursor = { select: 'pointer', measure: 'crosshair', annotate: 'crosshair' }[mode] || 'grab';
     }
   });
 
-  // Restore material state on load
-  useEffect(() => {
-    if (!scene) return;
-    (async () => {
-      const saved = await getModelState('modelState');
-      if (!saved) return;
-      saved.materials.forEach(({ name, color, textureDataURL }) => {
-        const mesh = scene.getObjectByName(name);
-        if (!mesh) return;
-        mesh.material.color = new THREE.Color(color);
-        if (textureDataURL) {
-          mesh.material.map = new THREE.TextureLoader().load(textureDataURL);
-        }
-        mesh.material.needsUpdate = true;
-      });
-    })();
-  }, [scene]);
   // Auto-unselect if user switches to view mode
   useEffect(() => {
     if (mode === 'view') {
@@ -723,29 +2752,5 @@ function Model({ url, selectedMesh, setSelectedMesh, setSelectedName, setScene ,
     }
   }, [mode]);
 
-  useEffect(() => {
-    if (!scene) return;
-    scene.traverse((child, idx) => {
-      if (child.isMesh) {
-        // Always assign a unique material
-        let prev = child.material;
-        if (!(prev instanceof THREE.MeshStandardMaterial)) {
-          // If the original is not standard, convert
-          prev = new THREE.MeshStandardMaterial({
-            color: prev.color ? prev.color.clone() : new THREE.Color(0xffffff),
-            map: prev.map || null,
-            metalness: prev.metalness !== undefined ? prev.metalness : 0.5,
-            roughness: prev.roughness !== undefined ? prev.roughness : 0.5,
-          });
-        } else {
-          // Otherwise, clone it so it's unique
-          prev = prev.clone();
-        }
-        child.material = prev;
-        child.material.needsUpdate = true;
-      }
-    });
-  }, [scene]);
-  
   return <primitive object={scene} ref={ref} onClick={onClick} dispose={null} />;
 }
@@ -0,0 +1,152 @@
+'use client';
+
+import { useState } from 'react';
+import { Camera, Images, RotateCw } from 'lucide-react';
+import { IMAGE_FORMATS } from '../app/utils/capture';
+
+const SIZE_PRESETS = [
+  { label: 'Viewport', size: null },
+  { label: '1080p', size: [1920, 1080] },
+  { label: '4K', size: [3840, 2160] },
+  { label: 'Square', size: [2048, 2048] },
+];
+
+function SizeField({ label, value, onChange }) {
+  return (
+    <label className="flex items-center gap-1 text-xs text-gray-600">
+      {label}
+      <input
+        type="number"
+        className="w-16 border rounded px-1"
+        min={16}
+        max={16384}
+        value={value}
+        onChange={(e) => {
+          const v = parseInt(e.target.value, 10);
+          if (v > 0) onChange(v);
+        }}
+      />
+    </label>
+  );
+}
+
+// Screenshot, bookmark batch and turntable settings. The parent does the
+// rendering and reports progress while a capture runs.
+export default function CapturePanel({ viewportSize, bookmarkCount, progress, onScreenshot, onBookmarks, onTurntable }) {
+  const [width, setWidth] = useState(viewportSize[0]);
+  const [height, setHeight] = useState(viewportSize[1]);
+  const [format, setFormat] = useState('png');
+  const [transparent, setTransparent] = useState(false);
+  const [frames, setFrames] = useState(36);
+  const [degrees, setDegrees] = useState(360);
+  const [fps, setFps] = useState(12);
+  const [turntableOutput, setTurntableOutput] = useState('sequence'); // or 'webp' / 'gif' (animated)
+
+  const canAlpha = IMAGE_FORMATS[format].alpha;
+  const options = { width, height, format, transparent: transparent && canAlpha };
+  const busy = !!progress;
+
+  return (
+    <div className="text-gray-800 text-sm">
+      <p className="font-medium mb-1">Size</p>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {SIZE_PRESETS.map(({ label, size }) => {
+          const [w, h] = size || viewportSize;
+          return (
+            <button
+              key={label}
+              className={`px-2 py-0.5 rounded border text-xs ${w === width && h === height ? 'bg-blue-500 text-white' : 'hover:bg-gray-100'}`}
+              onClick={() => {
+                setWidth(w);
+                setHeight(h);
+              }}
+            >
+              {label}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex items-center gap-2 mb-2">
+        <SizeField label="W" value={width} onChange={setWidth} />
+        <SizeField label="H" value={height} onChange={setHeight} />
+      </div>
+      <div className="flex items-center gap-2 mb-2 text-xs">
+        <select className="border rounded px-1 py-0.5" value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(IMAGE_FORMATS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <label className={`flex items-center gap-1 ${canAlpha ? 'text-gray-600' : 'text-gray-400'}`}>
+          <input
+            type="checkbox"
+            checked={transparent && canAlpha}
+            disabled={!canAlpha}
+            onChange={(e) => setTransparent(e.target.checked)}
+          />
+          Transparent background
+        </label>
+      </div>
+      <div className="flex gap-2 mb-3">
+        <button
+          className="flex-1 flex items-center justify-center gap-1 bg-blue-600 text-white text-xs px-2 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+          disabled={busy}
+          onClick={() => onScreenshot(options)}
+        >
+          <Camera size={14} /> Screenshot
+        </button>
+        <button
+          className="flex-1 flex items-center justify-center gap-1 border text-xs px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+          disabled={busy || bookmarkCount === 0}
+          title={bookmarkCount === 0 ? 'Save camera bookmarks first' : 'One image per camera bookmark, as a zip'}
+          onClick={() => onBookmarks(options)}
+        >
+          <Images size={14} /> Bookmarks ({bookmarkCount})
+        </button>
+      </div>
+
+      <p className="font-medium mb-1">Turntable</p>
+      <div className="grid grid-cols-3 gap-1 mb-2 text-xs text-gray-600">
+        <label>
+          Frames
+          <input type="number" className="w-full border rounded px-1" min={2} max={720} value={frames}
+            onChange={(e) => setFrames(Math.max(2, parseInt(e.target.value, 10) || 2))} />
+        </label>
+        <label>
+          Degrees
+          <input type="number" className="w-full border rounded px-1" min={1} max={360} value={degrees}
+            onChange={(e) => setDegrees(Math.min(360, Math.max(1, parseFloat(e.target.value) || 1)))} />
+        </label>
+        <label>
+          FPS
+          <input type="number" className="w-full border rounded px-1" min={1} max={60} value={fps}
+            onChange={(e) => setFps(Math.min(60, Math.max(1, parseInt(e.target.value, 10) || 1)))} />
+        </label>
+      </div>
+      <select
+        className="w-full border rounded px-1 py-0.5 text-xs mb-2"
+        value={turntableOutput}
+        onChange={(e) => setTurntableOutput(e.target.value)}
+      >
+        <option value="sequence">Image sequence ({IMAGE_FORMATS[format].label})</option>
+        <option value="webp">Animated WebP</option>
+        <option value="gif">Animated GIF (256 colors)</option>
+      </select>
+      <button
+        className="w-full flex items-center justify-center gap-1 bg-blue-600 text-white text-xs px-2 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+        disabled={busy}
+        onClick={() => onTurntable({ ...options, frames, degrees, fps, output: turntableOutput })}
+      >
+        <RotateCw size={14} /> Render turntable
+      </button>
+
+      {progress && (
+        <div className="mt-2">
+          <p className="text-xs text-gray-600 mb-1">{progress.label} {progress.done}/{progress.total}</p>
+          <div className="h-1.5 bg-gray-200 rounded">
+            <div className="h-1.5 bg-blue-500 rounded" style={{ width: `${(100 * progress.done) / progress.total}%` }} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,308 @@
+'use client';
+
+import { Component, useRef, useState, useEffect, useMemo, useCallback, Suspense } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import {
+  openProjectModel,
+  loadProjectState,
+  restoreProjectScene,
+  applyPartVisibility,
+  applyShadowSettings,
+  projectVariants,
+} from '../app/utils/projectScene';
+import {
+  CAMERA_FOV,
+  CAMERA_VIEWS,
+  getFramingBox,
+  frameBox,
+  convertCameraState,
+  applyCameraState,
+  animateCamera,
+} from '../app/utils/camera';
+import { migrateLighting } from '../app/utils/lighting';
+import { migrateStage, computeStageBounds } from '../app/utils/stage';
+import { applyVariant } from '../app/utils/variants';
+import {
+  findByIdOrName,
+  resolvePartRefs,
+  createEmbedMessage,
+  parseEmbedMessage,
+  referrerOrigin,
+  findEmbedSettings,
+  resolveEmbedSource,
+} from '../app/utils/embed';
+import SceneLighting from './SceneLighting';
+import SceneStage from './SceneStage';
+import useModelSource from './useModelSource';
+
+// Tell the page embedding us, if any and once its origin is known
+function postToHost(origin, type, data) {
+  if (origin && window.parent !== window) window.parent.postMessage(createEmbedMessage(type, data), origin);
+}
+
+// Variants and bookmarks the host can pick from, by id and name
+const listChoices = (variants, saved) => ({
+  variants: variants.map(({ id, name }) => ({ id, name })),
+  bookmarks: (saved?.cameraBookmarks || []).map(({ id, name }) => ({ id, name })),
+});
+
+const UNAVAILABLE_MESSAGE = "This project isn't available in this browser";
+const FAILED_MESSAGE = "This model isn't available right now";
+const INVALID_SOURCE_MESSAGE = 'The model address is not a web URL';
+
+// Read-only viewer for iframes: no panels, no picking, only orbiting.
+// Annotations, dimensions and the exploded view are editing aids and are
+// left out. It shows either the saved project `projectId`, read from this
+// browser's IndexedDB so visitors without it get an 'unavailable' error, or
+// the published file at `src` (utils/embed). `options` come from the query
+// string; the host can change them later with postMessage.
+export default function EmbedViewer({ projectId, src, options }) {
+  const [modelFiles, setModelFiles] = useState(null);
+  const [modelUrl, setModelUrl] = useState(null);
+  const [saved, setSaved] = useState(null); // the project's saved state
+  const [source, setSource] = useState(null); // what the model's loader returned
+  const [variants, setVariants] = useState(null);
+  const [bounds, setBounds] = useState(() => computeStageBounds(null));
+  const [error, setError] = useState(null); // { code, message } as sent to the host
+  const [variant, setVariant] = useState(options.variant);
+  const [view, setView] = useState({ bookmark: options.bookmark, animate: false });
+  const [background, setBackground] = useState(options.background);
+  const [autoRotate, setAutoRotate] = useState(options.autoRotate);
+  const [hidden, setHidden] = useState(options.hidden);
+  const glRef = useRef();
+  const cameraRef = useRef();
+  const controlsRef = useRef();
+  const cameraAnimationRef = useRef(null);
+  const baseMaterialsRef = useRef(new Map()); // mesh → its saved material, before any variant
+  const hostOriginRef = useRef(null); // where messages to the host go
+  // What 'getState' reports; the message listener outlives renders
+  const statusRef = useRef({ ready: false, error: null, variants: [], saved: null });
+  const scene = source?.scene || null;
+  const ready = !!scene && !!saved && !!variants;
+  statusRef.current = { ready, error: error?.message || null, variants: variants || [], saved };
+
+  // Show the failure and tell the host
+  const fail = useCallback((code, message) => {
+    setError({ code, message });
+    postToHost(hostOriginRef.current, 'error', { code, message });
+  }, []);
+
+  useEffect(() => {
+    hostOriginRef.current = referrerOrigin();
+  }, []);
+
+  useEffect(() => {
+    if (!projectId) return;
+    let url = null;
+    let cancelled = false;
+    (async () => {
+      const opened = await openProjectModel(projectId);
+      if (opened) url = opened.url;
+      if (cancelled) return;
+      if (!opened) return fail('unavailable', UNAVAILABLE_MESSAGE);
+      const stored = await loadProjectState(projectId);
+      if (cancelled) return;
+      setSaved(stored || {});
+      setModelFiles(opened.model);
+      setModelUrl(opened.url);
+    })().catch((err) => {
+      console.error('Could not open project:', err);
+      fail('failed', FAILED_MESSAGE);
+    });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [projectId, fail]);
+
+  // A published file brings its settings along with the model (onModelLoad)
+  useEffect(() => {
+    if (projectId) return;
+    const published = resolveEmbedSource(src, window.location.href);
+    if (!published) return fail('failed', INVALID_SOURCE_MESSAGE);
+    setModelFiles(published.modelFiles);
+    setModelUrl(published.url);
+  }, [projectId, src, fail]);
+
+  // Published files are shown from the node the settings were exported on,
+  // so part paths and bookmarks line up with the project's
+  const onModelLoad = useCallback((loaded) => {
+    if (projectId) return setSource(loaded);
+    const { root, settings } = findEmbedSettings(loaded.scene);
+    setSource({ ...loaded, scene: root });
+    setSaved(settings || {});
+  }, [projectId]);
+
+  // Host page commands. Other frames on the page are ignored, and the
+  // sender's origin is where replies go from then on.
+  useEffect(() => {
+    const onMessage = (event) => {
+      if (window.parent === window || event.source !== window.parent) return;
+      const message = parseEmbedMessage(event.data);
+      if (!message) return;
+      hostOriginRef.current = event.origin;
+      switch (message.type) {
+        case 'getState': {
+          const status = statusRef.current;
+          return postToHost(event.origin, 'state', { ready: status.ready, error: status.error, ...listChoices(status.variants, status.saved) });
+        }
+        case 'setVariant':
+          return setVariant(message.value);
+        case 'setBookmark':
+          return setView({ bookmark: message.value, animate: true });
+        case 'setBackground':
+          return setBackground(message.value);
+        case 'setAutoRotate':
+          return setAutoRotate(message.value);
+        case 'setHiddenParts':
+          return setHidden(message.value);
+      }
+    };
+    window.addEventListener('message', onMessage);
+    return () => window.removeEventListener('message', onMessage);
+  }, []);
+
+  // A transparent canvas needs a transparent page behind it
+  useEffect(() => {
+    if (background?.type !== 'transparent') return;
+    const previous = document.body.style.background;
+    document.body.style.background = 'transparent';
+    return () => { document.body.style.background = previous; };
+  }, [background]);
+
+  const lighting = useMemo(() => {
+    const base = migrateLighting(saved?.lighting);
+    return background ? { ...base, background: { ...base.background, ...background } } : base;
+  }, [saved, background]);
+  // The grid and axes are editing helpers
+  const stage = useMemo(() => ({ ...migrateStage(saved?.stage), grid: false, axes: false }), [saved]);
+
+  // Saved materials, transforms and shadows, as the editor restores them,
+  // then the variants the host can pick from
+  useEffect(() => {
+    if (!scene || !saved) return;
+    let cancelled = false;
+    restoreProjectScene(scene, saved);
+    const baseMaterials = new Map();
+    scene.traverse((child) => {
+      if (child.isMesh) baseMaterials.set(child, child.material.clone());
+    });
+    baseMaterialsRef.current = baseMaterials;
+    applyShadowSettings(scene, saved.nodes?.shadowless || []);
+    setBounds(computeStageBounds(scene));
+    projectVariants(saved, source, scene)
+      .catch((err) => {
+        console.error('Could not read material variants:', err);
+        return [];
+      })
+      .then((list) => {
+        if (cancelled) return;
+        setVariants(list);
+        postToHost(hostOriginRef.current, 'ready', listChoices(list, saved));
+      });
+    return () => { cancelled = true; };
+  }, [scene, source, saved]);
+
+  // Each switch starts from the saved materials, so parts the previous
+  // variant changed don't keep its look when the new one is unknown or null
+  useEffect(() => {
+    if (!scene || !variants) return;
+    baseMaterialsRef.current.forEach((base, mesh) => {
+      mesh.material.copy(base);
+      mesh.material.needsUpdate = true;
+    });
+    const selected = findByIdOrName(variants, variant);
+    if (selected) applyVariant(scene, selected);
+  }, [scene, variants, variant]);
+
+  // Parts hidden in the project plus the ones the embed asks to hide
+  useEffect(() => {
+    if (!scene || !saved) return;
+    applyPartVisibility(scene, [...(saved.nodes?.hidden || []), ...resolvePartRefs(scene, hidden)]);
+  }, [scene, saved, hidden]);
+
+  // Start at the requested bookmark, or fit the model from the front.
+  // Orthographic bookmarks are shown in perspective at the same size.
+  useEffect(() => {
+    const camera = cameraRef.current;
+    if (!scene || !saved || !camera) return;
+    const box = getFramingBox(scene);
+    if (box.isEmpty()) return;
+    const viewHeight = glRef.current?.domElement.clientHeight || 600;
+    const framed = frameBox(camera, box, CAMERA_VIEWS.front.direction, viewHeight);
+    const bookmark = findByIdOrName(saved.cameraBookmarks || [], view.bookmark);
+    const state = bookmark
+      ? { ...convertCameraState(bookmark, 'perspective', CAMERA_FOV, viewHeight), radius: framed.radius }
+      : framed;
+    cameraAnimationRef.current?.();
+    if (view.animate) cameraAnimationRef.current = animateCamera(camera, controlsRef.current, state);
+    else applyCameraState(camera, controlsRef.current, state);
+  }, [scene, saved, view]);
+
+  return (
+    <main className="relative w-screen h-screen overflow-hidden">
+      <Canvas
+        shadows
+        camera={{ fov: CAMERA_FOV }}
+        onCreated={({ gl, camera }) => {
+          glRef.current = gl;
+          cameraRef.current = camera;
+        }}
+      >
+        <SceneLighting lighting={lighting} bounds={bounds} />
+        <SceneStage stage={stage} bounds={bounds} />
+        <ModelErrorBoundary onError={() => fail('failed', FAILED_MESSAGE)}>
+          <Suspense fallback={null}>
+            {modelUrl && <EmbedModel url={modelUrl} modelFiles={modelFiles} onLoad={onModelLoad} />}
+          </Suspense>
+        </ModelErrorBoundary>
+        <OrbitControls
+          ref={controlsRef}
+          makeDefault
+          autoRotate={autoRotate > 0}
+          autoRotateSpeed={autoRotate}
+          onStart={() => cameraAnimationRef.current?.()}
+        />
+      </Canvas>
+      {(error || !scene) && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-1 p-4 text-center text-sm text-gray-500 pointer-events-none">
+          <p>{error?.message || 'Loading…'}</p>
+          {error?.code === 'unavailable' && (
+            <p className="text-xs text-gray-400">
+              Project embeds only work in the browser that saved the project. To share it, export it for
+              embedding and link the file with /embed?src=…
+            </p>
+          )}
+        </div>
+      )}
+    </main>
+  );
+}
+
+// Model files that fail to load or parse leave the viewer empty instead of
+// taking the page down
+class ModelErrorBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(err) {
+    console.error('Could not load the model:', err);
+    this.props.onError(err);
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children;
+  }
+}
+
+function EmbedModel({ url, modelFiles, onLoad }) {
+  const source = useModelSource(url, modelFiles);
+  useEffect(() => {
+    onLoad(source);
+  }, [source, onLoad]);
+  return <primitive object={source.scene} dispose={null} />;
+}
@@ -0,0 +1,117 @@
+'use client';
+
+import { useState } from 'react';
+import { Play, Trash2, Plus } from 'lucide-react';
+
+const AXIS_OPTIONS = [
+  { value: 'radial', label: 'From center' },
+  { value: 'x', label: 'Along X' },
+  { value: 'y', label: 'Along Y' },
+  { value: 'z', label: 'Along Z' },
+];
+
+// Exploded view: distance slider, direction, depth and saved configurations
+export default function ExplodePanel({
+  factor,
+  axis,
+  levels,
+  configs,
+  onFactorChange,
+  onAxisChange,
+  onLevelsChange,
+  onToggle,
+  onSaveConfig,
+  onApplyConfig,
+  onDeleteConfig,
+}) {
+  const [newName, setNewName] = useState('');
+
+  const saveConfig = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onSaveConfig(name);
+    setNewName('');
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-medium text-gray-700">Exploded view</span>
+        <button
+          className="flex items-center gap-1 text-xs px-2 py-0.5 rounded text-gray-600 hover:bg-gray-100"
+          onClick={onToggle}
+          title={factor > 0 ? 'Animate to collapsed' : 'Animate to exploded'}
+        >
+          <Play size={12} /> {factor > 0 ? 'Collapse' : 'Explode'}
+        </button>
+      </div>
+      <input
+        type="range"
+        className="w-full"
+        min={0}
+        max={2}
+        step={0.01}
+        value={factor}
+        onChange={(e) => onFactorChange(parseFloat(e.target.value))}
+      />
+      <div className="flex items-center gap-2 text-xs text-gray-600 mb-2">
+        <select className="border rounded px-1 py-0.5" value={axis} onChange={(e) => onAxisChange(e.target.value)}>
+          {AXIS_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1" title="How many levels of subassemblies spread apart">
+          Levels
+          <input
+            type="number"
+            className="w-12 border rounded px-1"
+            min={1}
+            max={5}
+            value={levels}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (value >= 1 && value <= 5) onLevelsChange(value);
+            }}
+          />
+        </label>
+      </div>
+      {configs.length > 0 && (
+        <ul className="mb-2 text-xs">
+          {configs.map((config) => (
+            <li key={config.id} className="flex items-center gap-1 rounded hover:bg-gray-100">
+              <button className="flex-1 text-left px-1 py-0.5 truncate" onClick={() => onApplyConfig(config)}>
+                {config.name}
+              </button>
+              <button
+                className="px-1 text-gray-400 hover:text-red-500"
+                onClick={() => onDeleteConfig(config.id)}
+                title="Delete configuration"
+              >
+                <Trash2 size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2">
+        <input
+          className="flex-1 border px-2 py-1 rounded text-sm"
+          placeholder="Save view as..."
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') saveConfig();
+          }}
+        />
+        <button
+          className="flex items-center bg-blue-600 text-white px-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          onClick={saveConfig}
+          disabled={!newName.trim()}
+          title="Save the current exploded view"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
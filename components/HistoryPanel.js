@@ -0,0 +1,53 @@
+'use client';
+
+import { X } from 'lucide-react';
+
+// List of history entries; clicking one jumps to the state right after it
+export default function HistoryPanel({ history, depth, onJump, onDepthChange, onClose }) {
+  const { entries, index } = history;
+  const rowClass = (active, applied) => `w-full text-left px-2 py-1 rounded text-xs
+    ${active ? 'bg-blue-500 text-white' : applied ? 'text-gray-800 hover:bg-gray-100' : 'text-gray-400 hover:bg-gray-100'}`;
+
+  return (
+    <div className="absolute top-2 right-2 z-10 w-60 max-h-[70%] flex flex-col bg-white rounded shadow-lg">
+      <div className="flex items-center justify-between px-3 py-2 border-b">
+        <span className="text-sm font-medium text-gray-800">History</span>
+        <button className="text-gray-500 hover:text-gray-800" onClick={onClose} title="Close">
+          <X size={14} />
+        </button>
+      </div>
+      <ol className="flex-1 overflow-y-auto p-1">
+        <li>
+          <button className={rowClass(index === 0, true)} onClick={() => onJump(0)}>
+            Initial state
+          </button>
+        </li>
+        {entries.map((entry, i) => (
+          <li key={entry.id}>
+            <button
+              className={rowClass(index === i + 1, i < index)}
+              onClick={() => onJump(i + 1)}
+              title={new Date(entry.timestamp).toLocaleString()}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+      <label className="flex items-center justify-between gap-2 px-3 py-2 border-t text-xs text-gray-600">
+        Max steps
+        <input
+          type="number"
+          min={1}
+          max={500}
+          className="w-16 border rounded px-1"
+          value={depth}
+          onChange={(e) => {
+            const value = parseInt(e.target.value, 10);
+            if (value >= 1) onDepthChange(Math.min(500, value));
+          }}
+        />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+'use client';
+
+import { useState } from 'react';
+import { X, RefreshCw, TriangleAlert } from 'lucide-react';
+import { formatBytes, formatCount } from '../app/utils/inspect';
+
+function Stat({ label, value }) {
+  return (
+    <div className="flex justify-between gap-2 py-0.5">
+      <span className="text-gray-500">{label}</span>
+      <span className="font-mono text-gray-800">{value}</span>
+    </div>
+  );
+}
+
+const TABS = ['Overview', 'Parts', 'Textures', 'Warnings'];
+
+// Geometry, material and texture statistics of the loaded model with
+// validation warnings. Clicking a part selects it. `checking` is set while
+// the triangle and edge checks are still running.
+export default function InspectorPanel({ stats, sizeLabel, rendererInfo, checking, onRefresh, onSelectPart, onClose }) {
+  const [tab, setTab] = useState('Overview');
+
+  return (
+    <div className="absolute bottom-2 right-2 z-10 w-80 max-h-[60%] flex flex-col bg-white rounded shadow-lg text-xs">
+      <div className="flex items-center justify-between px-3 py-2 border-b">
+        <span className="text-sm font-medium text-gray-800">Inspector</span>
+        <div className="flex items-center gap-2">
+          <button className="text-gray-500 hover:text-gray-800" onClick={onRefresh} title="Analyze again">
+            <RefreshCw size={14} />
+          </button>
+          <button className="text-gray-500 hover:text-gray-800" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+      </div>
+      <div className="flex border-b">
+        {TABS.map((name) => (
+          <button
+            key={name}
+            className={`flex-1 py-1 ${tab === name ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-500 hover:text-gray-800'}`}
+            onClick={() => setTab(name)}
+          >
+            {name === 'Warnings' ? `${name} (${stats.warnings.length})` : name}
+          </button>
+        ))}
+      </div>
+      <div className="flex-1 overflow-y-auto p-2">
+        {tab === 'Overview' && (
+          <>
+            <Stat label="Triangles" value={formatCount(stats.triangles)} />
+            <Stat label="Vertices" value={formatCount(stats.vertices)} />
+            <Stat label="Meshes" value={formatCount(stats.meshes)} />
+            <Stat label="Draw calls (model)" value={formatCount(stats.drawCalls)} />
+            {rendererInfo && <Stat label="Draw calls (last frame)" value={formatCount(rendererInfo.calls)} />}
+            <Stat label="Materials" value={formatCount(stats.materials)} />
+            <Stat label="Textures" value={formatCount(stats.textures.length)} />
+            <Stat label="Geometry memory" value={formatBytes(stats.geometryBytes)} />
+            <Stat label="Texture memory (est.)" value={formatBytes(stats.textureBytes)} />
+            <Stat label="GPU memory (est.)" value={formatBytes(stats.geometryBytes + stats.textureBytes)} />
+            <Stat label="Size" value={sizeLabel} />
+          </>
+        )}
+        {tab === 'Parts' && (
+          <table className="w-full">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="font-normal">Part</th>
+                <th className="font-normal text-right">Tris</th>
+                <th className="font-normal text-right">Verts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.parts.map((part) => (
+                <tr key={part.path} className="hover:bg-gray-100 cursor-pointer" onClick={() => onSelectPart(part.path)}>
+                  <td className="truncate max-w-32 py-0.5" title={part.path}>
+                    {part.warnings.length > 0 && <TriangleAlert size={10} className="inline text-yellow-500 mr-1" />}
+                    {part.name}
+                  </td>
+                  <td className="text-right font-mono">{formatCount(part.triangles)}</td>
+                  <td className="text-right font-mono">{formatCount(part.vertices)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {tab === 'Textures' && (
+          stats.textures.length === 0 ? (
+            <p className="text-gray-500">No textures</p>
+          ) : (
+            <ul className="space-y-1">
+              {stats.textures.map((texture) => (
+                <li key={texture.id} className="flex justify-between gap-2">
+                  <span className="truncate" title={texture.slots.join(', ')}>{texture.name}</span>
+                  <span className="font-mono text-gray-600 whitespace-nowrap">
+                    {texture.width}×{texture.height} · {formatBytes(texture.bytes)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+        {tab === 'Warnings' && checking && (
+          <p className="text-gray-500 mb-1">Checking triangles and edges…</p>
+        )}
+        {tab === 'Warnings' && (
+          stats.warnings.length === 0 ? (
+            !checking && <p className="text-gray-500">No problems found</p>
+          ) : (
+            <ul className="space-y-1">
+              {stats.warnings.map((warning, i) => (
+                <li key={`${warning.path}-${i}`}>
+                  <button className="w-full text-left hover:bg-gray-100 rounded px-1" onClick={() => onSelectPart(warning.path)}>
+                    <span className="font-medium">{warning.name}</span>
+                    <span className="text-gray-600">: {warning.message}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
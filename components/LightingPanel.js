@@ -0,0 +1,317 @@
+'use client';
+
+import { useState } from 'react';
+import { MathUtils } from 'three';
+import { Plus, Trash2, ChevronDown, ChevronRight, Upload } from 'lucide-react';
+import { LIGHT_TYPES, TONE_MAPPINGS, createLight } from '../app/utils/lighting';
+
+function NumberField({ label, value, step, min, max, onBegin, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs text-gray-600 mb-1">
+      {label}
+      <input
+        type="number"
+        className="w-20 border rounded px-1 text-right"
+        value={Number(value.toFixed(3))}
+        step={step}
+        min={min}
+        max={max}
+        onFocus={onBegin}
+        onChange={(e) => {
+          const v = parseFloat(e.target.value);
+          if (!Number.isNaN(v)) onChange(v);
+        }}
+      />
+    </label>
+  );
+}
+
+function ColorField({ label, value, onBegin, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs text-gray-600 mb-1">
+      {label}
+      <input
+        type="color"
+        className="w-10 h-5 border rounded"
+        value={value}
+        onPointerDown={onBegin}
+        onFocus={onBegin}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </label>
+  );
+}
+
+function PositionField({ value, onBegin, onChange }) {
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-600 mb-1">
+      <span className="flex-1">Position</span>
+      {value.map((component, i) => (
+        <input
+          key={i}
+          type="number"
+          className="w-14 border rounded px-1"
+          value={Number(component.toFixed(2))}
+          step={0.5}
+          onFocus={onBegin}
+          onChange={(e) => {
+            const v = parseFloat(e.target.value);
+            if (Number.isNaN(v)) return;
+            const next = [...value];
+            next[i] = v;
+            onChange(next);
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Lights, image-based lighting, background and tone mapping. Every gesture
+// starts with onBeginEdit so the parent records one undo step for it.
+export default function LightingPanel({ lighting, onBeginEdit, onChange, onEnvironmentFile }) {
+  const [openId, setOpenId] = useState(null);
+  const [newType, setNewType] = useState('directional');
+
+  const begin = (label) => () => onBeginEdit(label);
+  const commit = (label, next) => {
+    onBeginEdit(label);
+    onChange(next);
+  };
+
+  const updateLight = (id, changes) => {
+    onChange({ ...lighting, lights: lighting.lights.map((l) => (l.id === id ? { ...l, ...changes } : l)) });
+  };
+  const setEnvironment = (changes) => onChange({ ...lighting, environment: { ...lighting.environment, ...changes } });
+  const setBackground = (changes) => onChange({ ...lighting, background: { ...lighting.background, ...changes } });
+
+  const { environment, background } = lighting;
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">Lights</p>
+      <ul className="mb-2 border rounded">
+        {lighting.lights.map((light) => {
+          const isOpen = openId === light.id;
+          const edit = begin(`Edit ${LIGHT_TYPES[light.type].label.toLowerCase()} light`);
+          return (
+            <li key={light.id} className="border-b last:border-b-0">
+              <div className="flex items-center gap-1 px-1 py-1 text-xs">
+                <button className="text-gray-500" onClick={() => setOpenId(isOpen ? null : light.id)}>
+                  {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                </button>
+                <span className="w-3 h-3 rounded-full border" style={{ backgroundColor: light.color }} />
+                <span className="flex-1">{LIGHT_TYPES[light.type].label}</span>
+                <button
+                  className="text-gray-400 hover:text-red-500"
+                  title="Remove light"
+                  onClick={() => commit('Remove light', { ...lighting, lights: lighting.lights.filter((l) => l.id !== light.id) })}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+              {isOpen && (
+                <div className="px-2 pb-2">
+                  <ColorField
+                    label={light.type === 'hemisphere' ? 'Sky color' : 'Color'}
+                    value={light.color}
+                    onBegin={edit}
+                    onChange={(color) => updateLight(light.id, { color })}
+                  />
+                  {light.type === 'hemisphere' && (
+                    <ColorField
+                      label="Ground color"
+                      value={light.groundColor}
+                      onBegin={edit}
+                      onChange={(groundColor) => updateLight(light.id, { groundColor })}
+                    />
+                  )}
+                  <NumberField
+                    label="Intensity"
+                    value={light.intensity}
+                    step={0.1}
+                    min={0}
+                    onBegin={edit}
+                    onChange={(intensity) => updateLight(light.id, { intensity: Math.max(0, intensity) })}
+                  />
+                  {light.position && (
+                    <PositionField value={light.position} onBegin={edit} onChange={(position) => updateLight(light.id, { position })} />
+                  )}
+                  {light.type !== 'ambient' && light.type !== 'hemisphere' && (
+                    <label className="flex items-center gap-2 text-xs text-gray-600 mb-1">
+                      <input
+                        type="checkbox"
+                        checked={!!light.castShadow}
+                        onChange={(e) => {
+                          onBeginEdit(e.target.checked ? 'Enable light shadows' : 'Disable light shadows');
+                          updateLight(light.id, { castShadow: e.target.checked });
+                        }}
+                      />
+                      Cast shadows
+                    </label>
+                  )}
+                  {light.type === 'spot' && (
+                    <>
+                      <NumberField
+                        label="Cone angle°"
+                        value={MathUtils.radToDeg(light.angle)}
+                        step={1}
+                        min={1}
+                        max={90}
+                        onBegin={edit}
+                        onChange={(deg) => updateLight(light.id, { angle: MathUtils.degToRad(Math.min(90, Math.max(1, deg))) })}
+                      />
+                      <NumberField
+                        label="Penumbra"
+                        value={light.penumbra}
+                        step={0.05}
+                        min={0}
+                        max={1}
+                        onBegin={edit}
+                        onChange={(penumbra) => updateLight(light.id, { penumbra: Math.min(1, Math.max(0, penumbra)) })}
+                      />
+                    </>
+                  )}
+                  {(light.type === 'point' || light.type === 'spot') && (
+                    <>
+                      <NumberField
+                        label="Range (0 = infinite)"
+                        value={light.distance}
+                        step={1}
+                        min={0}
+                        onBegin={edit}
+                        onChange={(distance) => updateLight(light.id, { distance: Math.max(0, distance) })}
+                      />
+                      <NumberField
+                        label="Decay"
+                        value={light.decay}
+                        step={0.1}
+                        min={0}
+                        onBegin={edit}
+                        onChange={(decay) => updateLight(light.id, { decay: Math.max(0, decay) })}
+                      />
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+        {lighting.lights.length === 0 && <li className="text-xs text-gray-500 text-center py-2">No lights</li>}
+      </ul>
+      <div className="flex gap-2 mb-4">
+        <select className="flex-1 border rounded px-1 py-0.5 text-xs" value={newType} onChange={(e) => setNewType(e.target.value)}>
+          {Object.entries(LIGHT_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <button
+          className="flex items-center gap-1 bg-blue-600 text-white text-xs px-2 py-1 rounded hover:bg-blue-700"
+          onClick={() => {
+            const light = createLight(newType);
+            commit('Add light', { ...lighting, lights: [...lighting.lights, light] });
+            setOpenId(light.id);
+          }}
+        >
+          <Plus size={12} /> Add
+        </button>
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">Environment</p>
+      <div className="flex items-center gap-2 mb-1 text-xs">
+        <select
+          className="flex-1 border rounded px-1 py-0.5"
+          value={environment.source}
+          onChange={(e) => commit('Change environment', { ...lighting, environment: { ...environment, source: e.target.value } })}
+        >
+          <option value="none">None</option>
+          <option value="room">Studio</option>
+          <option value="file" disabled={!environment.texture}>{environment.name || 'HDR file'}</option>
+        </select>
+        <label htmlFor="environment-upload" className="cursor-pointer text-gray-500 hover:text-blue-600" title="Load .hdr or .exr">
+          <Upload size={14} />
+        </label>
+        <input
+          id="environment-upload"
+          type="file"
+          accept=".hdr,.exr"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) onEnvironmentFile(file);
+          }}
+        />
+      </div>
+      <NumberField
+        label="Intensity"
+        value={environment.intensity}
+        step={0.1}
+        min={0}
+        onBegin={begin('Edit environment')}
+        onChange={(intensity) => setEnvironment({ intensity: Math.max(0, intensity) })}
+      />
+
+      <p className="text-sm font-medium text-gray-700 mt-3 mb-2">Background</p>
+      <select
+        className="w-full border rounded px-1 py-0.5 text-xs mb-1"
+        value={background.type}
+        onChange={(e) => commit('Change background', { ...lighting, background: { ...background, type: e.target.value } })}
+      >
+        <option value="color">Color</option>
+        <option value="gradient">Gradient</option>
+        <option value="environment" disabled={environment.source === 'none'}>Environment</option>
+        <option value="transparent">Transparent</option>
+      </select>
+      {background.type === 'color' && (
+        <ColorField label="Color" value={background.color} onBegin={begin('Edit background')} onChange={(color) => setBackground({ color })} />
+      )}
+      {background.type === 'gradient' && (
+        <>
+          <ColorField
+            label="Top"
+            value={background.gradient[0]}
+            onBegin={begin('Edit background')}
+            onChange={(top) => setBackground({ gradient: [top, background.gradient[1]] })}
+          />
+          <ColorField
+            label="Bottom"
+            value={background.gradient[1]}
+            onBegin={begin('Edit background')}
+            onChange={(bottom) => setBackground({ gradient: [background.gradient[0], bottom] })}
+          />
+        </>
+      )}
+      {background.type === 'environment' && (
+        <NumberField
+          label="Blur"
+          value={background.blur}
+          step={0.05}
+          min={0}
+          max={1}
+          onBegin={begin('Edit background')}
+          onChange={(blur) => setBackground({ blur: Math.min(1, Math.max(0, blur)) })}
+        />
+      )}
+
+      <p className="text-sm font-medium text-gray-700 mt-3 mb-2">Tone mapping</p>
+      <select
+        className="w-full border rounded px-1 py-0.5 text-xs mb-1"
+        value={lighting.toneMapping}
+        onChange={(e) => commit('Change tone mapping', { ...lighting, toneMapping: e.target.value })}
+      >
+        {Object.entries(TONE_MAPPINGS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <NumberField
+        label="Exposure"
+        value={lighting.exposure}
+        step={0.1}
+        min={0}
+        onBegin={begin('Edit exposure')}
+        onChange={(exposure) => onChange({ ...lighting, exposure: Math.max(0, exposure) })}
+      />
+    </div>
+  );
+}
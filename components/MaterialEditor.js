@@ -0,0 +1,212 @@
+'use client';
+
+import { useState } from 'react';
+import { MathUtils, RepeatWrapping } from 'three';
+import { Upload, X } from 'lucide-react';
+import { MAP_SLOTS } from '../app/utils/materials';
+
+// Range slider with a numeric field. onBegin fires once per gesture so the
+// caller can record a single undo step for a whole drag.
+function SliderField({ label, value, min, max, step, onBegin, onChange }) {
+  return (
+    <div className="mb-2">
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+        <span>{label}</span>
+        <input
+          type="number"
+          className="w-16 border rounded px-1 text-right"
+          value={Number(value.toFixed(3))}
+          min={min}
+          max={max}
+          step={step}
+          onFocus={onBegin}
+          onChange={(e) => {
+            const v = parseFloat(e.target.value);
+            if (!Number.isNaN(v)) onChange(Math.min(max, Math.max(min, v)));
+          }}
+        />
+      </div>
+      <input
+        type="range"
+        className="w-full"
+        value={value}
+        min={min}
+        max={max}
+        step={step}
+        onPointerDown={onBegin}
+        onKeyDown={onBegin}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+      />
+    </div>
+  );
+}
+
+function VectorField({ label, value, step, onBegin, onChange }) {
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-600">
+      <span className="w-14">{label}</span>
+      {value.map((component, i) => (
+        <input
+          key={i}
+          type="number"
+          className="w-16 border rounded px-1"
+          value={Number(component.toFixed(3))}
+          step={step}
+          onFocus={onBegin}
+          onChange={(e) => {
+            const v = parseFloat(e.target.value);
+            if (Number.isNaN(v)) return;
+            const next = [...value];
+            next[i] = v;
+            onChange(next);
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// PBR editor for a MeshStandardMaterial. Scalars and UV transforms are edited
+// in place; map uploads go through the parent so they are recorded in history.
+export default function MaterialEditor({ material, onBeginEdit, onMapUpload, onMapClear }) {
+  const [, setRevision] = useState(0);
+  const refresh = () => setRevision((r) => r + 1);
+
+  const setProp = (prop, value) => {
+    material[prop] = value;
+    refresh();
+  };
+
+  const setTextureProp = (texture, update) => {
+    update(texture);
+    refresh();
+  };
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">Material Properties</p>
+      <SliderField label="Roughness" value={material.roughness} min={0} max={1} step={0.01}
+        onBegin={onBeginEdit} onChange={(v) => setProp('roughness', v)} />
+      <SliderField label="Metalness" value={material.metalness} min={0} max={1} step={0.01}
+        onBegin={onBeginEdit} onChange={(v) => setProp('metalness', v)} />
+      <SliderField
+        label="Opacity"
+        value={material.opacity}
+        min={0}
+        max={1}
+        step={0.01}
+        onBegin={onBeginEdit}
+        onChange={(v) => {
+          material.opacity = v;
+          if (v < 1 && !material.transparent) {
+            material.transparent = true;
+            material.needsUpdate = true;
+          }
+          refresh();
+        }}
+      />
+      <label className="flex items-center gap-2 text-xs text-gray-600 mb-3">
+        <input
+          type="checkbox"
+          checked={material.transparent}
+          onChange={(e) => {
+            onBeginEdit();
+            material.transparent = e.target.checked;
+            material.needsUpdate = true;
+            refresh();
+          }}
+        />
+        Transparent
+      </label>
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+        <span>Emissive color</span>
+        <input
+          type="color"
+          value={`#${material.emissive.getHexString()}`}
+          onFocus={onBeginEdit}
+          onChange={(e) => {
+            material.emissive.set(e.target.value);
+            refresh();
+          }}
+        />
+      </div>
+      <SliderField label="Emissive intensity" value={material.emissiveIntensity} min={0} max={10} step={0.1}
+        onBegin={onBeginEdit} onChange={(v) => setProp('emissiveIntensity', v)} />
+      {material.normalMap && (
+        <SliderField
+          label="Normal strength"
+          value={material.normalScale.x}
+          min={0}
+          max={3}
+          step={0.05}
+          onBegin={onBeginEdit}
+          onChange={(v) => {
+            material.normalScale.set(v, v);
+            refresh();
+          }}
+        />
+      )}
+      {material.aoMap && (
+        <SliderField label="AO intensity" value={material.aoMapIntensity} min={0} max={2} step={0.05}
+          onBegin={onBeginEdit} onChange={(v) => setProp('aoMapIntensity', v)} />
+      )}
+
+      <p className="text-sm font-medium text-gray-700 mt-4 mb-2">Texture Maps</p>
+      {MAP_SLOTS.map(({ key, label }) => {
+        const texture = material[key];
+        const inputId = `map-upload-${key}`;
+        return (
+          <div key={key} className="border rounded p-2 mb-2">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-gray-700">{label}</span>
+              <div className="flex items-center gap-2 text-gray-500">
+                <label htmlFor={inputId} className="cursor-pointer hover:text-blue-600" title={`Upload ${label} map`}>
+                  <Upload size={14} />
+                </label>
+                <input
+                  id={inputId}
+                  type="file"
+                  accept="image/*"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = '';
+                    if (file) onMapUpload(key, file);
+                  }}
+                />
+                {texture && (
+                  <button className="hover:text-red-500" onClick={() => onMapClear(key)} title={`Remove ${label} map`}>
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+            {texture && (
+              <div className="mt-2 space-y-1">
+                <VectorField label="Repeat" value={texture.repeat.toArray()} step={0.1} onBegin={onBeginEdit}
+                  onChange={(v) => setTextureProp(texture, (t) => {
+                    t.repeat.fromArray(v);
+                    // Tiling needs repeat wrapping; glTF textures often ship clamped
+                    if (t.wrapS !== RepeatWrapping || t.wrapT !== RepeatWrapping) {
+                      t.wrapS = RepeatWrapping;
+                      t.wrapT = RepeatWrapping;
+                      t.needsUpdate = true;
+                    }
+                  })} />
+                <VectorField label="Offset" value={texture.offset.toArray()} step={0.05} onBegin={onBeginEdit}
+                  onChange={(v) => setTextureProp(texture, (t) => t.offset.fromArray(v))} />
+                <VectorField
+                  label="Rotation"
+                  value={[MathUtils.radToDeg(texture.rotation)]}
+                  step={5}
+                  onBegin={onBeginEdit}
+                  onChange={([deg]) => setTextureProp(texture, (t) => { t.rotation = MathUtils.degToRad(deg); })}
+                />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
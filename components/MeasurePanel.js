@@ -0,0 +1,120 @@
+'use client';
+
+import { Ruler, Trash2, Eye, EyeOff } from 'lucide-react';
+import { MEASURE_TOOLS, LENGTH_UNITS } from '../app/utils/measure';
+
+// Measure tool, units and model scale, bounding-box sizes and the list of
+// saved dimensions
+export default function MeasurePanel({
+  tool,
+  units,
+  items,
+  draftCount,
+  selectionSize,
+  modelSize,
+  visible,
+  onToolChange,
+  onUnitsChange,
+  onDelete,
+  onClear,
+  onToggleVisible,
+}) {
+  const setUnits = (changes) => onUnitsChange({ ...units, ...changes });
+  const needed = MEASURE_TOOLS[tool].points;
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-1">
+        <Ruler size={14} /> Measure
+      </p>
+      <div className="flex gap-1 mb-1">
+        {Object.entries(MEASURE_TOOLS).map(([key, { label }]) => (
+          <button
+            key={key}
+            className={`flex-1 px-2 py-1 rounded border text-xs ${tool === key ? 'bg-blue-500 text-white' : 'hover:bg-gray-100'}`}
+            onClick={() => onToolChange(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="text-[11px] text-gray-500 mb-3">
+        Click {needed} points on the model{tool === 'angle' ? ', corner second' : ''} ({draftCount}/{needed}).
+        Clicks near a corner snap to it. Esc cancels.
+      </p>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 mb-3 text-xs text-gray-600">
+        <label className="flex flex-col">
+          Model unit
+          <select className="border rounded px-1 py-0.5" value={units.modelUnit} onChange={(e) => setUnits({ modelUnit: e.target.value })}>
+            {Object.entries(LENGTH_UNITS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          Show in
+          <select className="border rounded px-1 py-0.5" value={units.displayUnit} onChange={(e) => setUnits({ displayUnit: e.target.value })}>
+            {Object.entries(LENGTH_UNITS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          Model scale (1:n)
+          <input
+            type="number"
+            className="border rounded px-1"
+            min={0}
+            step="any"
+            value={units.scale}
+            onChange={(e) => {
+              const v = parseFloat(e.target.value);
+              if (v > 0) setUnits({ scale: v });
+            }}
+          />
+        </label>
+        <label className="flex flex-col">
+          Decimals
+          <input
+            type="number"
+            className="border rounded px-1"
+            min={0}
+            max={6}
+            value={units.precision}
+            onChange={(e) => setUnits({ precision: Math.min(6, Math.max(0, parseInt(e.target.value, 10) || 0)) })}
+          />
+        </label>
+      </div>
+
+      <div className="text-xs text-gray-600 mb-3 space-y-0.5">
+        <p><span className="font-medium">Model:</span> {modelSize}</p>
+        {selectionSize && <p><span className="font-medium">Selection:</span> {selectionSize}</p>}
+      </div>
+
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs font-medium text-gray-700">Dimensions</span>
+        <div className="flex items-center gap-2">
+          <button className="text-gray-500 hover:text-blue-600" onClick={onToggleVisible} title={visible ? 'Hide dimensions' : 'Show dimensions'}>
+            {visible ? <Eye size={14} /> : <EyeOff size={14} />}
+          </button>
+          {items.length > 0 && (
+            <button className="text-xs text-gray-500 hover:text-red-500" onClick={onClear}>Clear all</button>
+          )}
+        </div>
+      </div>
+      {items.length === 0 ? (
+        <p className="text-xs text-gray-500">No dimensions yet</p>
+      ) : (
+        <ul className="border rounded max-h-48 overflow-y-auto">
+          {items.map((item, i) => (
+            <li key={item.id} className="flex items-center gap-2 px-2 py-1 text-xs border-b last:border-b-0">
+              <span className="text-gray-400 w-4">{i + 1}</span>
+              <span className="flex-1">{MEASURE_TOOLS[item.type].label}</span>
+              <span className="font-mono">{item.label}</span>
+              <button className="text-gray-400 hover:text-red-500" onClick={() => onDelete(item.id)} title="Delete dimension">
+                <Trash2 size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Shrink, Combine, ImageDown, FileDown, Save, Eye, EyeOff, LoaderCircle } from 'lucide-react';
+import { TEXTURE_SIZES, TEXTURE_FORMATS, COMPRESSION_METHODS } from '../app/utils/optimize';
+import { formatCount } from '../app/utils/inspect';
+
+const buttonClass = 'flex items-center justify-center gap-1 border text-xs px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-40';
+
+function Section({ title, children }) {
+  return (
+    <div className="mb-3">
+      <p className="text-xs font-medium text-gray-600 mb-1">{title}</p>
+      {children}
+    </div>
+  );
+}
+
+// Mesh and texture optimization. The work runs in a worker; `busy` names
+// the step in progress. Decimation is previewed before it is applied.
+export default function OptimizePanel({
+  scopeLabel,
+  triangles,
+  vertices,
+  textureCount,
+  busy,
+  preview,
+  report,
+  onPreview,
+  onShowOriginal,
+  onApply,
+  onDiscard,
+  onWeld,
+  onMerge,
+  onTextures,
+  onExport,
+  onSave,
+}) {
+  const [target, setTarget] = useState(Math.round(triangles / 2));
+  const [tolerance, setTolerance] = useState(0.0001);
+  const [textureOptions, setTextureOptions] = useState({ maxSize: 1024, format: 'keep', quality: 0.85 });
+  const [compression, setCompression] = useState('meshopt');
+  const disabled = !!busy || !!preview;
+
+  // Suggest half the triangles whenever the scope changes
+  useEffect(() => {
+    if (!preview) setTarget(Math.round(triangles / 2));
+  }, [triangles, preview]);
+
+  const percent = triangles > 0 ? Math.round((target / triangles) * 100) : 100;
+  const lossy = textureOptions.format === 'image/webp' || textureOptions.format === 'image/jpeg';
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-1 flex items-center gap-1">
+        <Shrink size={14} /> Optimize
+      </p>
+      <p className="text-[11px] text-gray-500 mb-2">
+        {scopeLabel}: {formatCount(triangles)} triangles · {formatCount(vertices)} vertices
+      </p>
+
+      <Section title="Decimate">
+        <div className="flex items-center gap-2 mb-1">
+          <input
+            type="range"
+            className="flex-1"
+            min={1}
+            max={100}
+            value={percent}
+            disabled={disabled}
+            onChange={(e) => setTarget(Math.round((triangles * parseInt(e.target.value, 10)) / 100))}
+          />
+          <input
+            type="number"
+            className="w-24 border rounded px-1 text-xs text-right"
+            min={1}
+            max={triangles}
+            value={target}
+            disabled={disabled}
+            onChange={(e) => {
+              const v = parseInt(e.target.value, 10);
+              if (v > 0) setTarget(Math.min(triangles, v));
+            }}
+          />
+        </div>
+        {preview ? (
+          <div className="rounded bg-blue-50 px-2 py-1 text-xs text-blue-800">
+            <div className="flex items-center justify-between mb-1">
+              <span>
+                {formatCount(preview.before)} → {formatCount(preview.after)} triangles
+              </span>
+              <button
+                className="flex items-center gap-1 hover:underline"
+                onClick={() => onShowOriginal(!preview.showOriginal)}
+              >
+                {preview.showOriginal ? <EyeOff size={12} /> : <Eye size={12} />}
+                {preview.showOriginal ? 'Before' : 'After'}
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-1">
+              <button className={`${buttonClass} bg-white`} onClick={onApply}>Apply</button>
+              <button className={`${buttonClass} bg-white`} onClick={onDiscard}>Discard</button>
+            </div>
+          </div>
+        ) : (
+          <button className={`${buttonClass} w-full`} disabled={disabled || triangles === 0} onClick={() => onPreview(target)}>
+            Preview {percent}%
+          </button>
+        )}
+      </Section>
+
+      <Section title="Weld vertices">
+        <div className="flex items-center gap-2">
+          <label className="flex-1 flex items-center gap-1 text-xs text-gray-600" title="Vertices closer than this are merged">
+            Tolerance
+            <input
+              type="number"
+              className="w-20 border rounded px-1 text-right"
+              min={0}
+              step={0.0001}
+              value={tolerance}
+              disabled={disabled}
+              onChange={(e) => {
+                const v = parseFloat(e.target.value);
+                if (v >= 0) setTolerance(v);
+              }}
+            />
+          </label>
+          <button className={buttonClass} disabled={disabled} onClick={() => onWeld(tolerance)}>Weld</button>
+        </div>
+      </Section>
+
+      <Section title="Merge">
+        <button className={`${buttonClass} w-full`} disabled={disabled} onClick={onMerge}>
+          <Combine size={12} /> Merge parts sharing a material
+        </button>
+      </Section>
+
+      <Section title={`Textures (${textureCount})`}>
+        <div className="grid grid-cols-2 gap-1 mb-1 text-xs text-gray-600">
+          <label className="flex flex-col">
+            Max size
+            <select
+              className="border rounded px-1 py-0.5"
+              value={textureOptions.maxSize}
+              disabled={disabled}
+              onChange={(e) => setTextureOptions((o) => ({ ...o, maxSize: parseInt(e.target.value, 10) }))}
+            >
+              {TEXTURE_SIZES.map((size) => (
+                <option key={size} value={size}>{size} px</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col">
+            Format
+            <select
+              className="border rounded px-1 py-0.5"
+              value={textureOptions.format}
+              disabled={disabled}
+              onChange={(e) => setTextureOptions((o) => ({ ...o, format: e.target.value }))}
+            >
+              {Object.entries(TEXTURE_FORMATS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {lossy && (
+          <label className="flex items-center gap-2 mb-1 text-xs text-gray-600">
+            Quality
+            <input
+              type="range"
+              className="flex-1"
+              min={0.3}
+              max={1}
+              step={0.05}
+              value={textureOptions.quality}
+              disabled={disabled}
+              onChange={(e) => setTextureOptions((o) => ({ ...o, quality: parseFloat(e.target.value) }))}
+            />
+            <span className="w-8 text-right">{Math.round(textureOptions.quality * 100)}</span>
+          </label>
+        )}
+        <button className={`${buttonClass} w-full`} disabled={disabled || textureCount === 0} onClick={() => onTextures(textureOptions)}>
+          <ImageDown size={12} /> Convert textures
+        </button>
+      </Section>
+
+      <Section title="Geometry compression">
+        <select
+          className="w-full border rounded px-1 py-0.5 mb-1 text-xs"
+          value={compression}
+          disabled={!!busy}
+          onChange={(e) => setCompression(e.target.value)}
+        >
+          {Object.entries(COMPRESSION_METHODS).map(([key, { label, extension }]) => (
+            <option key={key} value={key}>{extension ? `${label} (${extension})` : label}</option>
+          ))}
+        </select>
+        <div className="grid grid-cols-2 gap-1">
+          <button className={buttonClass} disabled={disabled} onClick={() => onExport(compression)}>
+            <FileDown size={12} /> Export .glb
+          </button>
+          <button
+            className={buttonClass}
+            disabled={disabled}
+            onClick={() => onSave(compression)}
+            title="Replace this project's model file with the optimized model"
+          >
+            <Save size={12} /> Save to project
+          </button>
+        </div>
+      </Section>
+
+      {busy && (
+        <p className="flex items-center gap-1 text-xs text-blue-700">
+          <LoaderCircle size={12} className="animate-spin" /> {busy}…
+        </p>
+      )}
+      {!busy && report && <p className="text-xs text-gray-600">{report}</p>}
+    </div>
+  );
+}
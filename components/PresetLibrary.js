@@ -0,0 +1,121 @@
+'use client';
+
+import { useState } from 'react';
+import { Plus, RefreshCw, Trash2, Download, Upload } from 'lucide-react';
+
+// Palette of saved material presets with save/edit/delete and JSON sharing
+export default function PresetLibrary({ presets, onApply, onSaveCurrent, onRename, onUpdate, onDelete, onImport, onExport }) {
+  const [editingId, setEditingId] = useState(null);
+  const [newName, setNewName] = useState('');
+
+  const savePreset = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onSaveCurrent(name);
+    setNewName('');
+  };
+
+  const editing = presets.find((p) => p.id === editingId);
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-gray-700">Material</p>
+        <div className="flex items-center gap-2 text-gray-500">
+          <label htmlFor="preset-import" className="cursor-pointer hover:text-blue-600" title="Import presets (JSON)">
+            <Upload size={14} />
+          </label>
+          <input
+            id="preset-import"
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
+          <button className="hover:text-blue-600" onClick={onExport} title="Export presets (JSON)">
+            <Download size={14} />
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-4 gap-2">
+        {presets.map((preset) => (
+          <button
+            key={preset.id}
+            className={`rounded border p-1 hover:border-blue-500 ${preset.id === editingId ? 'border-blue-500' : 'border-gray-200'}`}
+            onClick={() => onApply(preset)}
+            onContextMenu={(e) => {
+              e.preventDefault();
+              setEditingId(preset.id === editingId ? null : preset.id);
+            }}
+            title={`${preset.name} (right-click to edit)`}
+          >
+            {preset.thumbnail ? (
+              <img src={preset.thumbnail} alt={preset.name} className="w-full aspect-square" />
+            ) : (
+              <div className="w-full aspect-square rounded-full bg-gray-200" />
+            )}
+            <span className="block text-[10px] text-gray-600 truncate">{preset.name}</span>
+          </button>
+        ))}
+      </div>
+      {editing && (
+        <div className="mt-2 border rounded p-2 bg-gray-50">
+          <input
+            className="w-full border px-2 py-1 rounded text-sm mb-2"
+            defaultValue={editing.name}
+            key={editing.id}
+            onBlur={(e) => {
+              const name = e.target.value.trim();
+              if (name && name !== editing.name) onRename(editing.id, name);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur();
+            }}
+          />
+          <div className="flex gap-3 text-xs text-gray-600">
+            <button className="flex items-center gap-1 hover:text-blue-600" onClick={() => onUpdate(editing.id)}>
+              <RefreshCw size={12} /> Update from part
+            </button>
+            <button
+              className="flex items-center gap-1 hover:text-red-500"
+              onClick={() => {
+                if (confirm(`Delete preset "${editing.name}"?`)) {
+                  onDelete(editing.id);
+                  setEditingId(null);
+                }
+              }}
+            >
+              <Trash2 size={12} /> Delete
+            </button>
+            <button className="ml-auto hover:text-gray-900" onClick={() => setEditingId(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="flex gap-2 mt-2">
+        <input
+          className="flex-1 border px-2 py-1 rounded text-sm"
+          placeholder="Save current as preset..."
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') savePreset();
+          }}
+        />
+        <button
+          className="flex items-center bg-blue-600 text-white px-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          onClick={savePreset}
+          disabled={!newName.trim()}
+          title="Save selected part's material as a preset"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import { Copy, Pencil, Trash2, Plus, Box, FileUp } from 'lucide-react';
+import { MODEL_FILE_ACCEPT } from '../app/utils/modelFiles';
+
+// Sidebar list of saved projects: open, rename, duplicate, replace model, delete, upload new
+export default function ProjectLibrary({ projects, activeId, onOpen, onRename, onDuplicate, onReplace, onDelete, onUpload }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const replaceInputRef = useRef();
+  const replaceTargetRef = useRef(null);
+
+  const startRename = (project) => {
+    setEditingId(project.id);
+    setDraftName(project.name);
+  };
+
+  const commitRename = () => {
+    const name = draftName.trim();
+    if (editingId && name) onRename(editingId, name);
+    setEditingId(null);
+  };
+
+  return (
+    <div className="w-64 bg-gray-50 border-r border-gray-200 flex flex-col min-h-0">
+      <div className="flex items-center justify-between px-3 py-3 border-b border-gray-200">
+        <h2 className="font-semibold text-gray-800">Projects</h2>
+        <label
+          htmlFor="project-upload"
+          className="cursor-pointer flex items-center gap-1 text-sm bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
+          title="New project from file"
+        >
+          <Plus size={16} /> New
+        </label>
+        <input
+          id="project-upload"
+          type="file"
+          multiple
+          accept={MODEL_FILE_ACCEPT}
+          onChange={onUpload}
+          className="hidden"
+        />
+        <input
+          ref={replaceInputRef}
+          type="file"
+          multiple
+          accept={MODEL_FILE_ACCEPT}
+          onChange={(e) => {
+            const { files } = e.target;
+            if (replaceTargetRef.current && files.length > 0) onReplace(replaceTargetRef.current, Array.from(files));
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+      </div>
+      <ul className="flex-1 overflow-y-auto p-2 space-y-2">
+        {projects.length === 0 && (
+          <li className="text-sm text-gray-500 text-center mt-8">No projects yet</li>
+        )}
+        {projects.map((project) => (
+          <li
+            key={project.id}
+            className={`rounded border p-2 bg-white ${project.id === activeId ? 'border-blue-500' : 'border-gray-200'}`}
+          >
+            <button className="w-full text-left" onClick={() => onOpen(project.id)}>
+              {project.thumbnail ? (
+                <img src={project.thumbnail} alt={project.name} className="w-full h-24 object-contain bg-gray-100 rounded mb-2" />
+              ) : (
+                <div className="w-full h-24 flex items-center justify-center bg-gray-100 rounded mb-2 text-gray-400">
+                  <Box size={28} />
+                </div>
+              )}
+            </button>
+            {editingId === project.id ? (
+              <input
+                autoFocus
+                className="w-full border px-2 py-1 rounded text-sm"
+                value={draftName}
+                onChange={(e) => setDraftName(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+              />
+            ) : (
+              <p className="text-sm font-medium text-gray-800 truncate" title={project.name}>{project.name}</p>
+            )}
+            <p className="text-xs text-gray-500">
+              Modified {new Date(project.modifiedAt).toLocaleString()}
+            </p>
+            <div className="flex gap-3 mt-1 text-gray-500">
+              <button className="hover:text-blue-600" onClick={() => startRename(project)} title="Rename">
+                <Pencil size={14} />
+              </button>
+              <button className="hover:text-blue-600" onClick={() => onDuplicate(project.id)} title="Duplicate">
+                <Copy size={14} />
+              </button>
+              <button
+                className="hover:text-blue-600"
+                onClick={() => {
+                  replaceTargetRef.current = project.id;
+                  replaceInputRef.current.click();
+                }}
+                title="Replace model file (keeps customizations)"
+              >
+                <FileUp size={14} />
+              </button>
+              <button
+                className="hover:text-red-500"
+                onClick={() => {
+                  if (confirm(`Delete "${project.name}"?`)) onDelete(project.id);
+                }}
+                title="Delete"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+'use client';
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { getTextureUrl } from '../app/utils/materials';
+import {
+  TONE_MAPPINGS,
+  loadEnvironmentMap,
+  createRoomEnvironment,
+  createGradientTexture,
+} from '../app/utils/lighting';
+
+// Lights, environment, background and tone mapping from a lighting setup
+export default function SceneLighting({ lighting, bounds }) {
+  const { scene, gl } = useThree();
+  const { environment, background } = lighting;
+  const roomEnvironment = useMemo(() => createRoomEnvironment(gl), [gl]);
+  const [fileEnvironment, setFileEnvironment] = useState(null);
+  useEffect(() => () => roomEnvironment.dispose(), [roomEnvironment]);
+
+  useEffect(() => {
+    if (environment.source !== 'file' || !environment.texture) {
+      setFileEnvironment(null);
+      return;
+    }
+    let texture = null;
+    let cancelled = false;
+    getTextureUrl(environment.texture)
+      .then((url) => (url ? loadEnvironmentMap(url, environment.format) : null))
+      .then((loaded) => {
+        if (!loaded) return;
+        if (cancelled) return loaded.dispose();
+        texture = loaded;
+        setFileEnvironment(loaded);
+      })
+      .catch((err) => console.error('Environment map failed to load:', err));
+    return () => {
+      cancelled = true;
+      texture?.dispose();
+    };
+  }, [environment.source, environment.texture, environment.format]);
+
+  const envMap = { room: roomEnvironment, file: fileEnvironment }[environment.source] || null;
+
+  useEffect(() => {
+    scene.environment = envMap;
+    scene.environmentIntensity = environment.intensity;
+  }, [scene, envMap, environment.intensity]);
+
+  useEffect(() => {
+    let gradient = null;
+    if (background.type === 'color') scene.background = new THREE.Color(background.color);
+    else if (background.type === 'gradient') scene.background = gradient = createGradientTexture(background.gradient);
+    else if (background.type === 'environment') scene.background = envMap;
+    else scene.background = null; // transparent canvas
+    scene.backgroundBlurriness = background.type === 'environment' ? background.blur : 0;
+    return () => gradient?.dispose();
+  }, [scene, envMap, background.type, background.color, background.gradient, background.blur]);
+
+  useEffect(() => {
+    gl.toneMapping = TONE_MAPPINGS[lighting.toneMapping]?.value ?? THREE.ACESFilmicToneMapping;
+    gl.toneMappingExposure = lighting.exposure;
+  }, [gl, lighting.toneMapping, lighting.exposure]);
+
+  return lighting.lights.map((light) => {
+    const { id, type, color, intensity } = light;
+    switch (type) {
+      case 'ambient':
+        return <ambientLight key={id} color={color} intensity={intensity} />;
+      case 'directional':
+        return <DirectionalLight key={id} light={light} bounds={bounds} />;
+      case 'point':
+        return (
+          <pointLight
+            key={id}
+            color={color}
+            intensity={intensity}
+            position={light.position}
+            distance={light.distance}
+            decay={light.decay}
+            castShadow={!!light.castShadow}
+            shadow-mapSize={[SHADOW_MAP_SIZE, SHADOW_MAP_SIZE]}
+            shadow-bias={-0.0005}
+          />
+        );
+      case 'spot':
+        return (
+          <spotLight
+            key={id}
+            color={color}
+            intensity={intensity}
+            position={light.position}
+            angle={light.angle}
+            penumbra={light.penumbra}
+            distance={light.distance}
+            decay={light.decay}
+            castShadow={!!light.castShadow}
+            shadow-mapSize={[SHADOW_MAP_SIZE, SHADOW_MAP_SIZE]}
+            shadow-bias={-0.0005}
+          />
+        );
+      case 'hemisphere':
+        return <hemisphereLight key={id} color={color} groundColor={light.groundColor} intensity={intensity} />;
+      default:
+        return null;
+    }
+  });
+}
+
+const SHADOW_MAP_SIZE = 2048;
+
+// Directional light whose shadow camera covers the whole model, wherever it
+// sits and however large it is
+function DirectionalLight({ light, bounds }) {
+  const ref = useRef();
+  const extent = Math.hypot(...bounds.center) + bounds.radius;
+  const distance = Math.hypot(...light.position);
+  useEffect(() => {
+    const camera = ref.current.shadow.camera;
+    camera.left = camera.bottom = -extent;
+    camera.right = camera.top = extent;
+    camera.near = Math.max(extent / 1000, 0.01);
+    camera.far = distance + extent * 2;
+    camera.updateProjectionMatrix();
+  }, [extent, distance]);
+  return (
+    <directionalLight
+      ref={ref}
+      color={light.color}
+      intensity={light.intensity}
+      position={light.position}
+      castShadow={!!light.castShadow}
+      shadow-mapSize={[SHADOW_MAP_SIZE, SHADOW_MAP_SIZE]}
+      shadow-bias={-0.0005}
+    />
+  );
+}
@@ -0,0 +1,40 @@
+'use client';
+
+import { ContactShadows } from '@react-three/drei';
+
+// Ground plane or shadow catcher, contact shadows and grid under the model,
+// axes at the origin. Layers sit a hair apart so they don't z-fight.
+export default function SceneStage({ stage, bounds }) {
+  const [cx, , cz] = bounds.center;
+  const gap = bounds.radius * 1e-3;
+  return (
+    <>
+      {stage.ground !== 'none' && (
+        <mesh rotation-x={-Math.PI / 2} position={[cx, bounds.floor - gap * 2, cz]} receiveShadow>
+          <planeGeometry args={[bounds.size, bounds.size]} />
+          {stage.ground === 'plane'
+            ? <meshStandardMaterial color={stage.groundColor} />
+            : <shadowMaterial transparent opacity={stage.shadowOpacity} />}
+        </mesh>
+      )}
+      {stage.grid && (
+        <gridHelper
+          args={[bounds.size, 20, '#9ca3af', '#d1d5db']}
+          position={[cx, bounds.floor - gap, cz]}
+          userData={{ helper: true }}
+        />
+      )}
+      {stage.contactShadows && (
+        <ContactShadows
+          position={[cx, bounds.floor, cz]}
+          scale={bounds.size}
+          far={bounds.radius * 2}
+          opacity={stage.contactOpacity}
+          blur={stage.contactBlur}
+          resolution={512}
+        />
+      )}
+      {stage.axes && <axesHelper args={[bounds.radius]} userData={{ helper: true }} />}
+    </>
+  );
+}
@@ -0,0 +1,152 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { ChevronRight, ChevronDown, Eye, EyeOff, Lock, Unlock, Focus, Box, Folder } from 'lucide-react';
+import { getPartPath } from '../app/utils/partPaths';
+
+// Plain tree of { object, path, label, children } built from the scene graph
+function buildTree(root) {
+  const build = (object) => ({
+    object,
+    path: getPartPath(object, root),
+    label: object.name || (object.isMesh ? 'Unnamed part' : object.type),
+    children: object.children.map(build),
+  });
+  return root.children.map(build);
+}
+
+// Keep nodes matching the query plus the ancestors leading to them
+function filterTree(nodes, query) {
+  if (!query) return nodes;
+  const q = query.toLowerCase();
+  return nodes.reduce((kept, node) => {
+    const children = filterTree(node.children, query);
+    if (children.length > 0 || node.label.toLowerCase().includes(q)) kept.push({ ...node, children });
+    return kept;
+  }, []);
+}
+
+// Outliner for the loaded model: search, expand/collapse, hide, lock, isolate
+export default function SceneTree({
+  root,
+  selectedObject,
+  hiddenPaths,
+  lockedPaths,
+  isolatedPath,
+  onSelect,
+  onToggleHidden,
+  onToggleLocked,
+  onToggleIsolate,
+}) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [query, setQuery] = useState('');
+
+  // Rebuilt on every render, since the scene graph changes in place
+  // (e.g. when parts are merged)
+  const visibleTree = filterTree(root ? buildTree(root) : [], query.trim());
+  const hidden = useMemo(() => new Set(hiddenPaths), [hiddenPaths]);
+  const locked = useMemo(() => new Set(lockedPaths), [lockedPaths]);
+  const selectedPath = selectedObject && root ? getPartPath(selectedObject, root) : null;
+
+  // Reveal parts picked in the viewport
+  useEffect(() => {
+    if (!selectedPath) return;
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      const segments = selectedPath.split('/');
+      for (let i = 1; i < segments.length; i++) next.add(segments.slice(0, i).join('/'));
+      return next;
+    });
+  }, [selectedPath]);
+
+  const toggleExpanded = (path) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const renderNode = (node, depth) => {
+    const isOpen = query.trim() !== '' || expanded.has(node.path);
+    const hasChildren = node.children.length > 0;
+    const isHidden = hidden.has(node.path);
+    const isLocked = locked.has(node.path);
+    return (
+      <li key={node.path}>
+        <div
+          className={`flex items-center gap-1 pr-1 rounded text-xs cursor-pointer
+            ${node.path === selectedPath ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100'}
+            ${isHidden ? 'opacity-50' : ''}`}
+          style={{ paddingLeft: depth * 12 }}
+          onClick={() => onSelect(node.object)}
+        >
+          <button
+            className={`w-4 text-gray-500 ${hasChildren ? '' : 'invisible'}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleExpanded(node.path);
+            }}
+          >
+            {isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+          </button>
+          {node.object.isMesh ? <Box size={12} className="shrink-0" /> : <Folder size={12} className="shrink-0" />}
+          <span className="flex-1 truncate" title={node.label}>{node.label}</span>
+          <button
+            className="text-gray-500 hover:text-blue-600"
+            title={isHidden ? 'Show' : 'Hide'}
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleHidden(node.path);
+            }}
+          >
+            {isHidden ? <EyeOff size={12} /> : <Eye size={12} />}
+          </button>
+          <button
+            className={isLocked ? 'text-orange-500' : 'text-gray-300 hover:text-gray-600'}
+            title={isLocked ? 'Unlock' : 'Lock against selection'}
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleLocked(node.path);
+            }}
+          >
+            {isLocked ? <Lock size={12} /> : <Unlock size={12} />}
+          </button>
+        </div>
+        {hasChildren && isOpen && <ul>{node.children.map((child) => renderNode(child, depth + 1))}</ul>}
+      </li>
+    );
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-medium text-gray-700">Scene</span>
+        <button
+          className={`flex items-center gap-1 text-xs px-2 py-0.5 rounded
+            ${isolatedPath ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-100'}
+            disabled:opacity-40`}
+          disabled={!isolatedPath && !selectedObject}
+          onClick={onToggleIsolate}
+          title={isolatedPath ? 'Exit isolation' : 'Isolate selection'}
+        >
+          <Focus size={12} /> Isolate
+        </button>
+      </div>
+      <input
+        className="w-full border px-2 py-1 rounded text-xs mb-1"
+        placeholder="Search parts..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      <ul className="max-h-64 overflow-y-auto border rounded py-1">
+        {visibleTree.length === 0 ? (
+          <li className="text-xs text-gray-500 text-center py-2">No matching nodes</li>
+        ) : (
+          visibleTree.map((node) => renderNode(node, 0))
+        )}
+      </ul>
+    </div>
+  );
+}
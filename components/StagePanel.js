@@ -0,0 +1,67 @@
+'use client';
+
+// Ground plane or shadow catcher, contact shadows and grid/axis helpers
+export default function StagePanel({ stage, onChange }) {
+  const set = (changes) => onChange({ ...stage, ...changes });
+
+  const toggle = (key, label) => (
+    <label className="flex items-center gap-2 text-xs text-gray-600 mb-1">
+      <input type="checkbox" checked={stage[key]} onChange={(e) => set({ [key]: e.target.checked })} />
+      {label}
+    </label>
+  );
+
+  const slider = (key, label, min, max, step) => (
+    <label className="flex items-center justify-between gap-2 text-xs text-gray-600 mb-1 pl-5">
+      {label}
+      <input
+        type="range"
+        className="w-28"
+        min={min}
+        max={max}
+        step={step}
+        value={stage[key]}
+        onChange={(e) => set({ [key]: parseFloat(e.target.value) })}
+      />
+    </label>
+  );
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2">Ground &amp; helpers</p>
+      <select
+        className="w-full border rounded px-1 py-0.5 text-xs mb-1"
+        value={stage.ground}
+        onChange={(e) => set({ ground: e.target.value })}
+      >
+        <option value="none">No ground</option>
+        <option value="plane">Ground plane</option>
+        <option value="catcher">Shadow catcher</option>
+      </select>
+      {stage.ground === 'plane' && (
+        <label className="flex items-center justify-between gap-2 text-xs text-gray-600 mb-1 pl-5">
+          Color
+          <input
+            type="color"
+            className="w-10 h-5 border rounded"
+            value={stage.groundColor}
+            onChange={(e) => set({ groundColor: e.target.value })}
+          />
+        </label>
+      )}
+      {stage.ground === 'catcher' && slider('shadowOpacity', 'Shadow opacity', 0, 1, 0.05)}
+      {toggle('contactShadows', 'Contact shadows')}
+      {stage.contactShadows && (
+        <>
+          {slider('contactOpacity', 'Opacity', 0, 1, 0.05)}
+          {slider('contactBlur', 'Softness', 0, 10, 0.5)}
+        </>
+      )}
+      {toggle('grid', 'Grid')}
+      {toggle('axes', 'Axes')}
+      <p className="text-[11px] text-gray-500 mt-1">
+        Ground and catcher shadows need a light with &quot;Cast shadows&quot; turned on.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { FaImage } from 'react-icons/fa';
+
+// Uploaded texture images: click to apply, right-click to rename or delete
+export default function TextureLibrary({ textures, onApply, onUpload, onRename, onDelete }) {
+  const [editingId, setEditingId] = useState(null);
+  const [urls, setUrls] = useState({});
+
+  // Thumbnails straight from the stored blobs
+  useEffect(() => {
+    const created = Object.fromEntries(textures.map((t) => [t.id, URL.createObjectURL(t.blob)]));
+    setUrls(created);
+    return () => Object.values(created).forEach((url) => URL.revokeObjectURL(url));
+  }, [textures]);
+
+  const editing = textures.find((t) => t.id === editingId);
+
+  return (
+    <div className="mb-2">
+      <p className="text-sm font-medium text-gray-700 mb-1">Custom Texture</p>
+      {textures.length > 0 && (
+        <div className="mb-2 flex flex-wrap gap-2">
+          {textures.map((texture) => (
+            <img
+              key={texture.id}
+              src={urls[texture.id]}
+              alt={texture.name || 'texture'}
+              title={`${texture.name || 'Untitled'} (right-click to edit)`}
+              className={`w-10 h-10 rounded border cursor-pointer object-cover
+                ${texture.id === editingId ? 'border-blue-500' : ''}`}
+              onClick={() => onApply(texture.id)}
+              onContextMenu={(e) => {
+                e.preventDefault();
+                setEditingId(texture.id === editingId ? null : texture.id);
+              }}
+            />
+          ))}
+        </div>
+      )}
+      {editing && (
+        <div className="mb-2 border rounded p-2 bg-gray-50">
+          <input
+            className="w-full border px-2 py-1 rounded text-sm mb-2"
+            defaultValue={editing.name}
+            placeholder="Texture name"
+            key={editing.id}
+            onBlur={(e) => {
+              const name = e.target.value.trim();
+              if (name !== editing.name) onRename(editing.id, name);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur();
+            }}
+          />
+          <div className="flex gap-3 text-xs text-gray-600">
+            <button
+              className="flex items-center gap-1 hover:text-red-500"
+              onClick={() => {
+                if (confirm(`Remove "${editing.name || 'this texture'}" from the library?`)) {
+                  onDelete(editing.id);
+                  setEditingId(null);
+                }
+              }}
+            >
+              <Trash2 size={12} /> Delete
+            </button>
+            <button className="ml-auto hover:text-gray-900" onClick={() => setEditingId(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+      <label
+        htmlFor="texture-upload"
+        className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded p-4 cursor-pointer hover:border-blue-500 hover:text-blue-500"
+      >
+        <FaImage className="text-2xl mb-2" />
+        <span className="text-sm">Click or drag to upload</span>
+      </label>
+      <input
+        id="texture-upload"
+        type="file"
+        accept="image/*"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) onUpload(file);
+        }}
+        className="hidden"
+      />
+    </div>
+  );
+}
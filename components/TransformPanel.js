@@ -0,0 +1,154 @@
+'use client';
+
+import { useState } from 'react';
+import { MathUtils } from 'three';
+import { Move, RotateCw, Maximize2, Globe, Box, Magnet, RotateCcw } from 'lucide-react';
+
+const MODES = [
+  { key: 'translate', label: 'Move (W)', icon: Move },
+  { key: 'rotate', label: 'Rotate (E)', icon: RotateCw },
+  { key: 'scale', label: 'Scale (R)', icon: Maximize2 },
+];
+
+// Three numeric inputs. Focus/blur bracket an edit so the caller records a
+// single undo step however many values are typed.
+function AxisFields({ label, value, step, onBegin, onEnd, onChange }) {
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-600 mb-1">
+      <span className="w-14">{label}</span>
+      {value.map((component, i) => (
+        <input
+          key={i}
+          type="number"
+          className="w-16 border rounded px-1"
+          value={Number(component.toFixed(3))}
+          step={step}
+          onFocus={onBegin}
+          onBlur={onEnd}
+          onChange={(e) => {
+            const v = parseFloat(e.target.value);
+            if (Number.isNaN(v)) return;
+            const next = [...value];
+            next[i] = v;
+            onChange(next);
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Gizmo settings and numeric position/rotation/scale of the selected node
+export default function TransformPanel({
+  object,
+  mode,
+  space,
+  snap,
+  onModeChange,
+  onSpaceChange,
+  onSnapChange,
+  onBeginEdit,
+  onEndEdit,
+  onReset,
+}) {
+  const [, setRevision] = useState(0);
+  const refresh = () => setRevision((r) => r + 1);
+
+  const update = (apply) => (value) => {
+    apply(value);
+    object.updateMatrixWorld(true);
+    refresh();
+  };
+
+  const degrees = [object.rotation.x, object.rotation.y, object.rotation.z].map(MathUtils.radToDeg);
+  const snapField = (key, label, step) => (
+    <label className="flex items-center gap-1">
+      {label}
+      <input
+        type="number"
+        className="w-12 border rounded px-1"
+        value={snap[key]}
+        min={step}
+        step={step}
+        onChange={(e) => {
+          const v = parseFloat(e.target.value);
+          if (v > 0) onSnapChange({ ...snap, [key]: v });
+        }}
+      />
+    </label>
+  );
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-gray-700">Transform</p>
+        <div className="flex items-center gap-1">
+          {MODES.map(({ key, label, icon: Icon }) => (
+            <button
+              key={key}
+              className={`p-1 rounded ${mode === key ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-100'}`}
+              onClick={() => onModeChange(key)}
+              title={label}
+            >
+              <Icon size={14} />
+            </button>
+          ))}
+          <button
+            className="p-1 rounded text-gray-600 hover:bg-gray-100"
+            onClick={() => onSpaceChange(space === 'local' ? 'world' : 'local')}
+            title={space === 'local' ? 'Local space (click for world)' : 'World space (click for local)'}
+          >
+            {space === 'local' ? <Box size={14} /> : <Globe size={14} />}
+          </button>
+          <button
+            className="p-1 rounded text-gray-600 hover:bg-gray-100"
+            onClick={onReset}
+            title="Reset to the transform in the model file"
+          >
+            <RotateCcw size={14} />
+          </button>
+        </div>
+      </div>
+      <AxisFields
+        label="Position"
+        value={object.position.toArray()}
+        step={0.1}
+        onBegin={onBeginEdit}
+        onEnd={onEndEdit}
+        onChange={update((v) => object.position.fromArray(v))}
+      />
+      <AxisFields
+        label="Rotation°"
+        value={degrees}
+        step={1}
+        onBegin={onBeginEdit}
+        onEnd={onEndEdit}
+        onChange={update((v) => object.rotation.set(...v.map(MathUtils.degToRad)))}
+      />
+      <AxisFields
+        label="Scale"
+        value={object.scale.toArray()}
+        step={0.1}
+        onBegin={onBeginEdit}
+        onEnd={onEndEdit}
+        onChange={update((v) => object.scale.fromArray(v))}
+      />
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-600">
+        <button
+          className={`flex items-center gap-1 px-2 py-0.5 rounded ${snap.enabled ? 'bg-blue-500 text-white' : 'border hover:bg-gray-100'}`}
+          onClick={() => onSnapChange({ ...snap, enabled: !snap.enabled })}
+          title="Snap gizmo moves to increments"
+        >
+          <Magnet size={12} /> Snap
+        </button>
+        {snap.enabled && (
+          <>
+            {snapField('translate', 'Grid', 0.01)}
+            {snapField('rotate', 'Angle°', 1)}
+            {snapField('scale', 'Scale', 0.01)}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
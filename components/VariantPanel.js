@@ -0,0 +1,96 @@
+'use client';
+
+import { useState } from 'react';
+import { SwatchBook, Plus, Pencil, RefreshCw, Trash2, Check } from 'lucide-react';
+
+// Switcher for named material configurations. Clicking a variant applies it;
+// "Update" overwrites it with the materials currently on the model.
+export default function VariantPanel({ variants, activeId, onApply, onSaveCurrent, onUpdate, onRename, onDelete }) {
+  const [editingId, setEditingId] = useState(null);
+  const [newName, setNewName] = useState('');
+
+  const saveVariant = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onSaveCurrent(name);
+    setNewName('');
+  };
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-1">
+        <SwatchBook size={14} /> Variants
+      </p>
+      {variants.length > 0 && (
+        <ul className="mb-2 text-xs">
+          {variants.map((variant) => (
+            <li
+              key={variant.id}
+              className={`flex items-center gap-1 rounded ${variant.id === activeId ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-100'}`}
+            >
+              {variant.id === editingId ? (
+                <input
+                  className="flex-1 border rounded px-1 py-0.5"
+                  defaultValue={variant.name}
+                  autoFocus
+                  onBlur={(e) => {
+                    const name = e.target.value.trim();
+                    if (name && name !== variant.name) onRename(variant.id, name);
+                    setEditingId(null);
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.currentTarget.blur();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                />
+              ) : (
+                <button className="flex-1 flex items-center gap-1 text-left px-1 py-0.5 truncate" onClick={() => onApply(variant)}>
+                  {variant.id === activeId && <Check size={12} />}
+                  {variant.name}
+                </button>
+              )}
+              <button className="px-0.5 text-gray-400 hover:text-blue-600" onClick={() => setEditingId(variant.id)} title="Rename variant">
+                <Pencil size={12} />
+              </button>
+              <button
+                className="px-0.5 text-gray-400 hover:text-blue-600"
+                onClick={() => onUpdate(variant.id)}
+                title="Replace with the current materials"
+              >
+                <RefreshCw size={12} />
+              </button>
+              <button
+                className="px-0.5 text-gray-400 hover:text-red-500"
+                onClick={() => {
+                  if (confirm(`Delete variant "${variant.name}"?`)) onDelete(variant.id);
+                }}
+                title="Delete variant"
+              >
+                <Trash2 size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2">
+        <input
+          className="flex-1 border px-2 py-1 rounded text-sm"
+          placeholder="Save materials as variant..."
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') saveVariant();
+          }}
+        />
+        <button
+          className="flex items-center bg-blue-600 text-white px-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          onClick={saveVariant}
+          disabled={!newName.trim()}
+          title="Save the current materials of every part"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+'use client';
+
+import { useEffect, useMemo } from 'react';
+import { useLoader } from '@react-three/fiber';
+import { createFileSetManager } from '../app/utils/modelFiles';
+import { createModelLoader, getModelFormat } from '../app/utils/loaders';
+import { makeMaterialsUnique } from '../app/utils/materials';
+
+// Load a project's main model file with the loader registered for its
+// format (utils/loaders), resolving companion files through the file set.
+// Suspends while loading and throws to the nearest error boundary on
+// failure. Parts get their own materials before anything is restored onto
+// them. Returns what the loader returned (e.g. the gltf).
+export default function useModelSource(url, modelFiles) {
+  const loader = useMemo(() => {
+    const { mainPath } = modelFiles;
+    return createModelLoader(getModelFormat(mainPath), { manager: createFileSetManager(modelFiles), mainPath });
+  }, [modelFiles]);
+  const source = useLoader(loader, url);
+  useEffect(() => {
+    makeMaterialsUnique(source.scene);
+  }, [source.scene]);
+  return source;
+}